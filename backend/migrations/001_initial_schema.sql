@@ -0,0 +1,101 @@
+-- 001: the backend's tables as services/schema.js describes them. Every
+-- statement is "if not exists", so on a database created by hand before
+-- migrations existed this only adds what is missing; 002 then brings the
+-- older tables' columns in line.
+
+create table if not exists schema_migrations (
+  version text primary key,
+  applied_at timestamptz not null default now()
+);
+
+-- Sites on the community blacklist. site_identity is the hostname, or the
+-- form or site on a hosted platform (docs.google.com/forms/d/e/<id>,
+-- scam.blogspot.com), so share links of the same form land on one entry.
+create table if not exists blacklisted_sites (
+  id bigint generated always as identity primary key,
+  domain_url text not null,
+  site_identity text,
+  reason_flagged text,
+  added_by text not null default 'auto-report-system',
+  created_at timestamptz not null default now()
+);
+
+-- Reports from users. findings are the extension's per-rule results when it
+-- scanned the site itself: [{ ruleId, category, weight, message, evidence }].
+-- page_text is classifier training data; reports count as scams unless a
+-- reviewer sets label.
+create table if not exists user_reports (
+  id bigint generated always as identity primary key,
+  domain_url text not null,
+  site_identity text,
+  reason_flagged text not null,
+  user_email text,
+  findings jsonb not null default '[]'::jsonb,
+  detection_score smallint check (detection_score between 0 and 100),
+  page_text text,
+  label text check (label in ('scam', 'legitimate')),
+  created_at timestamptz not null default now()
+);
+
+-- Warnings raised by the extension or logged by admin tools. Warning logs
+-- are only used as training data once labelled.
+create table if not exists warning_logs (
+  id bigint generated always as identity primary key,
+  domain_url text,
+  detection_score smallint check (detection_score between 0 and 100),
+  keywords text[] not null default '{}',
+  message text,
+  severity text check (severity in ('low', 'medium', 'high', 'critical')),
+  source text,
+  user_email text,
+  page_text text,
+  label text check (label in ('scam', 'legitimate')),
+  created_at timestamptz not null default now()
+);
+
+-- Keywords served to the extension as rule packs by GET /keywords/packs.
+-- Non-English keywords go in '<language>-<category>' packs.
+create table if not exists detection_keywords (
+  id bigint generated always as identity primary key,
+  keyword text not null,
+  severity text not null default 'medium' check (severity in ('low', 'medium', 'high', 'critical')),
+  category text not null default 'general',
+  language text not null default 'en' check (language in ('en', 'pcm', 'yo', 'ha', 'ig')),
+  created_at timestamptz not null default now()
+);
+
+-- Bank accounts reported as receiving scam "processing fee" payments
+create table if not exists reported_accounts (
+  id bigint generated always as identity primary key,
+  account_number varchar(10) not null unique,
+  bank_name text,
+  account_name text,
+  reason_flagged text,
+  source_url text,
+  report_count integer not null default 1,
+  first_reported timestamptz not null default now(),
+  last_reported timestamptz not null default now()
+);
+
+-- Phone numbers, WhatsApp groups, Telegram handles and email addresses
+-- reported as used by scams. channel_value is stored normalized:
+--   phone '+2348031234567', whatsapp 'chat.whatsapp.com/<invite>',
+--   telegram lowercase handle or '+<invite>', email lowercase address
+create table if not exists reported_contacts (
+  id bigint generated always as identity primary key,
+  channel_type text not null check (channel_type in ('phone', 'whatsapp', 'telegram', 'email')),
+  channel_value text not null,
+  reason_flagged text,
+  source_url text,
+  report_count integer not null default 1,
+  first_reported timestamptz not null default now(),
+  last_reported timestamptz not null default now(),
+  unique (channel_type, channel_value)
+);
+
+create index if not exists reported_accounts_account_number_idx
+  on reported_accounts (account_number);
+create index if not exists reported_contacts_channel_value_idx
+  on reported_contacts (channel_value);
+
+insert into schema_migrations (version) values ('001') on conflict do nothing;
@@ -0,0 +1,70 @@
+-- 002: bring tables created before migrations existed in line with 001.
+-- The routes used to write different names for the same thing: the site
+-- was `domain` (POST /blacklist) or `reported_url` (POST /reports) where
+-- everything else used `domain_url`, and the time a row was written was
+-- `timestamp`, `date_added` or `time_detected`. Legacy columns are merged
+-- into the canonical one and dropped; columns added by the old sql/ files
+-- are created where they are missing.
+
+create or replace function pg_temp.merge_column(tbl text, legacy text, canonical text)
+returns void language plpgsql as $$
+begin
+  if not exists (select 1 from information_schema.columns
+                 where table_schema = 'public' and table_name = tbl and column_name = legacy) then
+    return;
+  end if;
+  if exists (select 1 from information_schema.columns
+             where table_schema = 'public' and table_name = tbl and column_name = canonical) then
+    execute format('update %I set %I = coalesce(%I, %I)', tbl, canonical, canonical, legacy);
+    execute format('alter table %I drop column %I', tbl, legacy);
+  else
+    execute format('alter table %I rename column %I to %I', tbl, legacy, canonical);
+  end if;
+end;
+$$;
+
+-- blacklisted_sites
+select pg_temp.merge_column('blacklisted_sites', 'domain', 'domain_url');
+select pg_temp.merge_column('blacklisted_sites', 'date_added', 'created_at');
+select pg_temp.merge_column('blacklisted_sites', 'timestamp', 'created_at');
+alter table blacklisted_sites add column if not exists site_identity text;
+alter table blacklisted_sites add column if not exists reason_flagged text;
+alter table blacklisted_sites add column if not exists added_by text not null default 'auto-report-system';
+alter table blacklisted_sites add column if not exists created_at timestamptz not null default now();
+
+-- user_reports
+select pg_temp.merge_column('user_reports', 'reported_url', 'domain_url');
+select pg_temp.merge_column('user_reports', 'timestamp', 'created_at');
+alter table user_reports add column if not exists site_identity text;
+alter table user_reports add column if not exists user_email text;
+alter table user_reports add column if not exists findings jsonb not null default '[]'::jsonb;
+alter table user_reports add column if not exists detection_score smallint;
+alter table user_reports add column if not exists page_text text;
+alter table user_reports add column if not exists label text check (label in ('scam', 'legitimate'));
+alter table user_reports add column if not exists created_at timestamptz not null default now();
+
+-- warning_logs
+select pg_temp.merge_column('warning_logs', 'time_detected', 'created_at');
+select pg_temp.merge_column('warning_logs', 'timestamp', 'created_at');
+alter table warning_logs add column if not exists domain_url text;
+alter table warning_logs add column if not exists detection_score smallint;
+alter table warning_logs add column if not exists keywords text[] not null default '{}';
+alter table warning_logs add column if not exists message text;
+alter table warning_logs add column if not exists severity text;
+alter table warning_logs add column if not exists source text;
+alter table warning_logs add column if not exists user_email text;
+alter table warning_logs add column if not exists page_text text;
+alter table warning_logs add column if not exists label text check (label in ('scam', 'legitimate'));
+alter table warning_logs add column if not exists created_at timestamptz not null default now();
+
+-- detection_keywords
+select pg_temp.merge_column('detection_keywords', 'timestamp', 'created_at');
+alter table detection_keywords add column if not exists language text not null default 'en'
+  check (language in ('en', 'pcm', 'yo', 'ha', 'ig'));
+alter table detection_keywords add column if not exists created_at timestamptz not null default now();
+
+-- Lookups by site identity (report de-duplication, blacklist checks)
+create index if not exists user_reports_site_identity_idx on user_reports (site_identity);
+create index if not exists blacklisted_sites_site_identity_idx on blacklisted_sites (site_identity);
+
+insert into schema_migrations (version) values ('002') on conflict do nothing;
@@ -0,0 +1,26 @@
+-- 003: reports wait in a moderation queue instead of blacklisting a site on
+-- the first report. One entry per site identity collects every report of
+-- that site; only confirmed entries are copied into blacklisted_sites.
+
+create table if not exists moderation_queue (
+  id bigint generated always as identity primary key,
+  site_identity text not null unique,
+  domain_url text not null,
+  status text not null default 'pending'
+    check (status in ('pending', 'confirmed', 'rejected', 'needs_info')),
+  reason_flagged text,
+  report_count integer not null default 1,
+  -- Distinct reporters; every anonymous report counts as 'anonymous'
+  reporters text[] not null default '{}',
+  max_detection_score smallint check (max_detection_score between 0 and 100),
+  -- 'auto' when the auto-confirm thresholds confirmed the entry
+  decided_by text,
+  decision_note text,
+  decided_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists moderation_queue_status_idx on moderation_queue (status);
+
+insert into schema_migrations (version) values ('003') on conflict do nothing;
@@ -0,0 +1,18 @@
+-- 004: anonymous reporter IDs and reporter reputation. Each extension
+-- install sends a random reporter_id with its reports; moderator decisions
+-- on the sites it reported build up its track record, which weighs its
+-- reports towards auto-confirmation (see services/moderation.js).
+
+alter table user_reports add column if not exists reporter_id text;
+create index if not exists user_reports_reporter_id_idx on user_reports (reporter_id);
+
+-- reporter is the reporter_id, or the email of reports sent without one
+create table if not exists reporter_reputation (
+  id bigint generated always as identity primary key,
+  reporter text not null unique,
+  confirmed_count integer not null default 0,
+  rejected_count integer not null default 0,
+  updated_at timestamptz not null default now()
+);
+
+insert into schema_migrations (version) values ('004') on conflict do nothing;
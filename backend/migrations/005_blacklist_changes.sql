@@ -0,0 +1,38 @@
+-- 005: a change log of the blacklist for GET /blacklist/changes. A trigger
+-- records every site identity added to or removed from blacklisted_sites;
+-- the log id is the sync cursor the extension sends back as ?since=.
+
+create table if not exists blacklist_changes (
+  id bigint generated always as identity primary key,
+  action text not null check (action in ('add', 'remove')),
+  site_identity text not null,
+  created_at timestamptz not null default now()
+);
+
+-- A removal is only recorded once no row for the identity is left. Row
+-- triggers declared AFTER run once the whole statement has finished, so a
+-- multi-row delete sees the final state.
+create or replace function record_blacklist_change() returns trigger
+language plpgsql as $$
+begin
+  if tg_op = 'INSERT' then
+    if new.site_identity is not null then
+      insert into blacklist_changes (action, site_identity) values ('add', new.site_identity);
+    end if;
+    return new;
+  end if;
+
+  if old.site_identity is not null
+     and not exists (select 1 from blacklisted_sites where site_identity = old.site_identity) then
+    insert into blacklist_changes (action, site_identity) values ('remove', old.site_identity);
+  end if;
+  return old;
+end;
+$$;
+
+drop trigger if exists blacklisted_sites_changes on blacklisted_sites;
+create trigger blacklisted_sites_changes
+  after insert or delete on blacklisted_sites
+  for each row execute function record_blacklist_change();
+
+insert into schema_migrations (version) values ('005') on conflict do nothing;
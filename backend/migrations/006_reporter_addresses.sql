@@ -0,0 +1,7 @@
+-- 006: the (hashed) addresses each queue entry's reports came from. Auto-
+-- confirmation needs as many distinct addresses as it needs reporters, so
+-- one client inventing reporter IDs can't confirm a site.
+
+alter table moderation_queue add column if not exists reporter_addresses text[] not null default '{}';
+
+insert into schema_migrations (version) values ('006') on conflict do nothing;
@@ -0,0 +1,51 @@
+-- 007: only reviewed sites reach the community list. Sites the moderation
+-- thresholds confirmed on their own stay on the blacklist, so lookups still
+-- see them, but are held back from GET /blacklist/changes until a moderator
+-- confirms them: a handful of reports must not block a site on every
+-- install.
+
+alter table blacklisted_sites add column if not exists reviewed boolean not null default true;
+
+-- Sites auto-confirmed before this migration wait for review like new ones
+update blacklisted_sites set reviewed = false where added_by = 'moderation-auto';
+
+-- The change log now follows reviewed rows only: an identity is added when
+-- its first reviewed row appears and removed when its last one goes.
+create or replace function record_blacklist_change() returns trigger
+language plpgsql as $$
+declare
+  was_reviewed boolean := tg_op <> 'INSERT' and old.reviewed;
+  is_reviewed boolean := tg_op <> 'DELETE' and new.reviewed;
+  changed_identity text := coalesce(case when tg_op = 'DELETE' then old.site_identity else new.site_identity end, '');
+begin
+  if changed_identity <> '' and is_reviewed and not was_reviewed then
+    insert into blacklist_changes (action, site_identity) values ('add', changed_identity);
+  elsif changed_identity <> '' and was_reviewed and not is_reviewed
+     and not exists (select 1 from blacklisted_sites where site_identity = changed_identity and reviewed) then
+    insert into blacklist_changes (action, site_identity) values ('remove', changed_identity);
+  end if;
+
+  if tg_op = 'DELETE' then
+    return old;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists blacklisted_sites_changes on blacklisted_sites;
+create trigger blacklisted_sites_changes
+  after insert or update of reviewed or delete on blacklisted_sites
+  for each row execute function record_blacklist_change();
+
+-- Installs that already synced the sites held back above drop them
+insert into blacklist_changes (action, site_identity)
+select distinct 'remove', held.site_identity from (
+  select site_identity from blacklisted_sites
+  where added_by = 'moderation-auto' and site_identity is not null
+) held
+where not exists (
+  select 1 from blacklisted_sites reviewed_site
+  where reviewed_site.site_identity = held.site_identity and reviewed_site.reviewed
+);
+
+insert into schema_migrations (version) values ('007') on conflict do nothing;
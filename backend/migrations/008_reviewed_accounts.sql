@@ -0,0 +1,14 @@
+-- 008: reported accounts are no longer trusted on one report. Each account
+-- keeps who reported it and from which (hashed) addresses, like moderation
+-- queue entries, and lookups only return it once a moderator has reviewed
+-- it or enough distinct people have reported it (services/moderation.js).
+
+alter table reported_accounts add column if not exists reporters text[] not null default '{}';
+alter table reported_accounts add column if not exists reporter_addresses text[] not null default '{}';
+-- Accounts reported before this migration wait for review like new ones
+alter table reported_accounts add column if not exists reviewed boolean not null default false;
+
+create index if not exists reported_accounts_unreviewed_idx
+  on reported_accounts (report_count desc) where not reviewed;
+
+insert into schema_migrations (version) values ('008') on conflict do nothing;
@@ -0,0 +1,14 @@
+-- 009: reported contacts follow reported accounts (008): each channel keeps
+-- who reported it and from which (hashed) addresses, and lookups only return
+-- it once a moderator has reviewed it or enough distinct people have
+-- reported it.
+
+alter table reported_contacts add column if not exists reporters text[] not null default '{}';
+alter table reported_contacts add column if not exists reporter_addresses text[] not null default '{}';
+-- Channels reported before this migration wait for review like new ones
+alter table reported_contacts add column if not exists reviewed boolean not null default false;
+
+create index if not exists reported_contacts_unreviewed_idx
+  on reported_contacts (report_count desc) where not reviewed;
+
+insert into schema_migrations (version) values ('009') on conflict do nothing;
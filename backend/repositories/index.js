@@ -0,0 +1,60 @@
+// backend/repositories/index.js
+// The backend's storage layer. Routes read and write through these
+// repositories, never through a database client, so the same server runs
+// against Supabase in production and in memory for demos and tests.
+//
+// An adapter is a factory resolving to
+//   { sites, reports, warnings, keywords, accounts, contacts, moderation, reputation }
+// where every method is async, rows use the column names in
+// services/schema.js, and failures throw:
+//   sites:    list(), findByIdentity(identity), listReviewed(), add(row),
+//             markReviewed(identity), removeByIdentity(identity),
+//             changesSince(cursor, limit), latestCursor()
+//   reports:  list(), add(row), trainingRows()
+//   warnings: list(), listByUser(email), add(row), trainingRows()
+//   keywords: list(), add(row), remove(id)
+//   accounts: findByNumbers(numbers), listUnreviewed(), add(row), update(id, changes)
+//   contacts: find(type, value), findByValues(values), listUnreviewed(), add(row), update(id, changes)
+//   moderation: list(status), find(id), findByIdentity(identity), add(row), update(id, changes)
+//   reputation: findByReporters(reporters), add(row), update(id, changes)
+// listReviewed() resolves to the sites a person confirmed, the ones synced to
+// installs; markReviewed() marks every row of an identity reviewed. For
+// accounts and contacts, listUnreviewed() resolves to the rows no moderator
+// has reviewed yet, most reported first.
+// changesSince() resolves to up to `limit` { id, action, site_identity }
+// blacklist changes after `cursor`, oldest first; latestCursor() to the
+// newest change's id, or 0. add() and update() resolve to the stored row; list(status) lists every
+// status when status is omitted. trainingRows() resolves to
+// { page_text, label } for rows usable as classifier training data, with
+// the reported site_identity for reports.
+//
+// STORAGE_ADAPTER picks the adapter: "supabase", or "memory" (optionally
+// persisted to STORAGE_FILE). Without it, Supabase is used when
+// SUPABASE_URL is set and memory otherwise.
+import dotenv from "dotenv";
+import { createSupabaseRepositories } from "./supabase.js";
+import { createMemoryRepositories } from "./memory.js";
+
+dotenv.config();
+
+const adapters = {};
+
+export function registerStorageAdapter(name, factory) {
+  adapters[name] = factory;
+}
+
+registerStorageAdapter("supabase", createSupabaseRepositories);
+registerStorageAdapter("memory", () => createMemoryRepositories({ file: process.env.STORAGE_FILE }));
+
+export function storageAdapterName() {
+  return process.env.STORAGE_ADAPTER || (process.env.SUPABASE_URL ? "supabase" : "memory");
+}
+
+export async function createRepositories(name = storageAdapterName()) {
+  const factory = adapters[name];
+  if (!factory) throw new Error(`Unknown storage adapter: ${name}`);
+  return factory();
+}
+
+export const repositories = await createRepositories();
+export const { sites, reports, warnings, keywords, accounts, contacts, moderation, reputation } = repositories;
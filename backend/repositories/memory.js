@@ -0,0 +1,169 @@
+// backend/repositories/memory.js
+// Repositories kept in process memory, for running the backend without a
+// Supabase project: demos, local development and integration tests. With a
+// `file`, every write is saved there as JSON and loaded again on start.
+import fs from "fs";
+import path from "path";
+import { TABLES, LABELS } from "../services/schema.js";
+
+// Column defaults the database would fill in; must match migrations/001
+const DEFAULTS = {
+  [TABLES.sites]: () => ({ site_identity: null, reason_flagged: null, added_by: "auto-report-system", reviewed: true, created_at: now() }),
+  [TABLES.reports]: () => ({ site_identity: null, user_email: null, reporter_id: null, findings: [], detection_score: null, page_text: null, label: null, created_at: now() }),
+  [TABLES.warnings]: () => ({ domain_url: null, detection_score: null, keywords: [], message: null, severity: null, source: null, user_email: null, page_text: null, label: null, created_at: now() }),
+  [TABLES.keywords]: () => ({ severity: "medium", category: "general", language: "en", created_at: now() }),
+  [TABLES.accounts]: () => ({ bank_name: null, account_name: null, reason_flagged: null, source_url: null, report_count: 1, reporters: [], reporter_addresses: [], reviewed: false, first_reported: now(), last_reported: now() }),
+  [TABLES.contacts]: () => ({ reason_flagged: null, source_url: null, report_count: 1, reporters: [], reporter_addresses: [], reviewed: false, first_reported: now(), last_reported: now() }),
+  [TABLES.moderation]: () => ({ status: "pending", reason_flagged: null, report_count: 1, reporters: [], reporter_addresses: [], max_detection_score: null, decided_by: null, decision_note: null, decided_at: null, created_at: now(), updated_at: now() }),
+  [TABLES.reputation]: () => ({ confirmed_count: 0, rejected_count: 0, updated_at: now() }),
+  [TABLES.blacklistChanges]: () => ({ created_at: now() })
+};
+
+function now() {
+  return new Date().toISOString();
+}
+
+// Rows go in and out as JSON copies, like rows from a database: callers
+// can't mutate stored rows, and Dates become ISO strings
+function copy(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function emptyTables() {
+  return Object.fromEntries(Object.values(TABLES).map(table => [table, []]));
+}
+
+function load(file) {
+  if (!file || !fs.existsSync(file)) return emptyTables();
+  return { ...emptyTables(), ...JSON.parse(fs.readFileSync(file, "utf8")) };
+}
+
+export function createMemoryRepositories({ file } = {}) {
+  const tables = load(file);
+
+  function save() {
+    if (!file) return;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(tables, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  function select(table, predicate = () => true) {
+    return copy(tables[table].filter(predicate));
+  }
+
+  function insert(table, row) {
+    const id = tables[table].reduce((max, stored) => Math.max(max, stored.id), 0) + 1;
+    const stored = { id, ...DEFAULTS[table](), ...copy(row) };
+    tables[table].push(stored);
+    save();
+    return copy(stored);
+  }
+
+  function update(table, id, changes) {
+    const stored = tables[table].find(row => row.id === Number(id));
+    if (!stored) return undefined;
+    Object.assign(stored, copy(changes));
+    save();
+    return copy(stored);
+  }
+
+  function remove(table, predicate) {
+    tables[table] = tables[table].filter(row => !predicate(row));
+    save();
+  }
+
+  // What the blacklisted_sites trigger in migrations/007 does: log an
+  // identity when its first reviewed row appears or its last one goes
+  function recordChange(action, identity) {
+    if (identity) insert(TABLES.blacklistChanges, { action, site_identity: identity });
+  }
+
+  function hasReviewed(identity) {
+    return tables[TABLES.sites].some(row => row.site_identity === identity && row.reviewed);
+  }
+
+  const training = row => row.page_text !== null && row.page_text !== undefined;
+  const trainingFields = ({ page_text, label }) => ({ page_text, label });
+
+  // Async like the Supabase adapter, so routes work unchanged on either
+  return {
+    sites: {
+      list: async () => select(TABLES.sites),
+      findByIdentity: async identity => select(TABLES.sites, row => row.site_identity === identity),
+      listReviewed: async () => select(TABLES.sites, row => row.reviewed),
+      add: async row => {
+        const stored = insert(TABLES.sites, row);
+        if (stored.reviewed) recordChange("add", stored.site_identity);
+        return stored;
+      },
+      markReviewed: async identity => {
+        if (hasReviewed(identity)) return;
+        tables[TABLES.sites].filter(row => row.site_identity === identity).forEach(row => { row.reviewed = true; });
+        save();
+        if (hasReviewed(identity)) recordChange("add", identity);
+      },
+      removeByIdentity: async identity => {
+        const reviewed = hasReviewed(identity);
+        remove(TABLES.sites, row => row.site_identity === identity);
+        if (reviewed) recordChange("remove", identity);
+      },
+      changesSince: async (cursor, limit) => select(TABLES.blacklistChanges, row => row.id > cursor)
+        .slice(0, limit)
+        .map(({ id, action, site_identity }) => ({ id, action, site_identity })),
+      latestCursor: async () => tables[TABLES.blacklistChanges].reduce((max, row) => Math.max(max, row.id), 0)
+    },
+
+    reports: {
+      list: async () => select(TABLES.reports),
+      add: async row => insert(TABLES.reports, row),
+      trainingRows: async () => select(TABLES.reports, training)
+        .map(row => ({ ...trainingFields(row), site_identity: row.site_identity }))
+    },
+
+    warnings: {
+      list: async () => select(TABLES.warnings),
+      listByUser: async email => select(TABLES.warnings, row => row.user_email === email),
+      add: async row => insert(TABLES.warnings, row),
+      trainingRows: async () => select(TABLES.warnings, row => training(row) && LABELS.includes(row.label)).map(trainingFields)
+    },
+
+    keywords: {
+      list: async () => select(TABLES.keywords),
+      add: async row => insert(TABLES.keywords, row),
+      remove: async id => remove(TABLES.keywords, row => row.id === Number(id))
+    },
+
+    accounts: {
+      findByNumbers: async numbers => select(TABLES.accounts, row => numbers.includes(row.account_number)),
+      listUnreviewed: async () => select(TABLES.accounts, row => !row.reviewed)
+        .sort((a, b) => b.report_count - a.report_count),
+      add: async row => insert(TABLES.accounts, row),
+      update: async (id, changes) => update(TABLES.accounts, id, changes)
+    },
+
+    contacts: {
+      find: async (type, value) => select(TABLES.contacts, row => row.channel_type === type && row.channel_value === value),
+      findByValues: async values => select(TABLES.contacts, row => values.includes(row.channel_value)),
+      listUnreviewed: async () => select(TABLES.contacts, row => !row.reviewed)
+        .sort((a, b) => b.report_count - a.report_count),
+      add: async row => insert(TABLES.contacts, row),
+      update: async (id, changes) => update(TABLES.contacts, id, changes)
+    },
+
+    moderation: {
+      list: async status => select(TABLES.moderation, row => !status || row.status === status)
+        .sort((a, b) => b.updated_at.localeCompare(a.updated_at)),
+      find: async id => select(TABLES.moderation, row => row.id === Number(id))[0],
+      findByIdentity: async identity => select(TABLES.moderation, row => row.site_identity === identity)[0],
+      add: async row => insert(TABLES.moderation, row),
+      update: async (id, changes) => update(TABLES.moderation, id, changes)
+    },
+
+    reputation: {
+      findByReporters: async reporters => select(TABLES.reputation, row => reporters.includes(row.reporter)),
+      add: async row => insert(TABLES.reputation, row),
+      update: async (id, changes) => update(TABLES.reputation, id, changes)
+    }
+  };
+}
@@ -0,0 +1,117 @@
+// backend/repositories/supabase.js
+// Repositories backed by the Supabase project in SUPABASE_URL. The client is
+// only loaded when this adapter is picked, so the memory adapter runs
+// without Supabase settings.
+import { TABLES, LABELS } from "../services/schema.js";
+
+export async function createSupabaseRepositories() {
+  const { supabase } = await import("../services/supabase.js");
+
+  // Resolve a query builder to its rows, throwing on error
+  async function rows(table, query) {
+    const { data, error } = await query;
+    if (error) throw new Error(`${table}: ${error.message}`);
+    return data;
+  }
+
+  async function insert(table, row) {
+    const [stored] = await rows(table, supabase.from(table).insert([row]).select());
+    return stored;
+  }
+
+  async function update(table, id, changes) {
+    const [stored] = await rows(table, supabase.from(table).update(changes).eq("id", id).select());
+    return stored;
+  }
+
+  return {
+    sites: {
+      list: () => rows(TABLES.sites, supabase.from(TABLES.sites).select("*")),
+      findByIdentity: identity => rows(TABLES.sites,
+        supabase.from(TABLES.sites).select("*").eq("site_identity", identity)),
+      // Sites a person confirmed; only these are synced to installs
+      listReviewed: () => rows(TABLES.sites, supabase.from(TABLES.sites).select("*").eq("reviewed", true)),
+      add: row => insert(TABLES.sites, row),
+      markReviewed: async identity => {
+        await rows(TABLES.sites, supabase.from(TABLES.sites).update({ reviewed: true }).eq("site_identity", identity));
+      },
+      removeByIdentity: async identity => {
+        await rows(TABLES.sites, supabase.from(TABLES.sites).delete().eq("site_identity", identity));
+      },
+      changesSince: (cursor, limit) => rows(TABLES.blacklistChanges,
+        supabase.from(TABLES.blacklistChanges).select("id, action, site_identity").gt("id", cursor).order("id").limit(limit)),
+      latestCursor: async () => {
+        const [latest] = await rows(TABLES.blacklistChanges,
+          supabase.from(TABLES.blacklistChanges).select("id").order("id", { ascending: false }).limit(1));
+        return latest ? Number(latest.id) : 0;
+      }
+    },
+
+    reports: {
+      list: () => rows(TABLES.reports, supabase.from(TABLES.reports).select("*")),
+      add: row => insert(TABLES.reports, row),
+      trainingRows: () => rows(TABLES.reports,
+        supabase.from(TABLES.reports).select("page_text, label, site_identity").not("page_text", "is", null))
+    },
+
+    warnings: {
+      list: () => rows(TABLES.warnings, supabase.from(TABLES.warnings).select("*")),
+      listByUser: email => rows(TABLES.warnings,
+        supabase.from(TABLES.warnings).select("*").eq("user_email", email)),
+      add: row => insert(TABLES.warnings, row),
+      trainingRows: () => rows(TABLES.warnings,
+        supabase.from(TABLES.warnings).select("page_text, label").not("page_text", "is", null).in("label", LABELS))
+    },
+
+    keywords: {
+      list: () => rows(TABLES.keywords, supabase.from(TABLES.keywords).select("*")),
+      add: row => insert(TABLES.keywords, row),
+      remove: id => rows(TABLES.keywords, supabase.from(TABLES.keywords).delete().eq("id", id))
+    },
+
+    accounts: {
+      findByNumbers: numbers => rows(TABLES.accounts,
+        supabase.from(TABLES.accounts).select("*").in("account_number", numbers)),
+      listUnreviewed: () => rows(TABLES.accounts,
+        supabase.from(TABLES.accounts).select("*").eq("reviewed", false).order("report_count", { ascending: false })),
+      add: row => insert(TABLES.accounts, row),
+      update: (id, changes) => update(TABLES.accounts, id, changes)
+    },
+
+    contacts: {
+      find: (type, value) => rows(TABLES.contacts,
+        supabase.from(TABLES.contacts).select("*").eq("channel_type", type).eq("channel_value", value)),
+      findByValues: values => rows(TABLES.contacts,
+        supabase.from(TABLES.contacts).select("*").in("channel_value", values)),
+      listUnreviewed: () => rows(TABLES.contacts,
+        supabase.from(TABLES.contacts).select("*").eq("reviewed", false).order("report_count", { ascending: false })),
+      add: row => insert(TABLES.contacts, row),
+      update: (id, changes) => update(TABLES.contacts, id, changes)
+    },
+
+    moderation: {
+      list: status => {
+        const query = supabase.from(TABLES.moderation).select("*").order("updated_at", { ascending: false });
+        return rows(TABLES.moderation, status ? query.eq("status", status) : query);
+      },
+      find: async id => {
+        const [entry] = await rows(TABLES.moderation, supabase.from(TABLES.moderation).select("*").eq("id", id));
+        return entry;
+      },
+      findByIdentity: async identity => {
+        const [entry] = await rows(TABLES.moderation,
+          supabase.from(TABLES.moderation).select("*").eq("site_identity", identity));
+        return entry;
+      },
+      add: row => insert(TABLES.moderation, row),
+      update: (id, changes) => update(TABLES.moderation, id, changes)
+    },
+
+    reputation: {
+      findByReporters: reporters => rows(TABLES.reputation,
+        supabase.from(TABLES.reputation).select("*").in("reporter", reporters)),
+      add: row => insert(TABLES.reputation, row),
+      update: (id, changes) => update(TABLES.reputation, id, changes)
+    }
+  };
+}
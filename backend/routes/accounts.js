@@ -0,0 +1,102 @@
+// backend/routes/accounts.js
+import express from "express";
+import { accounts } from "../repositories/index.js";
+import { validateBody, sendError, sendDatabaseError } from "../services/validation.js";
+import { requireRole, hasRole } from "../services/auth.js";
+import { reportRateLimits } from "../services/rateLimit.js";
+import { isCorroborated, withReporter } from "../services/moderation.js";
+
+const router = express.Router();
+
+const NUBAN_PATTERN = /^\d{10}$/;
+
+// What the extension gets back for a reported account
+function publicAccount({ account_number, bank_name, account_name, report_count, last_reported }) {
+  return { account_number, bank_name, account_name, report_count, last_reported };
+}
+
+// Accounts are only shown to users once a moderator has reviewed them or
+// enough different people have reported them
+async function isListed(account) {
+  return account.reviewed || isCorroborated(account);
+}
+
+async function listed(rows) {
+  const checks = await Promise.all(rows.map(isListed));
+  return rows.filter((row, index) => checks[index]);
+}
+
+// Report a bank account used to collect scam payments. A report from the
+// extension only records its reporter; one sent with a moderator key marks
+// the account reviewed.
+router.post("/", requireRole("client"), validateBody("account"), reportRateLimits, async (req, res) => {
+  const { account_number, bank_name, account_name, reason_flagged, source_url } = req.valid;
+  const reviewed = hasRole(req, "moderator");
+
+  try {
+    const [existing] = await accounts.findByNumbers([account_number]);
+
+    let account;
+    if (existing) {
+      account = await accounts.update(existing.id, {
+        report_count: existing.report_count + 1,
+        last_reported: new Date(),
+        ...withReporter(existing, req.valid, req.ip),
+        reviewed: existing.reviewed || reviewed,
+        bank_name: existing.bank_name || bank_name,
+        account_name: existing.account_name || account_name
+      });
+    } else {
+      account = await accounts.add({
+        account_number, bank_name, account_name, reason_flagged, source_url, reviewed,
+        ...withReporter({ reporters: [], reporter_addresses: [] }, req.valid, req.ip)
+      });
+    }
+
+    res.json({ success: true, report_count: account.report_count, listed: await isListed(account) });
+  } catch (error) {
+    sendDatabaseError(res, error);
+  }
+});
+
+// Accounts still waiting for review, most reported first
+router.get("/pending", requireRole("moderator"), async (req, res) => {
+  try {
+    res.json(await accounts.listUnreviewed());
+  } catch (error) {
+    sendDatabaseError(res, error);
+  }
+});
+
+// Look up several account numbers at once (used by the extension per page)
+router.post("/lookup", validateBody("accountLookup"), async (req, res) => {
+  const { account_numbers } = req.valid;
+
+  const numbers = [...new Set(account_numbers)].filter(number => NUBAN_PATTERN.test(number));
+  if (numbers.length === 0) return res.json({ matches: [] });
+
+  try {
+    const data = await listed(await accounts.findByNumbers(numbers));
+    res.json({ matches: data.map(publicAccount) });
+  } catch (error) {
+    sendDatabaseError(res, error);
+  }
+});
+
+// Check if a specific account has been reported
+router.get("/:accountNumber", async (req, res) => {
+  const { accountNumber } = req.params;
+
+  if (!NUBAN_PATTERN.test(accountNumber)) {
+    return sendError(res, 400, "invalid_account_number", "account number must be a 10-digit NUBAN");
+  }
+
+  try {
+    const data = await listed(await accounts.findByNumbers([accountNumber]));
+    res.json({ reported: data.length > 0, details: data.map(publicAccount) });
+  } catch (error) {
+    sendDatabaseError(res, error);
+  }
+});
+
+export default router;
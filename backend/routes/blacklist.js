@@ -1,40 +1,103 @@
 // backend/routes/blacklist.js
 import express from "express";
-import { supabase } from "../services/supabase.js";
+import { sites } from "../repositories/index.js";
+import { siteIdentity } from "../services/siteIdentity.js";
+import { validateBody, sendError, sendDatabaseError } from "../services/validation.js";
+import { requireRole } from "../services/auth.js";
+import { MAX_SYNC_CHANGES } from "../services/schema.js";
 
 const router = express.Router();
 
-// Add domain to blacklist
-router.post("/", async (req, res) => {
-  const { domain, reason_flagged } = req.body;
+const DEFAULT_SYNC_CHANGES = 500;
 
-  const { error } = await supabase.from("blacklisted_sites").insert([
-    { domain, reason_flagged, timestamp: new Date() }
-  ]);
+// Add domain to blacklist
+router.post("/", requireRole("admin"), validateBody("site"), async (req, res) => {
+  const { domain_url, reason_flagged, added_by } = req.valid;
 
-  if (error) return res.status(400).json({ error: error.message });
-  res.json({ success: true });
+  try {
+    await sites.add({ domain_url, site_identity: siteIdentity(domain_url), reason_flagged, added_by: added_by || "admin" });
+    res.json({ success: true });
+  } catch (error) {
+    sendDatabaseError(res, error);
+  }
 });
 
 // Get all blacklisted domains
 router.get("/", async (req, res) => {
-  const { data, error } = await supabase.from("blacklisted_sites").select("*");
+  try {
+    res.json(await sites.list());
+  } catch (error) {
+    sendDatabaseError(res, error);
+  }
+});
+
+// Blacklist changes after a sync cursor, for the extension's community list:
+//   { cursor, snapshot, more, changes: [{ action: "add" | "remove", site_identity }] }
+// Only sites a person confirmed are synced; auto-confirmed ones wait for a
+// moderator (migrations/007).
+// since=0, or a cursor the change log no longer has (the log was reset),
+// gets a snapshot of every listed identity instead of the history; the
+// client replaces its list with it. The ETag covers both cursors, so a
+// client polling with nothing new gets a 304.
+router.get("/changes", async (req, res) => {
+  const since = req.query.since === undefined ? 0 : Number(req.query.since);
+  const limit = req.query.limit === undefined ? DEFAULT_SYNC_CHANGES : Number(req.query.limit);
+  if (!Number.isInteger(since) || since < 0) {
+    return sendError(res, 400, "invalid_cursor", "since must be a sync cursor");
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SYNC_CHANGES) {
+    return sendError(res, 400, "invalid_limit", `limit must be between 1 and ${MAX_SYNC_CHANGES}`);
+  }
 
-  if (error) return res.status(400).json({ error: error.message });
-  res.json(data);
+  let body;
+  try {
+    // Read the cursor first: a change landing during the snapshot is then
+    // replayed by the next sync, which is harmless
+    const latest = await sites.latestCursor();
+
+    if (since === 0 || since > latest) {
+      const identities = [...new Set((await sites.listReviewed()).map(row => row.site_identity).filter(Boolean))].sort();
+      body = {
+        cursor: latest,
+        snapshot: true,
+        more: false,
+        changes: identities.map(site_identity => ({ action: "add", site_identity }))
+      };
+    } else {
+      const changes = await sites.changesSince(since, limit);
+      const cursor = changes.length > 0 ? Number(changes[changes.length - 1].id) : since;
+      body = {
+        cursor,
+        snapshot: false,
+        more: cursor < latest,
+        changes: changes.map(({ action, site_identity }) => ({ action, site_identity }))
+      };
+    }
+  } catch (error) {
+    return sendDatabaseError(res, error);
+  }
+
+  const etag = `"${since}-${body.cursor}"`;
+  res.set("ETag", etag);
+  res.set("Cache-Control", "no-cache");
+  if (req.get("If-None-Match") === etag) {
+    return res.status(304).end();
+  }
+  res.json(body);
 });
 
-// Check if a specific domain is blacklisted
+// Check if a specific domain is blacklisted, by site identity so any URL of
+// the same site or form matches
 router.get("/:domain", async (req, res) => {
-  const domain = req.params.domain;
-
-  const { data, error } = await supabase
-    .from("blacklisted_sites")
-    .select("*")
-    .eq("domain", domain);
+  const identity = siteIdentity(req.params.domain);
+  if (!identity) return sendError(res, 400, "invalid_domain", "Invalid domain");
 
-  if (error) return res.status(400).json({ error: error.message });
-  res.json({ blacklisted: data.length > 0, details: data });
+  try {
+    const data = await sites.findByIdentity(identity);
+    res.json({ blacklisted: data.length > 0, details: data });
+  } catch (error) {
+    sendDatabaseError(res, error);
+  }
 });
 
 export default router;
@@ -0,0 +1,34 @@
+// backend/routes/classifier.js
+import express from "express";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { sendError } from "../services/validation.js";
+
+const router = express.Router();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+// The extension's bundled model, which scripts/train-classifier.js writes
+const MODEL_FILE = process.env.CLASSIFIER_MODEL_FILE || path.join(__dirname, "../../models/classifier.json");
+
+// Serve the latest trained text classifier. The model version doubles as the
+// ETag so extensions that already have it get a 304.
+router.get("/model", async (req, res) => {
+  let model;
+  try {
+    model = JSON.parse(await fs.promises.readFile(MODEL_FILE, "utf8"));
+  } catch (error) {
+    console.error("Error reading classifier model:", error);
+    return sendError(res, 404, "not_found", "No classifier model has been trained");
+  }
+
+  const etag = `"${model.version}"`;
+  res.set("ETag", etag);
+  res.set("Cache-Control", "no-cache");
+  if (req.get("If-None-Match") === etag) {
+    return res.status(304).end();
+  }
+  res.json(model);
+});
+
+export default router;
@@ -0,0 +1,138 @@
+// backend/routes/contacts.js
+import express from "express";
+import { contacts } from "../repositories/index.js";
+import { validateBody, sendError, sendDatabaseError } from "../services/validation.js";
+import { requireRole, hasRole } from "../services/auth.js";
+import { reportRateLimits } from "../services/rateLimit.js";
+import { isCorroborated, withReporter } from "../services/moderation.js";
+
+const router = express.Router();
+
+// Normalized forms, matching what the extension extracts from pages
+const CHANNEL_PATTERNS = {
+  phone: /^\+234[789][01]\d{8}$/,
+  whatsapp: /^chat\.whatsapp\.com\/[A-Za-z0-9]+$/,
+  telegram: /^(\+[A-Za-z0-9_-]{5,64}|[a-z][a-z0-9_]{4,31})$/,
+  email: /^[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}$/
+};
+
+function normalizeChannel(type, value) {
+  const trimmed = String(value || "").trim();
+  if (type === "phone") {
+    const digits = trimmed.replace(/\D/g, "");
+    const local = digits.startsWith("234") ? digits.slice(3) : digits.replace(/^0/, "");
+    return `+234${local}`;
+  }
+  if (type === "telegram") {
+    const handle = trimmed.replace(/^@/, "");
+    return handle.startsWith("+") ? handle : handle.toLowerCase();
+  }
+  if (type === "email") return trimmed.toLowerCase();
+  return trimmed;
+}
+
+function isValidChannel(type, value) {
+  return !!CHANNEL_PATTERNS[type] && CHANNEL_PATTERNS[type].test(value);
+}
+
+// What the extension gets back for a reported channel
+function publicContact({ channel_type, channel_value, reason_flagged, report_count, last_reported }) {
+  return { channel_type, channel_value, reason_flagged, report_count, last_reported };
+}
+
+// Like accounts, channels are only shown to users once a moderator has
+// reviewed them or enough different people have reported them
+async function isListed(contact) {
+  return contact.reviewed || isCorroborated(contact);
+}
+
+async function listed(rows) {
+  const checks = await Promise.all(rows.map(isListed));
+  return rows.filter((row, index) => checks[index]);
+}
+
+// Report a phone number, WhatsApp group, Telegram handle or email address.
+// A report from the extension only records its reporter; one sent with a
+// moderator key marks the channel reviewed.
+router.post("/", requireRole("client"), validateBody("contact"), reportRateLimits, async (req, res) => {
+  const { channel_type, reason_flagged, source_url } = req.valid;
+  const channel_value = normalizeChannel(channel_type, req.valid.channel_value);
+  const reviewed = hasRole(req, "moderator");
+
+  if (!isValidChannel(channel_type, channel_value)) {
+    const message = `channel_value is not a valid ${channel_type}`;
+    return sendError(res, 400, "validation_failed", message, [{ field: "channel_value", message }]);
+  }
+
+  try {
+    const [existing] = await contacts.find(channel_type, channel_value);
+
+    let contact;
+    if (existing) {
+      contact = await contacts.update(existing.id, {
+        report_count: existing.report_count + 1,
+        last_reported: new Date(),
+        ...withReporter(existing, req.valid, req.ip),
+        reviewed: existing.reviewed || reviewed
+      });
+    } else {
+      contact = await contacts.add({
+        channel_type, channel_value, reason_flagged, source_url, reviewed,
+        ...withReporter({ reporters: [], reporter_addresses: [] }, req.valid, req.ip)
+      });
+    }
+
+    res.json({ success: true, report_count: contact.report_count, listed: await isListed(contact) });
+  } catch (error) {
+    sendDatabaseError(res, error);
+  }
+});
+
+// Channels still waiting for review, most reported first
+router.get("/pending", requireRole("moderator"), async (req, res) => {
+  try {
+    res.json(await contacts.listUnreviewed());
+  } catch (error) {
+    sendDatabaseError(res, error);
+  }
+});
+
+// Look up several channels at once (used by the extension per page)
+router.post("/lookup", validateBody("contactLookup"), async (req, res) => {
+  const { channels } = req.valid;
+
+  const values = [...new Set(channels
+    .filter(channel => channel && isValidChannel(channel.type, normalizeChannel(channel.type, channel.value)))
+    .map(channel => normalizeChannel(channel.type, channel.value)))];
+  if (values.length === 0) return res.json({ matches: [] });
+
+  let data;
+  try {
+    data = await listed(await contacts.findByValues(values));
+  } catch (error) {
+    return sendDatabaseError(res, error);
+  }
+
+  // Values are unique per type in practice, but only return exact type matches
+  const requested = new Set(channels.map(channel => `${channel.type}:${normalizeChannel(channel.type, channel.value)}`));
+  res.json({ matches: data.filter(row => requested.has(`${row.channel_type}:${row.channel_value}`)).map(publicContact) });
+});
+
+// Check if a specific channel has been reported
+router.get("/:type/:value", async (req, res) => {
+  const { type } = req.params;
+  const value = normalizeChannel(type, req.params.value);
+
+  if (!isValidChannel(type, value)) {
+    return sendError(res, 400, "invalid_channel", "invalid channel type or value");
+  }
+
+  try {
+    const data = await listed(await contacts.find(type, value));
+    res.json({ reported: data.length > 0, details: data.map(publicContact) });
+  } catch (error) {
+    sendDatabaseError(res, error);
+  }
+});
+
+export default router;
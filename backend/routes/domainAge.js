@@ -0,0 +1,28 @@
+// backend/routes/domainAge.js
+import express from "express";
+import { lookupDomainAge } from "../services/domainAge.js";
+import { sendError } from "../services/validation.js";
+
+const router = express.Router();
+
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)([a-z0-9-]{1,63}\.)+[a-z0-9-]{2,63}$/i;
+
+// Get registration date and registrar for a domain
+router.get("/:domain", async (req, res) => {
+  const domain = req.params.domain.toLowerCase();
+
+  if (!HOSTNAME_PATTERN.test(domain)) {
+    return sendError(res, 400, "invalid_domain", "Invalid domain");
+  }
+
+  try {
+    const result = await lookupDomainAge(domain);
+    if (!result) return sendError(res, 404, "not_found", "Registration date not found");
+    res.json(result);
+  } catch (error) {
+    console.error("Error looking up domain age:", error);
+    sendError(res, 502, "upstream_error", error.message);
+  }
+});
+
+export default router;
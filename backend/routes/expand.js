@@ -0,0 +1,30 @@
+// backend/routes/expand.js
+import express from "express";
+import { expandUrl } from "../services/urlExpand.js";
+import { sendError } from "../services/validation.js";
+
+const router = express.Router();
+
+// Follow a (shortened) link's redirects and return every hop
+router.get("/", async (req, res) => {
+  const { url } = req.query;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (_) {
+    return sendError(res, 400, "invalid_url", "url must be an absolute http(s) URL");
+  }
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+    return sendError(res, 400, "invalid_url", "url must be an absolute http(s) URL");
+  }
+
+  try {
+    res.json(await expandUrl(parsed.href));
+  } catch (error) {
+    console.error("Error expanding URL:", error);
+    sendError(res, 502, "upstream_error", error.message);
+  }
+});
+
+export default router;
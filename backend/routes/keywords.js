@@ -1,40 +1,84 @@
 // backend/routes/keywords.js
 import express from "express";
-import { supabase } from "../services/supabase.js";
+import crypto from "crypto";
+import { keywords } from "../repositories/index.js";
+import { LANGUAGES } from "../services/schema.js";
+import { validateBody, sendError, sendDatabaseError } from "../services/validation.js";
+import { requireRole } from "../services/auth.js";
 
 const router = express.Router();
 
 // Add a keyword
-router.post("/", async (req, res) => {
-  const { keyword, severity } = req.body;
-
-  const { error } = await supabase.from("detection_keywords").insert([
-    { keyword, severity, timestamp: new Date() }
-  ]);
-
-  if (error) return res.status(400).json({ error: error.message });
-  res.json({ success: true });
+router.post("/", requireRole("admin"), validateBody("keyword"), async (req, res) => {
+  try {
+    await keywords.add(req.valid);
+    res.json({ success: true });
+  } catch (error) {
+    sendDatabaseError(res, error);
+  }
 });
 
 // Get all keywords
 router.get("/", async (req, res) => {
-  const { data, error } = await supabase.from("detection_keywords").select("*");
+  try {
+    res.json(await keywords.list());
+  } catch (error) {
+    sendDatabaseError(res, error);
+  }
+});
+
+// Get keywords grouped into versioned rule packs for the extension.
+// The version is a hash of the pack contents, sent as the ETag so clients
+// that already hold it get a 304 instead of the full payload. Keywords in
+// another language go in `<language>-<category>` packs (e.g. `pcm-lottery`)
+// that the extension only applies to pages in that language.
+router.get("/packs", async (req, res) => {
+  let data;
+  try {
+    data = await keywords.list();
+  } catch (error) {
+    return sendDatabaseError(res, error);
+  }
+
+  const packs = {};
+  data
+    .filter(row => row.keyword && row.keyword.trim())
+    .sort((a, b) => a.keyword.localeCompare(b.keyword))
+    .forEach(row => {
+      const category = (row.category || "general").toLowerCase();
+      const language = LANGUAGES.includes(row.language) ? row.language : "en";
+      const id = language === "en" ? category : `${language}-${category}`;
+      if (!packs[id]) packs[id] = language === "en" ? { id, keywords: [] } : { id, language, keywords: [] };
+      packs[id].keywords.push({
+        keyword: row.keyword.trim().toLowerCase(),
+        severity: row.severity ?? "medium"
+      });
+    });
+
+  const packList = Object.values(packs).sort((a, b) => a.id.localeCompare(b.id));
+  const version = crypto
+    .createHash("sha1")
+    .update(JSON.stringify(packList))
+    .digest("hex")
+    .slice(0, 16);
 
-  if (error) return res.status(400).json({ error: error.message });
-  res.json(data);
+  res.set("ETag", `"${version}"`);
+  res.set("Cache-Control", "no-cache");
+  res.json({ version, generated_at: new Date().toISOString(), packs: packList });
 });
 
 // Delete a keyword
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requireRole("admin"), async (req, res) => {
   const { id } = req.params;
 
-  const { error } = await supabase
-    .from("detection_keywords")
-    .delete()
-    .eq("id", id);
+  if (!/^\d+$/.test(id)) return sendError(res, 400, "invalid_id", "id must be a keyword id");
 
-  if (error) return res.status(400).json({ error: error.message });
-  res.json({ success: true });
+  try {
+    await keywords.remove(Number(id));
+    res.json({ success: true });
+  } catch (error) {
+    sendDatabaseError(res, error);
+  }
 });
 
 export default router;
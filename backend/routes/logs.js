@@ -1,40 +1,40 @@
 // backend/routes/logs.js
 import express from "express";
-import { supabase } from "../services/supabase.js";
+import { warnings } from "../repositories/index.js";
+import { validateBody, sendDatabaseError } from "../services/validation.js";
+import { requireRole } from "../services/auth.js";
 
 const router = express.Router();
 
-// Add a warning log
-router.post("/", async (req, res) => {
-  const { user_email, message, severity } = req.body;
-
-  const { error } = await supabase.from("warning_logs").insert([
-    { user_email, message, severity, timestamp: new Date() }
-  ]);
-
-  if (error) return res.status(400).json({ error: error.message });
-  res.json({ success: true });
+// Add a warning log: a site the extension warned about (domain_url,
+// detection_score, keywords) or a note from an admin tool (message, severity)
+router.post("/", requireRole("client"), validateBody("warning"), async (req, res) => {
+  try {
+    await warnings.add(req.valid);
+    res.json({ success: true });
+  } catch (error) {
+    sendDatabaseError(res, error);
+  }
 });
 
 // Get all warning logs
-router.get("/", async (req, res) => {
-  const { data, error } = await supabase.from("warning_logs").select("*");
-
-  if (error) return res.status(400).json({ error: error.message });
-  res.json(data);
+router.get("/", requireRole("moderator"), async (req, res) => {
+  try {
+    res.json(await warnings.list());
+  } catch (error) {
+    sendDatabaseError(res, error);
+  }
 });
 
 // Get warnings by user
-router.get("/user/:email", async (req, res) => {
+router.get("/user/:email", requireRole("moderator"), async (req, res) => {
   const { email } = req.params;
 
-  const { data, error } = await supabase
-    .from("warning_logs")
-    .select("*")
-    .eq("user_email", email);
-
-  if (error) return res.status(400).json({ error: error.message });
-  res.json(data);
+  try {
+    res.json(await warnings.listByUser(email.toLowerCase()));
+  } catch (error) {
+    sendDatabaseError(res, error);
+  }
 });
 
 export default router;
@@ -0,0 +1,67 @@
+// backend/routes/moderation.js
+// Moderator view of the report queue; see services/moderation.js. Mounted
+// behind requireRole("moderator").
+import express from "express";
+import { moderation } from "../repositories/index.js";
+import { decide, AUTO_CONFIRM } from "../services/moderation.js";
+import { MODERATION_STATUSES } from "../services/schema.js";
+import { validateBody, sendError, sendDatabaseError } from "../services/validation.js";
+
+const router = express.Router();
+
+// POST /moderation/:id/<action> and the status it sets
+const ACTIONS = {
+  confirm: "confirmed",
+  reject: "rejected",
+  "needs-info": "needs_info"
+};
+
+// List queue entries, newest activity first; ?status=pending by default,
+// ?status=all for everything. ?status=unreviewed lists the auto-confirmed
+// entries, whose sites aren't synced to installs until a moderator confirms
+// them as well.
+router.get("/", async (req, res) => {
+  const status = req.query.status || "pending";
+  if (!["all", "unreviewed"].includes(status) && !MODERATION_STATUSES.includes(status)) {
+    return sendError(res, 400, "invalid_status", `status must be one of all, unreviewed, ${MODERATION_STATUSES.join(", ")}`);
+  }
+
+  try {
+    const entries = status === "unreviewed"
+      ? (await moderation.list("confirmed")).filter(entry => entry.decided_by === "auto")
+      : await moderation.list(status === "all" ? undefined : status);
+    res.json({ entries, auto_confirm: AUTO_CONFIRM });
+  } catch (error) {
+    sendDatabaseError(res, error);
+  }
+});
+
+// Get one queue entry
+router.get("/:id", async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) return sendError(res, 400, "invalid_id", "id must be a number");
+
+  try {
+    const entry = await moderation.find(req.params.id);
+    if (!entry) return sendError(res, 404, "not_found", "No such queue entry");
+    res.json(entry);
+  } catch (error) {
+    sendDatabaseError(res, error);
+  }
+});
+
+// Confirm, reject or ask for more information on an entry
+router.post("/:id/:action", validateBody("moderationDecision"), async (req, res) => {
+  const status = ACTIONS[req.params.action];
+  if (!status) return sendError(res, 404, "unknown_action", `action must be one of ${Object.keys(ACTIONS).join(", ")}`);
+  if (!/^\d+$/.test(req.params.id)) return sendError(res, 400, "invalid_id", "id must be a number");
+
+  try {
+    const entry = await moderation.find(req.params.id);
+    if (!entry) return sendError(res, 404, "not_found", "No such queue entry");
+    res.json({ success: true, entry: await decide(entry, status, { ...req.valid, decided_by: req.auth.name }) });
+  } catch (error) {
+    sendDatabaseError(res, error);
+  }
+});
+
+export default router;
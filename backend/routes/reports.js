@@ -1,32 +1,33 @@
 // backend/routes/reports.js
 import express from "express";
-import { supabase } from "../services/supabase.js";
+import { reports } from "../repositories/index.js";
+import { siteIdentity } from "../services/siteIdentity.js";
+import { validateBody, sendDatabaseError } from "../services/validation.js";
+import { reportRateLimits } from "../services/rateLimit.js";
+import { requireRole } from "../services/auth.js";
 
 const router = express.Router();
 
-// Add new report
-router.post("/", async (req, res) => {
-  const { user_email, reported_url, reason_flagged } = req.body;
+// Add new report. Unlike POST /report this only records it; it doesn't join
+// the moderation queue.
+router.post("/", requireRole("client"), validateBody("report"), reportRateLimits, async (req, res) => {
+  const report = req.valid;
 
-  const { error } = await supabase.from("user_reports").insert([
-    {
-      user_email,
-      reported_url,
-      reason_flagged,
-      timestamp: new Date()
-    }
-  ]);
-
-  if (error) return res.status(400).json({ error: error.message });
-  res.json({ success: true });
+  try {
+    await reports.add({ ...report, site_identity: siteIdentity(report.domain_url) });
+    res.json({ success: true });
+  } catch (error) {
+    sendDatabaseError(res, error);
+  }
 });
 
 // Get all reports
-router.get("/", async (req, res) => {
-  const { data, error } = await supabase.from("user_reports").select("*");
-
-  if (error) return res.status(400).json({ error: error.message });
-  res.json(data);
+router.get("/", requireRole("moderator"), async (req, res) => {
+  try {
+    res.json(await reports.list());
+  } catch (error) {
+    sendDatabaseError(res, error);
+  }
 });
 
 export default router;
@@ -0,0 +1,74 @@
+// backend/scripts/migrate.js
+// Versioned SQL migrations live in migrations/NNN_name.sql; each records its
+// version in schema_migrations as its last statement. The Supabase client
+// can't run DDL, so this prints the pending migrations, in order, for psql
+// or the Supabase SQL editor:
+//
+//   node scripts/migrate.js | psql "$DATABASE_URL" -v ON_ERROR_STOP=1 --single-transaction
+//   node scripts/migrate.js --status    # applied and pending versions
+//   node scripts/migrate.js --all       # every migration, ignoring the database
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const MIGRATIONS_DIR = path.join(__dirname, "../migrations");
+const MIGRATION_FILE = /^(\d{3})_[\w-]+\.sql$/;
+
+function parseArgs(argv) {
+  return {
+    status: argv.includes("--status"),
+    all: argv.includes("--all")
+  };
+}
+
+async function listMigrations() {
+  const files = await fs.promises.readdir(MIGRATIONS_DIR);
+  return files
+    .filter(file => MIGRATION_FILE.test(file))
+    .sort()
+    .map(file => ({ version: MIGRATION_FILE.exec(file)[1], file }));
+}
+
+// Versions already applied; none when schema_migrations doesn't exist yet
+async function appliedVersions() {
+  const { supabase } = await import("../services/supabase.js");
+  const { data, error } = await supabase.from("schema_migrations").select("version");
+
+  if (error) {
+    if (error.code === "42P01" || /schema_migrations/.test(error.message)) return new Set();
+    throw new Error(`schema_migrations: ${error.message}`);
+  }
+  return new Set(data.map(row => row.version));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const migrations = await listMigrations();
+  const applied = args.all ? new Set() : await appliedVersions();
+  const pending = migrations.filter(migration => !applied.has(migration.version));
+
+  if (args.status) {
+    migrations.forEach(migration => {
+      console.log(`${applied.has(migration.version) ? "applied" : "pending"}  ${migration.file}`);
+    });
+    return;
+  }
+
+  if (pending.length === 0) {
+    console.error("Database is up to date");
+    return;
+  }
+
+  for (const migration of pending) {
+    const sql = await fs.promises.readFile(path.join(MIGRATIONS_DIR, migration.file), "utf8");
+    process.stdout.write(`-- ${migration.file}\n${sql.trimEnd()}\n\n`);
+  }
+  console.error(`${pending.length} pending migration(s): ${pending.map(migration => migration.version).join(", ")}`);
+}
+
+main().catch(error => {
+  console.error("Migration failed:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,198 @@
+// backend/scripts/train-classifier.js
+// Trains the extension's offline text classifier: a logistic regression over
+// word unigrams and bigrams. Labelled pages come from user_reports (reports
+// a reviewer has labelled, and reports of sites a moderator has confirmed as
+// scams) and warning_logs rows a reviewer has labelled, plus the seed
+// examples in fixtures/classifier-seed.json.
+//
+//   node scripts/train-classifier.js [--no-db] [--no-seed] [--output file]
+//
+// The output goes to the extension's models/classifier.json, the bundled
+// fallback, which GET /classifier/model serves too: there is one copy of the
+// model to keep up to date.
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { LABELS } from "../services/schema.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const SEED_FILE = path.join(__dirname, "../fixtures/classifier-seed.json");
+const DEFAULT_OUTPUT = path.join(__dirname, "../../models/classifier.json");
+
+const MIN_DOC_FREQUENCY = 2;
+const MAX_FEATURES = 5000;
+const EPOCHS = 300;
+const LEARNING_RATE = 0.5;
+const L2 = 0.01;
+const MIN_WEIGHT = 0.01;
+const MAX_TOKENS = 3000;
+
+// Must match tokenize() in lib/classifier.js
+function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/\d+/g, "#")
+    .split(/[^a-z#₦]+/)
+    .filter(token => token.length > 1 || token === "#" || token === "₦")
+    .slice(0, MAX_TOKENS);
+}
+
+function features(tokens) {
+  const found = new Set(tokens);
+  for (let i = 0; i < tokens.length - 1; i++) {
+    found.add(`${tokens[i]} ${tokens[i + 1]}`);
+  }
+  return found;
+}
+
+function parseArgs(argv) {
+  const args = { db: true, seed: true, output: DEFAULT_OUTPUT };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--no-db") args.db = false;
+    else if (argv[i] === "--no-seed") args.seed = false;
+    else if (argv[i] === "--output") args.output = path.resolve(argv[++i]);
+  }
+  return args;
+}
+
+// =============================================================================
+// TRAINING DATA
+// =============================================================================
+
+async function loadDatabaseExamples() {
+  const { reports, warnings, sites } = await import("../repositories/index.js");
+  const reportRows = await reports.trainingRows();
+  const logs = await warnings.trainingRows();
+  const confirmed = new Set((await sites.listReviewed()).map(site => site.site_identity));
+
+  // An unlabelled report is one person's claim until a moderator confirms
+  // its site; until then it is left out rather than taken as a scam
+  return [
+    ...reportRows.map(row => ({
+      text: row.page_text,
+      label: row.label || (confirmed.has(row.site_identity) ? "scam" : null)
+    })),
+    ...logs.map(row => ({ text: row.page_text, label: row.label }))
+  ];
+}
+
+async function loadExamples(args) {
+  const examples = [];
+  if (args.seed) {
+    examples.push(...JSON.parse(await fs.promises.readFile(SEED_FILE, "utf8")));
+  }
+  if (args.db) {
+    examples.push(...await loadDatabaseExamples());
+  }
+  return examples.filter(example => example.text && LABELS.includes(example.label));
+}
+
+// =============================================================================
+// LOGISTIC REGRESSION
+// =============================================================================
+
+function buildVocabulary(docs) {
+  const frequency = new Map();
+  docs.forEach(doc => doc.features.forEach(feature => {
+    frequency.set(feature, (frequency.get(feature) || 0) + 1);
+  }));
+
+  return [...frequency.entries()]
+    .filter(([, count]) => count >= MIN_DOC_FREQUENCY)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, MAX_FEATURES)
+    .map(([feature]) => feature);
+}
+
+// Full-batch gradient descent on binary feature presence, with classes
+// weighted so a skewed dataset doesn't just learn the majority label
+function train(docs, vocabulary) {
+  const index = new Map(vocabulary.map((feature, i) => [feature, i]));
+  const rows = docs.map(doc => ({
+    columns: [...doc.features].filter(feature => index.has(feature)).map(feature => index.get(feature)),
+    y: doc.label === "scam" ? 1 : 0
+  }));
+
+  const positives = rows.filter(row => row.y === 1).length;
+  const classWeight = {
+    1: rows.length / (2 * Math.max(positives, 1)),
+    0: rows.length / (2 * Math.max(rows.length - positives, 1))
+  };
+
+  const weights = new Float64Array(vocabulary.length);
+  let bias = 0;
+
+  for (let epoch = 0; epoch < EPOCHS; epoch++) {
+    const gradient = new Float64Array(vocabulary.length);
+    let biasGradient = 0;
+
+    rows.forEach(row => {
+      const logit = row.columns.reduce((sum, column) => sum + weights[column], bias);
+      const error = (1 / (1 + Math.exp(-logit)) - row.y) * classWeight[row.y];
+      row.columns.forEach(column => { gradient[column] += error; });
+      biasGradient += error;
+    });
+
+    for (let i = 0; i < weights.length; i++) {
+      weights[i] -= LEARNING_RATE * (gradient[i] / rows.length + L2 * weights[i]);
+    }
+    bias -= LEARNING_RATE * biasGradient / rows.length;
+  }
+
+  return { weights, bias, rows };
+}
+
+function accuracy(rows, weights, bias) {
+  const correct = rows.filter(row => {
+    const logit = row.columns.reduce((sum, column) => sum + weights[column], bias);
+    return (logit >= 0 ? 1 : 0) === row.y;
+  }).length;
+  return rows.length ? correct / rows.length : 0;
+}
+
+// =============================================================================
+// MAIN
+// =============================================================================
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const examples = await loadExamples(args);
+  const scams = examples.filter(example => example.label === "scam").length;
+
+  if (scams === 0 || scams === examples.length) {
+    throw new Error(`Need both scam and legitimate examples (got ${scams} of ${examples.length} as scam)`);
+  }
+
+  const docs = examples.map(example => ({ label: example.label, features: features(tokenize(example.text)) }));
+  const vocabulary = buildVocabulary(docs);
+  const { weights, bias, rows } = train(docs, vocabulary);
+
+  // fromEntries defines own keys, so no feature can land on the prototype
+  const kept = Object.fromEntries(vocabulary
+    .map((feature, i) => [feature, weights[i]])
+    .filter(([, weight]) => Math.abs(weight) >= MIN_WEIGHT)
+    .map(([feature, weight]) => [feature, Number(weight.toFixed(4))]));
+
+  const body = { bias: Number(bias.toFixed(4)), weights: kept };
+  const version = crypto.createHash("sha1").update(JSON.stringify(body)).digest("hex").slice(0, 16);
+  const model = {
+    version,
+    trained_at: new Date().toISOString(),
+    examples: { scam: scams, legitimate: examples.length - scams },
+    ...body
+  };
+
+  await fs.promises.mkdir(path.dirname(args.output), { recursive: true });
+  await fs.promises.writeFile(args.output, JSON.stringify(model, null, 2) + "\n");
+
+  console.log(`Trained on ${examples.length} examples (${scams} scam), ${Object.keys(kept).length} features`);
+  console.log(`Training accuracy ${(accuracy(rows, weights, bias) * 100).toFixed(1)}%, version ${version}`);
+  console.log(`Wrote ${args.output}`);
+}
+
+main().catch(error => {
+  console.error("Training failed:", error.message);
+  process.exit(1);
+});
@@ -1,137 +1,80 @@
 // backend/server.js
 import express from "express";
 import cors from "cors";
-import { supabase } from "./services/supabase.js"; // <- make sure supabase.js exports named { supabase }
+import { reports, storageAdapterName } from "./repositories/index.js";
+import { siteIdentity } from "./services/siteIdentity.js";
+import { queueReport } from "./services/moderation.js";
+import { reportRateLimits } from "./services/rateLimit.js";
+import { authenticate, requireRole, corsOptions } from "./services/auth.js";
+import { validateBody, sendDatabaseError, bodyErrorHandler } from "./services/validation.js";
 
 import blacklistRoutes from "./routes/blacklist.js";
 import reportRoutes from "./routes/reports.js";
 import warningRoutes from "./routes/logs.js";
 import keywordRoutes from "./routes/keywords.js";
+import domainAgeRoutes from "./routes/domainAge.js";
+import accountRoutes from "./routes/accounts.js";
+import contactRoutes from "./routes/contacts.js";
+import expandRoutes from "./routes/expand.js";
+import classifierRoutes from "./routes/classifier.js";
+import moderationRoutes from "./routes/moderation.js";
 
 const app = express();
-app.use(cors());
+// Behind a reverse proxy, TRUST_PROXY (e.g. "1" or "loopback") lets req.ip,
+// and so the per-address report limit, see the client's address
+if (process.env.TRUST_PROXY) app.set("trust proxy", /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+app.use(cors(corsOptions));
 app.use(express.json());
+app.use(authenticate);
 
-// Helper function to check if URL is already blacklisted
-async function isUrlBlacklisted(url) {
-  const { data, error } = await supabase
-    .from("blacklisted_sites")
-    .select("id")
-    .eq("domain_url", url)
-    .single();
-  
-  return !error && data;
-}
-
-// Helper function to add URL to blacklist
-async function addToBlacklist(url, reason_flagged, reporterEmail) {
-  try {
-    const { data, error } = await supabase
-      .from("blacklisted_sites")
-      .insert([{
-        domain_url: url,
-        reason_flagged: reason_flagged,
-        added_by: reporterEmail || 'auto-report-system',
-        date_added: new Date().toISOString()
-      }]);
-    
-    if (error) {
-      console.error("Error adding to blacklist:", error);
-      return { success: false, error };
-    }
-    
-    console.log(`✅ Auto-blacklisted: ${url}`);
-    return { success: true, data };
-  } catch (err) {
-    console.error("Exception adding to blacklist:", err);
-    return { success: false, error: err };
-  }
-}
-
-// Route: Add report (now with auto-blacklisting)
-app.post("/report", async (req, res) => {
-  const { url, reason_flagged, email } = req.body;
+// Route: Add report. The report joins the moderation queue for its site;
+// the site is only blacklisted once its queue entry is confirmed.
+app.post("/report", requireRole("client"), validateBody("report"), reportRateLimits, async (req, res) => {
+  const report = req.valid;
   
   try {
-    // Step 1: Add the report to user_reports table
-    const { data: reportData, error: reportError } = await supabase
-      .from("user_reports")
-      .insert([{
-        domain_url: url,
-        reason_flagged: reason_flagged,
-        user_email: email
-      }]);
-    
-    if (reportError) {
-      return res.status(400).json({ error: reportError.message });
-    }
+    // Step 1: Add the report to user_reports table, with the extension's
+    // per-rule findings when it scanned the reported site itself
+    const reportData = await reports.add({ ...report, site_identity: siteIdentity(report.domain_url) });
     
-    // Step 2: Check if URL is already blacklisted
-    const alreadyBlacklisted = await isUrlBlacklisted(url);
+    // Step 2: Queue it for moderation, auto-confirming past the thresholds
+    const entry = await queueReport(reportData, { address: req.ip });
+    const blacklisted = entry.status === "confirmed";
     
-    let blacklistResult = null;
-    
-    if (!alreadyBlacklisted) {
-      // Step 3: Auto-add to blacklist if not already there
-      blacklistResult = await addToBlacklist(url, reason_flagged, email);
-      
-      if (!blacklistResult.success) {
-        console.warn(`Failed to auto-blacklist ${url}:`, blacklistResult.error);
-        // Still return success for the report, even if blacklisting failed
-        return res.json({
-          success: true,
-          data: reportData,
-          blacklisted: false,
-          blacklist_error: blacklistResult.error?.message || "Unknown error"
-        });
-      }
-    }
-    
-    // Step 4: Return success response
     res.json({
       success: true,
       data: reportData,
-      blacklisted: !alreadyBlacklisted,
-      already_blacklisted: !!alreadyBlacklisted,
-      message: alreadyBlacklisted 
-        ? "Report submitted. URL was already blacklisted." 
-        : "Report submitted and URL automatically added to blacklist."
+      moderation_status: entry.status,
+      blacklisted,
+      message: blacklisted
+        ? "Report submitted. The site is on the blacklist."
+        : "Report submitted for review."
     });
     
   } catch (error) {
-    console.error("Error processing report:", error);
-    res.status(500).json({ error: "Internal server error" });
+    sendDatabaseError(res, error);
   }
 });
 
-// Route: Get blacklist
-app.get("/blacklist", async (req, res) => {
-  const { data, error } = await supabase.from("blacklisted_sites").select("*");
-  if (error) return res.status(500).json({ error: error.message });
-  res.json(data);
-});
-
-// Route: Log warning
-app.post("/logs", async (req, res) => {
-  const { domain_url, detection_score, keywords } = req.body;
-  const { error } = await supabase.from("warning_logs").insert([
-    { domain_url, detection_score, keywords, time_detected: new Date().toISOString() }
-  ]);
-  if (error) return res.status(500).json({ error: error.message });
-  res.json({ success: true });
-});
-
-// Mount routers
+// Mount routers. /logs is the extension's name for /warnings.
 app.use("/blacklist", blacklistRoutes);
 app.use("/reports", reportRoutes);
-app.use("/warnings", warningRoutes);
+app.use(["/warnings", "/logs"], warningRoutes);
 app.use("/keywords", keywordRoutes);
+app.use("/domain-age", domainAgeRoutes);
+app.use("/accounts", accountRoutes);
+app.use("/contacts", contactRoutes);
+app.use("/expand", expandRoutes);
+app.use("/classifier", classifierRoutes);
+app.use("/moderation", requireRole("moderator"), moderationRoutes);
 
 app.get("/", (req, res) => res.send("Fountain Scan Backend Running"));
 
+app.use(bodyErrorHandler);
+
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () =>
-  console.log(`🚀 Fountain Scan backend running at http://localhost:${PORT}`)
+  console.log(`🚀 Fountain Scan backend running at http://localhost:${PORT} (storage: ${storageAdapterName()})`)
 );
 
 export default app;
\ No newline at end of file
@@ -0,0 +1,113 @@
+// backend/services/auth.js
+// API-key roles. Keys are configured per role as comma-separated
+// `name:key` pairs (the name is optional and ends up in audit fields such
+// as a moderation entry's decided_by):
+//
+//   ADMIN_API_KEYS=ada:2f9c...,ops:81be...
+//   MODERATOR_API_KEYS=bola:c04d...
+//   CLIENT_API_KEYS=extension:5a1e...
+//
+// and sent as `Authorization: Bearer <key>` or `X-API-Key: <key>`. Each role
+// may do everything the roles below it may: admin > moderator > client.
+//
+// The client key ships inside the extension, so it identifies traffic
+// rather than keeping anyone out. While CLIENT_API_KEYS is unset, routes
+// that only need the client role stay open so the extension works against
+// a local backend without configuration; moderator and admin routes are
+// always closed without a key. Since anyone can reach the client routes,
+// none of them changes what other users are warned about on its own:
+// reports of sites, accounts and contacts are only recorded until a
+// moderator reviews them or enough different people report the same thing
+// (services/moderation.js).
+import crypto from "crypto";
+import dotenv from "dotenv";
+import { sendError } from "./validation.js";
+
+dotenv.config();
+
+export const ROLES = ["client", "moderator", "admin"];
+
+function hash(key) {
+  return crypto.createHash("sha256").update(key).digest();
+}
+
+function parseKeys(role) {
+  return (process.env[`${role.toUpperCase()}_API_KEYS`] || "")
+    .split(",")
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.lastIndexOf(":");
+      const name = separator > 0 ? entry.slice(0, separator) : role;
+      return { role, name, hash: hash(separator > 0 ? entry.slice(separator + 1) : entry) };
+    });
+}
+
+const KEYS = ROLES.flatMap(parseKeys);
+const CLIENT_KEYS_REQUIRED = KEYS.some(key => key.role === "client");
+
+function presentedKey(req) {
+  const header = req.get("Authorization");
+  if (header && /^Bearer\s+/i.test(header)) return header.replace(/^Bearer\s+/i, "").trim();
+  return req.get("X-API-Key") || null;
+}
+
+// Compare hashes so every comparison takes the same time
+function findKey(key) {
+  const digest = hash(key);
+  return KEYS.find(candidate => crypto.timingSafeEqual(candidate.hash, digest)) || null;
+}
+
+// App-wide middleware: leaves { role, name } on req.auth for a valid key,
+// null without one, and rejects unknown keys outright
+export function authenticate(req, res, next) {
+  const key = presentedKey(req);
+  if (!key) {
+    req.auth = null;
+    return next();
+  }
+
+  const match = findKey(key);
+  if (!match) return sendError(res, 401, "invalid_api_key", "API key is not valid");
+  req.auth = { role: match.role, name: match.name };
+  next();
+}
+
+// Does the request carry a key with `role` or a role above it?
+export function hasRole(req, role) {
+  return !!req.auth && ROLES.indexOf(req.auth.role) >= ROLES.indexOf(role);
+}
+
+// Route middleware letting through `role` and the roles above it
+export function requireRole(role) {
+  if (!ROLES.includes(role)) throw new Error(`Unknown role ${role}`);
+
+  return (req, res, next) => {
+    if (!req.auth) {
+      if (role === "client" && !CLIENT_KEYS_REQUIRED) return next();
+      return sendError(res, 401, "authentication_required", `This route needs an API key with the ${role} role`);
+    }
+    if (!hasRole(req, role)) {
+      return sendError(res, 403, "forbidden", `This route needs the ${role} role`);
+    }
+    next();
+  };
+}
+
+// CORS origins: CORS_ORIGINS lists the extension's and admin UI's origins,
+// e.g. "chrome-extension://<id>,https://admin.example.org". Without it any
+// extension origin is allowed, and no web page is.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "").split(",").map(origin => origin.trim()).filter(Boolean);
+
+export const corsOptions = {
+  origin(origin, callback) {
+    // Requests without an Origin (curl, other servers) aren't subject to CORS
+    if (!origin) return callback(null, true);
+    const allowed = CORS_ORIGINS.length > 0
+      ? CORS_ORIGINS.includes(origin)
+      : origin.startsWith("chrome-extension://");
+    callback(null, allowed);
+  },
+  allowedHeaders: ["Content-Type", "Authorization", "X-API-Key", "If-None-Match"],
+  exposedHeaders: ["ETag", "Retry-After"]
+};
@@ -0,0 +1,119 @@
+// backend/services/domainAge.js
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const CACHE_TTL_MS = Number(process.env.DOMAIN_AGE_CACHE_TTL_MS) || 24 * 60 * 60 * 1000;
+const NEGATIVE_CACHE_TTL_MS = 60 * 60 * 1000;
+const LOOKUP_TIMEOUT_MS = 5000;
+
+// Second-level suffixes where the registrable domain has three labels
+const MULTI_PART_SUFFIXES = [
+  "com.ng", "org.ng", "gov.ng", "edu.ng", "net.ng", "sch.ng", "mil.ng", "name.ng", "mobi.ng",
+  "co.uk", "org.uk", "ac.uk", "co.za", "com.gh", "edu.gh", "co.ke", "com.au"
+];
+
+// Reduce a hostname to the domain that was actually registered,
+// e.g. apply.jamb-portal.com.ng -> jamb-portal.com.ng
+export function registrableDomain(hostname) {
+  const labels = hostname.toLowerCase().replace(/^www\./, "").replace(/\.$/, "").split(".");
+  if (labels.length <= 2) return labels.join(".");
+
+  const lastTwo = labels.slice(-2).join(".");
+  const keep = MULTI_PART_SUFFIXES.includes(lastTwo) ? 3 : 2;
+  return labels.slice(-keep).join(".");
+}
+
+// =============================================================================
+// PROVIDERS
+// =============================================================================
+// A provider is { name, lookup(domain) } where lookup resolves to
+// { registered_at, registrar } or null when the domain is unknown.
+
+const providers = {};
+
+export function registerDomainAgeProvider(name, provider) {
+  providers[name] = provider;
+}
+
+// RDAP: the registry-operated successor to WHOIS, queried through the
+// rdap.org bootstrap redirector
+registerDomainAgeProvider("rdap", {
+  async lookup(domain) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), LOOKUP_TIMEOUT_MS);
+
+    try {
+      const response = await fetch(`https://rdap.org/domain/${encodeURIComponent(domain)}`, {
+        headers: { Accept: "application/rdap+json" },
+        signal: controller.signal
+      });
+
+      if (response.status === 404) return null;
+      if (!response.ok) throw new Error(`RDAP lookup failed with status ${response.status}`);
+
+      const data = await response.json();
+      const registration = (data.events || []).find(e => e.eventAction === "registration");
+      const registrarEntity = (data.entities || []).find(e => (e.roles || []).includes("registrar"));
+      const registrarName = registrarEntity?.vcardArray?.[1]?.find(field => field[0] === "fn")?.[3];
+
+      if (!registration) return null;
+      return {
+        registered_at: new Date(registration.eventDate).toISOString(),
+        registrar: registrarName || null
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+});
+
+// Fixture: reads fixtures/domain-ages.json for local development and tests
+registerDomainAgeProvider("fixture", {
+  async lookup(domain) {
+    const file = process.env.DOMAIN_AGE_FIXTURE_FILE || path.join(__dirname, "../fixtures/domain-ages.json");
+    const fixtures = JSON.parse(await fs.promises.readFile(file, "utf8"));
+    return fixtures[domain] || null;
+  }
+});
+
+// =============================================================================
+// LOOKUP WITH CACHE
+// =============================================================================
+
+const cache = new Map();
+
+export async function lookupDomainAge(hostname) {
+  const domain = registrableDomain(hostname);
+  const cached = cache.get(domain);
+  if (cached && cached.expires > Date.now()) {
+    return cached.result && { ...cached.result, cached: true };
+  }
+
+  const providerName = process.env.DOMAIN_AGE_PROVIDER || "rdap";
+  const provider = providers[providerName];
+  if (!provider) throw new Error(`Unknown domain age provider: ${providerName}`);
+
+  const record = await provider.lookup(domain);
+  const result = record
+    ? {
+        domain,
+        registered_at: record.registered_at,
+        registrar: record.registrar || null,
+        age_days: Math.floor((Date.now() - new Date(record.registered_at).getTime()) / 86400000),
+        source: providerName
+      }
+    : null;
+
+  cache.set(domain, {
+    result,
+    expires: Date.now() + (result ? CACHE_TTL_MS : NEGATIVE_CACHE_TTL_MS)
+  });
+
+  return result && { ...result, cached: false };
+}
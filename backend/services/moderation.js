@@ -0,0 +1,223 @@
+// backend/services/moderation.js
+// Reports no longer blacklist a site on their own. Each report joins the
+// moderation queue entry for its site identity, and the site only reaches
+// blacklisted_sites once the entry is confirmed: by a moderator through
+// /moderation, or automatically when enough distinct people report it. A
+// high score from the extension's own scan of the site lowers how many
+// people that takes, but the score is whatever the client sent, so it never
+// confirms a site on its own.
+//
+// Reporter IDs are chosen by the client, so a new ID counts for only a
+// fraction of a person; IDs earn weight as moderators confirm what they
+// reported. Reports must also come from as many different addresses as the
+// threshold asks for people, so one machine inventing IDs gets nowhere.
+import crypto from "crypto";
+import dotenv from "dotenv";
+import { sites, moderation, reputation } from "../repositories/index.js";
+import { siteIdentity } from "./siteIdentity.js";
+
+dotenv.config();
+
+// Statuses a new report can still auto-confirm; moderator decisions stick
+const OPEN_STATUSES = ["pending", "needs_info"];
+
+// Every report without a reporter ID or email counts as the same reporter,
+// with no track record
+const ANONYMOUS_REPORTER = "anonymous";
+
+// What a reporter with no moderated reports counts for
+const NEW_REPORTER_WEIGHT = 0.25;
+// Moderated reports' worth of NEW_REPORTER_WEIGHT assumed for everyone
+const REPUTATION_PRIOR = 2;
+
+// added_by of sites the thresholds confirmed; migrations/007 relies on it
+const AUTO_ADDED_BY = "moderation-auto";
+
+// Outcomes that count towards a reporter's track record
+const OUTCOMES = { confirmed: "confirmed_count", rejected: "rejected_count" };
+
+// A threshold from the environment; "0" or "off" disables it
+function threshold(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value === "") return fallback;
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : Infinity;
+}
+
+export const AUTO_CONFIRM = {
+  // Distinct reporters of the same site identity, weighted by reputation
+  reporters: threshold("MODERATION_MIN_REPORTERS", 3),
+  // detection_score the extension gave the site when it was reported...
+  score: threshold("MODERATION_AUTO_CONFIRM_SCORE", 90),
+  // ...and the reporters, weighted the same way, still needed with it.
+  // Never below 2, so a single report can't confirm anything.
+  scoreReporters: Math.max(2, threshold("MODERATION_SCORE_MIN_REPORTERS", 2))
+};
+
+function reporterOf(report) {
+  return report.reporter_id || report.user_email || ANONYMOUS_REPORTER;
+}
+
+// Addresses are kept hashed; the queue only needs to tell them apart
+function addressKey(address) {
+  return address ? crypto.createHash("sha256").update(address).digest("hex").slice(0, 16) : null;
+}
+
+// How much one reporter counts towards AUTO_CONFIRM.reporters: twice their
+// smoothed precision, so NEW_REPORTER_WEIGHT with no track record,
+// approaching 2 for a reporter who is always right and 0 for one who is
+// always wrong
+export function reporterWeight(record) {
+  const confirmed = record ? record.confirmed_count : 0;
+  const rejected = record ? record.rejected_count : 0;
+  return (2 * confirmed + NEW_REPORTER_WEIGHT * REPUTATION_PRIOR) / (confirmed + rejected + REPUTATION_PRIOR);
+}
+
+// Combined weight of an entry's reporters
+export async function reportersWeight(reporters) {
+  const known = reporters.filter(reporter => reporter !== ANONYMOUS_REPORTER);
+  const records = known.length ? await reputation.findByReporters(known) : [];
+  return reporters.reduce((total, reporter) => {
+    return total + reporterWeight(records.find(record => record.reporter === reporter));
+  }, 0);
+}
+
+// Do the entry's reporters reach `needed` people, by weight and by the
+// number of addresses they reported from?
+function enoughReporters(entry, weight, needed) {
+  return weight >= needed && entry.reporter_addresses.length >= Math.ceil(needed);
+}
+
+// Has an entry been reported by AUTO_CONFIRM.reporters people? Reported
+// accounts and contacts need this, or a moderator's review, before lookups
+// return them.
+export async function isCorroborated(entry) {
+  return enoughReporters(entry, await reportersWeight(entry.reporters), AUTO_CONFIRM.reporters);
+}
+
+// An entry's reporters and reporter addresses once `report`, sent from
+// `address`, is added to them
+export function withReporter(entry, report, address) {
+  const reporter = reporterOf(report);
+  const addressHash = addressKey(address);
+  return {
+    reporters: entry.reporters.includes(reporter) ? entry.reporters : [...entry.reporters, reporter],
+    reporter_addresses: !addressHash || entry.reporter_addresses.includes(addressHash)
+      ? entry.reporter_addresses
+      : [...entry.reporter_addresses, addressHash]
+  };
+}
+
+// Why an entry qualifies for auto-confirmation, or null
+export function autoConfirmReason(entry, weight) {
+  if (enoughReporters(entry, weight, AUTO_CONFIRM.reporters)) {
+    return `Reported by ${entry.reporters.length} people (weight ${weight.toFixed(1)})`;
+  }
+  if (entry.max_detection_score !== null && entry.max_detection_score >= AUTO_CONFIRM.score &&
+      enoughReporters(entry, weight, AUTO_CONFIRM.scoreReporters)) {
+    return `Scored ${entry.max_detection_score} when reported by ${entry.reporters.length} people (weight ${weight.toFixed(1)})`;
+  }
+  return null;
+}
+
+// Copy a confirmed entry onto the blacklist, unless its site is already
+// there. Auto-confirmed sites are added unreviewed, which keeps them off the
+// community list synced to installs until a moderator confirms them too.
+async function publish(entry, addedBy) {
+  const reviewed = addedBy !== AUTO_ADDED_BY;
+  const existing = await sites.findByIdentity(entry.site_identity);
+  if (existing.length > 0) {
+    if (reviewed) await sites.markReviewed(entry.site_identity);
+    return;
+  }
+
+  await sites.add({
+    domain_url: entry.domain_url,
+    site_identity: entry.site_identity,
+    reason_flagged: entry.reason_flagged,
+    added_by: addedBy,
+    reviewed
+  });
+  console.log(`✅ Blacklisted after moderation: ${entry.site_identity}${reviewed ? "" : " (awaiting review)"}`);
+}
+
+// Add a stored report, sent from `address`, to its site's queue entry,
+// auto-confirming the entry when it now meets a threshold. Resolves to the
+// entry.
+export async function queueReport(report, { address } = {}) {
+  const identity = siteIdentity(report.domain_url);
+  const score = report.detection_score ?? null;
+  const existing = await moderation.findByIdentity(identity);
+
+  let entry;
+  if (existing) {
+    entry = await moderation.update(existing.id, {
+      report_count: existing.report_count + 1,
+      ...withReporter(existing, report, address),
+      max_detection_score: score === null ? existing.max_detection_score : Math.max(score, existing.max_detection_score ?? 0),
+      reason_flagged: existing.reason_flagged || report.reason_flagged,
+      updated_at: new Date()
+    });
+  } else {
+    entry = await moderation.add({
+      site_identity: identity,
+      domain_url: report.domain_url,
+      reason_flagged: report.reason_flagged,
+      ...withReporter({ reporters: [], reporter_addresses: [] }, report, address),
+      max_detection_score: score
+    });
+  }
+
+  const reason = OPEN_STATUSES.includes(entry.status) && autoConfirmReason(entry, await reportersWeight(entry.reporters));
+  return reason ? decide(entry, "confirmed", { decided_by: "auto", note: reason }) : entry;
+}
+
+// Move an entry's reporters' track records from one outcome to another.
+// Only moderator decisions count: auto-confirmation is the reporters' own
+// doing, so it would only reinforce itself.
+async function recordOutcome(entry, before, after) {
+  if (before === after) return;
+
+  const reporters = entry.reporters.filter(reporter => reporter !== ANONYMOUS_REPORTER);
+  if (reporters.length === 0) return;
+  const records = await reputation.findByReporters(reporters);
+
+  for (const reporter of reporters) {
+    const record = records.find(candidate => candidate.reporter === reporter);
+    const counts = { confirmed_count: record ? record.confirmed_count : 0, rejected_count: record ? record.rejected_count : 0 };
+    if (before) counts[before] = Math.max(0, counts[before] - 1);
+    if (after) counts[after] += 1;
+
+    if (record) {
+      await reputation.update(record.id, { ...counts, updated_at: new Date() });
+    } else {
+      await reputation.add({ reporter, ...counts });
+    }
+  }
+}
+
+function outcomeOf(status, decider) {
+  return decider === "auto" ? null : OUTCOMES[status] || null;
+}
+
+// Record a decision on a queue entry. Confirming puts the site on the
+// blacklist; moving a confirmed entry to any other status takes it off again.
+export async function decide(entry, status, { decided_by, note } = {}) {
+  const decider = decided_by || "moderator";
+  await recordOutcome(entry, outcomeOf(entry.status, entry.decided_by), outcomeOf(status, decider));
+
+  if (status === "confirmed") {
+    await publish(entry, decider === "auto" ? AUTO_ADDED_BY : decider);
+  } else if (entry.status === "confirmed") {
+    await sites.removeByIdentity(entry.site_identity);
+    console.log(`Removed from blacklist after moderation: ${entry.site_identity}`);
+  }
+
+  return moderation.update(entry.id, {
+    status,
+    decided_by: decider,
+    decision_note: note || null,
+    decided_at: new Date(),
+    updated_at: new Date()
+  });
+}
@@ -0,0 +1,57 @@
+// backend/services/rateLimit.js
+// Fixed-window request limits kept in process memory. Counts reset when the
+// server restarts and aren't shared between instances, which is enough to
+// stop one install or one address flooding the report queue.
+import dotenv from "dotenv";
+import { sendError } from "./validation.js";
+
+dotenv.config();
+
+const WINDOW_MS = Number(process.env.REPORT_LIMIT_WINDOW_MS) || 60 * 60 * 1000;
+
+// Express middleware allowing `limit` requests per key per window. Requests
+// without a key (key(req) returns nothing) aren't limited by it.
+export function rateLimit({ name, limit, windowMs = WINDOW_MS, key }) {
+  const buckets = new Map();
+
+  return (req, res, next) => {
+    const id = key(req);
+    if (!id) return next();
+
+    const now = Date.now();
+    if (buckets.size > 10000) {
+      buckets.forEach((bucket, bucketKey) => {
+        if (bucket.resetAt <= now) buckets.delete(bucketKey);
+      });
+    }
+
+    let bucket = buckets.get(id);
+    if (!bucket || bucket.resetAt <= now) {
+      bucket = { count: 0, resetAt: now + windowMs };
+      buckets.set(id, bucket);
+    }
+
+    bucket.count++;
+    if (bucket.count > limit) {
+      res.set("Retry-After", String(Math.ceil((bucket.resetAt - now) / 1000)));
+      return sendError(res, 429, "rate_limited", `Too many ${name}; try again later`);
+    }
+    next();
+  };
+}
+
+// Reports of sites, accounts and contacts, limited per reporter ID and per
+// client address. Run after validateBody() so the reporter ID has been
+// checked.
+export const reportRateLimits = [
+  rateLimit({
+    name: "reports from this reporter",
+    limit: Number(process.env.REPORT_LIMIT_PER_REPORTER) || 10,
+    key: req => req.valid.reporter_id
+  }),
+  rateLimit({
+    name: "reports from this address",
+    limit: Number(process.env.REPORT_LIMIT_PER_IP) || 30,
+    key: req => req.ip
+  })
+];
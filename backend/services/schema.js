@@ -0,0 +1,120 @@
+// backend/services/schema.js
+// The one description of the backend's data: which table each kind of
+// record lives in and which fields a POST may set on it. Routes build their
+// rows from the validated input (see services/validation.js) instead of
+// picking names out of req.body, so every route writes the same columns.
+// Must match migrations/; columns the server fills in (site_identity,
+// created_at, report counts) are not listed as input.
+
+export const TABLES = {
+  sites: "blacklisted_sites",
+  reports: "user_reports",
+  warnings: "warning_logs",
+  keywords: "detection_keywords",
+  accounts: "reported_accounts",
+  contacts: "reported_contacts",
+  moderation: "moderation_queue",
+  reputation: "reporter_reputation",
+  // Written by a trigger on blacklisted_sites (migrations/005)
+  blacklistChanges: "blacklist_changes"
+};
+
+export const LABELS = ["scam", "legitimate"];
+export const SEVERITIES = ["low", "medium", "high", "critical"];
+// Languages the extension has packs for; see LANGUAGE_NAMES in lib/engine.js
+export const LANGUAGES = ["en", "pcm", "yo", "ha", "ig"];
+export const CHANNEL_TYPES = ["phone", "whatsapp", "telegram", "email"];
+// Only confirmed queue entries are on the blacklist; see services/moderation.js
+export const MODERATION_STATUSES = ["pending", "confirmed", "rejected", "needs_info"];
+
+export const MAX_LOOKUP_BATCH = 50;
+export const MAX_SYNC_CHANGES = 1000;
+export const MAX_REPORT_FINDINGS = 50;
+// Page text kept as classifier training data
+export const MAX_PAGE_TEXT = 10000;
+
+const REASON = { type: "text", max: 1000 };
+// Bank and account names are shown to every user whose page quotes the
+// account, so they are kept to the characters real names use
+const NAME_PATTERN = /^[\p{L}\p{N} .,&'()-]+$/u;
+// Anonymous per-install ID the extension creates on its first report
+const REPORTER_ID = { type: "text", max: 64, pattern: /^[A-Za-z0-9-]{8,64}$/, patternMessage: "must be an install ID" };
+const PAGE_TEXT = { type: "text", max: MAX_PAGE_TEXT, truncate: true };
+
+// Field specs: { type, required, max, min, values, items, maxItems, aliases,
+// default, truncate }. `aliases` are older body names still accepted, e.g.
+// `url` and `reported_url` for domain_url.
+export const INPUTS = {
+  site: {
+    domain_url: { type: "url", required: true, aliases: ["url", "domain"] },
+    reason_flagged: REASON,
+    added_by: { type: "text", max: 254 }
+  },
+
+  report: {
+    domain_url: { type: "url", required: true, aliases: ["url", "reported_url"] },
+    reason_flagged: { ...REASON, required: true },
+    user_email: { type: "email", aliases: ["email"] },
+    reporter_id: REPORTER_ID,
+    findings: { type: "array", items: { type: "object" }, maxItems: MAX_REPORT_FINDINGS, truncate: true, default: [] },
+    detection_score: { type: "integer", min: 0, max: 100 },
+    page_text: PAGE_TEXT
+  },
+
+  warning: {
+    domain_url: { type: "url" },
+    detection_score: { type: "integer", min: 0, max: 100 },
+    keywords: { type: "array", items: { type: "text", max: 100 }, maxItems: 20, truncate: true, default: [] },
+    message: { type: "text", max: 1000 },
+    severity: { type: "enum", values: SEVERITIES },
+    source: { type: "text", max: 50 },
+    user_email: { type: "email" },
+    page_text: PAGE_TEXT,
+    label: { type: "enum", values: LABELS }
+  },
+
+  keyword: {
+    keyword: { type: "text", required: true, max: 200 },
+    severity: { type: "enum", values: SEVERITIES, default: "medium" },
+    category: { type: "text", max: 50, default: "general" },
+    language: { type: "enum", values: LANGUAGES, default: "en" }
+  },
+
+  account: {
+    account_number: { type: "text", required: true, pattern: /^\d{10}$/, patternMessage: "must be a 10-digit NUBAN" },
+    bank_name: { type: "text", max: 100, pattern: NAME_PATTERN, patternMessage: "may only contain letters, digits, spaces and . , & ' ( ) -" },
+    account_name: { type: "text", max: 200, pattern: NAME_PATTERN, patternMessage: "may only contain letters, digits, spaces and . , & ' ( ) -" },
+    reason_flagged: REASON,
+    source_url: { type: "url" },
+    reporter_id: REPORTER_ID
+  },
+
+  accountLookup: {
+    account_numbers: { type: "array", required: true, items: { type: "text", max: 20 }, maxItems: MAX_LOOKUP_BATCH }
+  },
+
+  // channel_value is checked against its type by routes/contacts.js once
+  // normalized
+  contact: {
+    channel_type: { type: "enum", required: true, values: CHANNEL_TYPES },
+    channel_value: { type: "text", required: true, max: 200 },
+    reason_flagged: REASON,
+    source_url: { type: "url" },
+    reporter_id: REPORTER_ID
+  },
+
+  contactLookup: {
+    channels: { type: "array", required: true, items: { type: "object" }, maxItems: MAX_LOOKUP_BATCH }
+  },
+
+  // The decision itself is in the path, e.g. POST /moderation/12/confirm;
+  // the deciding moderator is the API key's name
+  moderationDecision: {
+    note: { type: "text", max: 1000 }
+  }
+};
+
+// Inputs that are only valid with at least one of these fields set
+export const REQUIRE_ONE_OF = {
+  warning: ["domain_url", "message"]
+};
@@ -0,0 +1,44 @@
+// backend/services/siteIdentity.js
+// What a reported URL identifies. Scam forms live on platforms anyone can
+// publish to (docs.google.com/forms, sites.google.com, *.blogspot.com...),
+// so reports and the blacklist key on the form or site itself rather than
+// the platform's hostname. Must match HOSTED_PLATFORMS and siteIdentity()
+// in the extension's lib/engine.js.
+
+const HOSTED_PLATFORMS = [
+  { id: "google-forms", hosts: ["docs.google.com"], path: /^\/forms\/(?:u\/\d+\/)?d\/(?:e\/)?[\w-]+/i },
+  { id: "google-docs", hosts: ["docs.google.com"], path: /^\/(?:document|spreadsheets|presentation)\/(?:u\/\d+\/)?d\/(?:e\/)?[\w-]+/i },
+  { id: "google-sites", hosts: ["sites.google.com"], path: /^\/(?:u\/\d+\/)?(?:view|site)\/[\w.-]+/i },
+  { id: "blogspot", suffix: "blogspot.com" },
+  { id: "wixsite", suffix: "wixsite.com", path: /^\/[\w.-]+/i },
+  { id: "netlify", suffix: "netlify.app" }
+];
+
+function onPlatform(platform, host) {
+  return platform.hosts
+    ? platform.hosts.includes(host)
+    : host === platform.suffix || host.endsWith("." + platform.suffix);
+}
+
+// "https://docs.google.com/forms/d/e/<id>/viewform" -> "docs.google.com/forms/d/e/<id>",
+// "https://www.example.com/page" -> "example.com". Null for unparseable input.
+export function siteIdentity(url) {
+  let parsed;
+  try {
+    parsed = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(url) ? url : `https://${url}`);
+  } catch (_) {
+    return null;
+  }
+
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, "");
+  const platforms = HOSTED_PLATFORMS.filter(platform => onPlatform(platform, host));
+  const subdomain = platforms.some(platform => platform.suffix && host !== platform.suffix);
+
+  for (const platform of platforms) {
+    const match = platform.path && platform.path.exec(parsed.pathname);
+    if (match && (platform.hosts || subdomain)) {
+      return host + match[0].toLowerCase().replace(/\/u\/\d+(?=\/)/, "");
+    }
+  }
+  return host;
+}
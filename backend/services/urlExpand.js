@@ -0,0 +1,224 @@
+// backend/services/urlExpand.js
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const CACHE_TTL_MS = Number(process.env.URL_EXPAND_CACHE_TTL_MS) || 6 * 60 * 60 * 1000;
+const INCOMPLETE_CACHE_TTL_MS = 10 * 60 * 1000;
+const MAX_HOPS = Number(process.env.URL_EXPAND_MAX_HOPS) || 10;
+const HOP_TIMEOUT_MS = 5000;
+const TOTAL_TIMEOUT_MS = 15000;
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// =============================================================================
+// SAFETY CHECKS
+// =============================================================================
+// The server follows links users found on scam pages, so it must never be
+// pointed at itself or at anything on a private network.
+
+function isPrivateIPv4(address) {
+  const [a, b] = address.split(".").map(Number);
+  return a === 0 || a === 10 || a === 127 ||
+    (a === 100 && b >= 64 && b <= 127) ||
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 0) ||
+    (a === 192 && b === 168) ||
+    (a === 198 && (b === 18 || b === 19)) ||
+    a >= 224;
+}
+
+// The 16 bytes of an IPv6 address in any notation ("::", "::1",
+// "::ffff:7f00:1", "::ffff:127.0.0.1", "fe80::1%eth0"), or null
+function ipv6Bytes(address) {
+  let text = address.replace(/%.*$/, "");
+  const dotted = /(\d+\.\d+\.\d+\.\d+)$/.exec(text);
+  if (dotted) {
+    if (!net.isIPv4(dotted[1])) return null;
+    const [a, b, c, d] = dotted[1].split(".").map(Number);
+    text = text.slice(0, -dotted[1].length) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const halves = text.split("::");
+  if (halves.length > 2) return null;
+  const head = halves[0] ? halves[0].split(":") : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(":") : [];
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+
+  const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill("0"), ...tail];
+  if (groups.some(group => !/^[0-9a-f]{1,4}$/i.test(group))) return null;
+  return groups.flatMap(group => {
+    const value = parseInt(group, 16);
+    return [value >> 8, value & 0xff];
+  });
+}
+
+function startsWith(bytes, prefix) {
+  return prefix.every((byte, index) => bytes[index] === byte);
+}
+
+const ZEROS_96 = Array(12).fill(0);
+
+export function isPrivateAddress(address) {
+  if (net.isIPv4(address)) return isPrivateIPv4(address);
+
+  const bytes = ipv6Bytes(address);
+  if (!bytes) return true;
+  const embedded = offset => isPrivateIPv4(bytes.slice(offset, offset + 4).join("."));
+
+  // ::, ::1 and the IPv4-compatible ::a.b.c.d
+  if (startsWith(bytes, ZEROS_96)) return true;
+  // IPv4-mapped ::ffff:a.b.c.d, however it was written
+  if (startsWith(bytes, [...Array(10).fill(0), 0xff, 0xff])) return embedded(12);
+  // NAT64: the well-known 64:ff9b::/96 carries an IPv4 address; the
+  // local-use 64:ff9b:1::/48 translates to the operator's own network
+  if (startsWith(bytes, [0, 0x64, 0xff, 0x9b, ...Array(8).fill(0)])) return embedded(12);
+  if (startsWith(bytes, [0, 0x64, 0xff, 0x9b, 0, 1])) return true;
+  // 6to4 2002:a.b.c.d::/48
+  if (startsWith(bytes, [0x20, 0x02])) return embedded(2);
+
+  return (bytes[0] & 0xfe) === 0xfc ||                     // fc00::/7 unique local
+    (bytes[0] === 0xfe && (bytes[1] & 0xc0) === 0x80) ||    // fe80::/10 link-local
+    (bytes[0] === 0xfe && (bytes[1] & 0xc0) === 0xc0) ||    // fec0::/10 site-local
+    bytes[0] === 0xff;                                       // multicast
+}
+
+function privateAddressError(hostname) {
+  return new Error(`Refusing to follow URL on a private address: ${hostname}`);
+}
+
+// Literal addresses are checked here; hostnames are checked as they are
+// resolved for the request itself (see publicLookup)
+function assertPublicUrl(url) {
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new Error(`Refusing to follow ${url.protocol} URL`);
+  }
+  if (url.username || url.password) {
+    throw new Error("Refusing to follow URL with credentials");
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+    throw privateAddressError(url.hostname);
+  }
+}
+
+// DNS lookup for each hop's connection. Checking the addresses here, rather
+// than in a lookup of our own beforehand, means the address that passed is
+// the one connected to: a second resolution can't swap in a private one.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || addresses.some(entry => isPrivateAddress(entry.address))) {
+      return callback(privateAddressError(hostname));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// =============================================================================
+// EXPANSION WITH CACHE
+// =============================================================================
+
+function sendRequest(url, method, signal) {
+  const client = url.protocol === "https:" ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(url, {
+      method,
+      signal,
+      lookup: publicLookup,
+      headers: { "User-Agent": "FountainScan-Expander/1.0" }
+    }, response => {
+      // Only the status and Location matter; drop the connection and body
+      response.destroy();
+      resolve({ status: response.statusCode, location: response.headers.location || null });
+    });
+    request.on("error", reject);
+    request.end();
+  });
+}
+
+// One request without following redirects. Some shorteners reject HEAD, so
+// fall back to GET and discard the body.
+async function requestHop(url, signal) {
+  let response = await sendRequest(url, "HEAD", signal);
+  if (response.status === 405 || response.status === 501) {
+    response = await sendRequest(url, "GET", signal);
+  }
+  return response;
+}
+
+const cache = new Map();
+
+// Follow redirects from `rawUrl` one hop at a time. Resolves to
+// { url, final_url, hops: [{ url, status }], complete, error, cached } where
+// `complete` is false when a limit or error stopped the walk early.
+export async function expandUrl(rawUrl) {
+  const start = new URL(rawUrl).href;
+  const cached = cache.get(start);
+  if (cached && cached.expires > Date.now()) {
+    return { ...cached.result, cached: true };
+  }
+
+  const hops = [];
+  const deadline = Date.now() + TOTAL_TIMEOUT_MS;
+  let current = new URL(start);
+  let complete = false;
+  let error = null;
+
+  try {
+    while (hops.length < MAX_HOPS) {
+      if (Date.now() > deadline) throw new Error("Expansion timed out");
+      assertPublicUrl(current);
+
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), Math.min(HOP_TIMEOUT_MS, deadline - Date.now()));
+      let response;
+      try {
+        response = await requestHop(current, controller.signal);
+      } finally {
+        clearTimeout(timer);
+      }
+
+      hops.push({ url: current.href, status: response.status });
+
+      const { location } = response;
+      if (!REDIRECT_STATUSES.includes(response.status) || !location) {
+        complete = true;
+        break;
+      }
+
+      const next = new URL(location, current);
+      if (hops.some(hop => hop.url === next.href)) throw new Error("Redirect loop");
+      current = next;
+    }
+
+    if (!complete) {
+      error = `Stopped after ${MAX_HOPS} redirects`;
+      hops.push({ url: current.href, status: null });
+    }
+  } catch (err) {
+    error = err.name === "AbortError" ? "Request timed out" : err.message;
+    // Record where we were headed even though it was not fetched
+    if (!hops.some(hop => hop.url === current.href)) hops.push({ url: current.href, status: null });
+  }
+
+  const result = {
+    url: start,
+    final_url: hops[hops.length - 1].url,
+    hops,
+    complete,
+    error
+  };
+
+  cache.set(start, { result, expires: Date.now() + (complete ? CACHE_TTL_MS : INCOMPLETE_CACHE_TTL_MS) });
+  return { ...result, cached: false };
+}
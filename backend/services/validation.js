@@ -0,0 +1,140 @@
+// backend/services/validation.js
+// Request validation against the field specs in services/schema.js. Every
+// 4xx response has the same shape, so the extension and admin tools can
+// show `error` and point at the offending fields:
+//   { error: "human-readable summary", code: "machine_code", fields: [{ field, message }] }
+import { INPUTS, REQUIRE_ONE_OF } from "./schema.js";
+
+const MAX_URL_LENGTH = 2048;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+export function sendError(res, status, code, message, fields) {
+  return res.status(status).json(fields && fields.length ? { error: message, code, fields } : { error: message, code });
+}
+
+// Storage failures are the server's problem, not the client's
+export function sendDatabaseError(res, error) {
+  console.error("Database error:", error);
+  return sendError(res, 500, "database_error", error.message || "Database error");
+}
+
+function checkValue(spec, value) {
+  switch (spec.type) {
+    case "text": {
+      if (typeof value !== "string") return { message: "must be a string" };
+      const text = value.trim();
+      if (!text) return { empty: true };
+      if (spec.max && text.length > spec.max) {
+        return spec.truncate ? { value: text.slice(0, spec.max) } : { message: `must be at most ${spec.max} characters` };
+      }
+      if (spec.pattern && !spec.pattern.test(text)) return { message: spec.patternMessage || "has an invalid format" };
+      return { value: text };
+    }
+    case "url": {
+      if (typeof value !== "string" || !value.trim()) return typeof value === "string" ? { empty: true } : { message: "must be a string" };
+      let parsed;
+      try {
+        parsed = new URL(value.trim());
+      } catch (_) {
+        return { message: "must be an absolute http(s) URL" };
+      }
+      if (parsed.protocol !== "http:" && parsed.protocol !== "https:") return { message: "must be an absolute http(s) URL" };
+      if (parsed.href.length > MAX_URL_LENGTH) return { message: `must be at most ${MAX_URL_LENGTH} characters` };
+      return { value: parsed.href };
+    }
+    case "email": {
+      if (typeof value !== "string") return { message: "must be a string" };
+      const email = value.trim().toLowerCase();
+      if (!email) return { empty: true };
+      return EMAIL_PATTERN.test(email) && email.length <= 254 ? { value: email } : { message: "must be an email address" };
+    }
+    case "integer": {
+      const number = typeof value === "string" && value.trim() ? Number(value) : value;
+      if (!Number.isInteger(number)) return { message: "must be a whole number" };
+      if ((spec.min !== undefined && number < spec.min) || (spec.max !== undefined && number > spec.max)) {
+        return { message: `must be between ${spec.min} and ${spec.max}` };
+      }
+      return { value: number };
+    }
+    case "enum": {
+      const choice = typeof value === "string" ? value.trim().toLowerCase() : value;
+      if (choice === "") return { empty: true };
+      return spec.values.includes(choice) ? { value: choice } : { message: `must be one of ${spec.values.join(", ")}` };
+    }
+    case "object":
+      return value && typeof value === "object" && !Array.isArray(value) ? { value } : { message: "must be an object" };
+    case "array": {
+      if (!Array.isArray(value)) return { message: "must be an array" };
+      if (spec.maxItems && value.length > spec.maxItems && !spec.truncate) {
+        return { message: `must have at most ${spec.maxItems} items` };
+      }
+      const items = [];
+      for (const [index, item] of value.slice(0, spec.maxItems || value.length).entries()) {
+        const result = checkValue(spec.items, item);
+        if (result.message) return { message: `item ${index} ${result.message}` };
+        if (!result.empty) items.push(result.value);
+      }
+      return { value: items };
+    }
+    default:
+      throw new Error(`Unknown field type ${spec.type}`);
+  }
+}
+
+// Returns { value, fields }: the cleaned input holding only the spec's
+// fields (under their canonical names), and one entry per invalid field
+export function validate(spec, body) {
+  const input = body && typeof body === "object" && !Array.isArray(body) ? body : {};
+  const value = {};
+  const fields = [];
+
+  Object.entries(spec).forEach(([name, field]) => {
+    const key = [name, ...(field.aliases || [])].find(candidate => input[candidate] !== undefined && input[candidate] !== null);
+    const result = key === undefined ? { empty: true } : checkValue(field, input[key]);
+
+    if (result.message) {
+      fields.push({ field: name, message: `${name} ${result.message}` });
+    } else if (!result.empty) {
+      value[name] = result.value;
+    } else if (field.required) {
+      fields.push({ field: name, message: `${name} is required` });
+    } else if (field.default !== undefined) {
+      value[name] = field.default;
+    }
+  });
+
+  return { value, fields };
+}
+
+// Express middleware validating req.body as INPUTS[name]; the cleaned
+// input is left on req.valid
+export function validateBody(name) {
+  const spec = INPUTS[name];
+  if (!spec) throw new Error(`No input schema named ${name}`);
+
+  return (req, res, next) => {
+    const { value, fields } = validate(spec, req.body);
+
+    const oneOf = REQUIRE_ONE_OF[name];
+    if (fields.length === 0 && oneOf && !oneOf.some(field => value[field] !== undefined)) {
+      fields.push({ field: oneOf[0], message: `one of ${oneOf.join(", ")} is required` });
+    }
+
+    if (fields.length > 0) {
+      return sendError(res, 400, "validation_failed", fields.map(field => field.message).join("; "), fields);
+    }
+    req.valid = value;
+    next();
+  };
+}
+
+// Malformed or oversized JSON bodies, reported in the same shape
+export function bodyErrorHandler(error, req, res, next) {
+  if (error.type === "entity.parse.failed") {
+    return sendError(res, 400, "invalid_json", "Request body is not valid JSON");
+  }
+  if (error.type === "entity.too.large") {
+    return sendError(res, 413, "body_too_large", "Request body is too large");
+  }
+  next(error);
+}
@@ -0,0 +1,101 @@
+// backend/test/moderation.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// Fresh in-memory storage for this file, whatever .env says
+process.env.STORAGE_ADAPTER = "memory";
+delete process.env.STORAGE_FILE;
+
+const { sites, reputation } = await import("../repositories/index.js");
+const { queueReport, reporterWeight, decide } = await import("../services/moderation.js");
+
+function report(url, fields = {}) {
+  return { domain_url: url, reason_flagged: "scam", detection_score: null, ...fields };
+}
+
+test("one report with score 100 stays pending", async () => {
+  const entry = await queueReport(report("https://unilag.edu.ng/", { detection_score: 100 }));
+
+  assert.equal(entry.status, "pending");
+  assert.deepEqual(await sites.findByIdentity("unilag.edu.ng"), []);
+});
+
+test("the same reporter reporting again with score 100 stays pending", async () => {
+  const url = "https://portal.example.edu.ng/apply";
+  for (let i = 0; i < 5; i++) {
+    const entry = await queueReport(report(url, { detection_score: 100, user_email: "one@example.com" }));
+    assert.equal(entry.status, "pending");
+  }
+  assert.deepEqual(await sites.findByIdentity("portal.example.edu.ng"), []);
+});
+
+test("made-up reporter IDs from one address don't confirm a site", async () => {
+  let entry;
+  for (const reporter_id of ["fake-id-0001", "fake-id-0002", "fake-id-0003"]) {
+    entry = await queueReport(report("https://jamb.gov.ng/", { reporter_id, detection_score: 100 }), { address: "203.0.113.7" });
+  }
+
+  assert.equal(entry.status, "pending");
+  assert.equal(entry.reporter_addresses.length, 1);
+  assert.deepEqual(await sites.findByIdentity("jamb.gov.ng"), []);
+});
+
+test("new reporter IDs count for much less than a person", () => {
+  assert.equal(reporterWeight(undefined), 0.25);
+  assert.ok(reporterWeight({ confirmed_count: 8, rejected_count: 0 }) > 1.5);
+  assert.ok(reporterWeight({ confirmed_count: 0, rejected_count: 5 }) < 0.1);
+});
+
+test("new reporters from enough addresses confirm a site", async () => {
+  let entry;
+  // Anonymous reports are one reporter however many addresses send them
+  for (let i = 1; i <= 12; i++) {
+    entry = await queueReport(report("https://many-reports.example/"), { address: `198.51.100.${i}` });
+  }
+  assert.equal(entry.status, "pending");
+
+  for (let i = 1; i <= 12; i++) {
+    entry = await queueReport(report("https://many-reports.example/", { reporter_id: `new-reporter-${i}` }), {
+      address: `198.51.100.${i}`
+    });
+  }
+  assert.equal(entry.status, "confirmed");
+  assert.equal((await sites.findByIdentity("many-reports.example")).length, 1);
+});
+
+test("a high score lowers the reporters needed, weighted by reputation", async () => {
+  for (const reporter of ["trusted-0001", "trusted-0002"]) {
+    await reputation.add({ reporter, confirmed_count: 2, rejected_count: 0 });
+  }
+
+  const unscored = "https://unscored.example/";
+  await queueReport(report(unscored, { reporter_id: "trusted-0001" }), { address: "192.0.2.1" });
+  const pending = await queueReport(report(unscored, { reporter_id: "trusted-0002" }), { address: "192.0.2.2" });
+  assert.equal(pending.status, "pending");
+
+  const scored = "https://scored.example/";
+  await queueReport(report(scored, { reporter_id: "trusted-0001", detection_score: 95 }), { address: "192.0.2.1" });
+  const confirmed = await queueReport(report(scored, { reporter_id: "trusted-0002" }), { address: "192.0.2.2" });
+  assert.equal(confirmed.status, "confirmed");
+});
+
+test("auto-confirmed sites wait for a moderator before they are synced", async () => {
+  const url = "https://held-back.example/";
+  let entry;
+  for (let i = 1; i <= 12; i++) {
+    entry = await queueReport(report(url, { reporter_id: `held-reporter-${i}` }), { address: `198.51.100.${100 + i}` });
+  }
+  assert.equal(entry.status, "confirmed");
+
+  const synced = async () => (await sites.changesSince(0, 1000)).filter(change => change.site_identity === "held-back.example");
+  assert.equal((await sites.findByIdentity("held-back.example")).length, 1);
+  assert.equal((await sites.listReviewed()).some(site => site.site_identity === "held-back.example"), false);
+  assert.deepEqual(await synced(), []);
+
+  await decide(entry, "confirmed", { decided_by: "bola" });
+  assert.equal((await sites.listReviewed()).some(site => site.site_identity === "held-back.example"), true);
+  assert.deepEqual((await synced()).map(change => change.action), ["add"]);
+
+  await decide({ ...entry, status: "confirmed", decided_by: "bola" }, "rejected", { decided_by: "bola" });
+  assert.deepEqual((await synced()).map(change => change.action), ["add", "remove"]);
+});
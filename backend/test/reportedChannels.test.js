@@ -0,0 +1,84 @@
+// backend/test/reportedChannels.test.js
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+
+// Fresh in-memory storage for this file, whatever .env says, and client
+// routes open without a key as they are out of the box
+process.env.STORAGE_ADAPTER = "memory";
+delete process.env.STORAGE_FILE;
+delete process.env.CLIENT_API_KEYS;
+process.env.MODERATOR_API_KEYS = "bola:test-moderator-key";
+
+const { default: express } = await import("express");
+const { authenticate } = await import("../services/auth.js");
+const { default: accountRoutes } = await import("../routes/accounts.js");
+const { default: contactRoutes } = await import("../routes/contacts.js");
+
+const app = express();
+app.use(express.json());
+app.use(authenticate);
+app.use("/accounts", accountRoutes);
+app.use("/contacts", contactRoutes);
+
+const server = app.listen(0);
+const base = `http://127.0.0.1:${server.address().port}`;
+after(() => server.close());
+
+const MODERATOR = { "X-API-Key": "test-moderator-key" };
+
+async function post(path, body, headers = {}) {
+  const response = await fetch(`${base}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body)
+  });
+  return response.json();
+}
+
+async function get(path) {
+  return (await fetch(`${base}${path}`)).json();
+}
+
+test("an anonymous account report is recorded but not looked up", async () => {
+  const result = await post("/accounts", { account_number: "0123456789", bank_name: "GTBank" });
+  assert.equal(result.success, true);
+  assert.equal(result.listed, false);
+
+  assert.deepEqual((await post("/accounts/lookup", { account_numbers: ["0123456789"] })).matches, []);
+  assert.equal((await get("/accounts/0123456789")).reported, false);
+});
+
+test("an anonymous contact report is recorded but not looked up", async () => {
+  const result = await post("/contacts", { channel_type: "phone", channel_value: "08031234567" });
+  assert.equal(result.success, true);
+  assert.equal(result.listed, false);
+
+  const lookup = await post("/contacts/lookup", { channels: [{ type: "phone", value: "08031234567" }] });
+  assert.deepEqual(lookup.matches, []);
+  assert.equal((await get("/contacts/phone/08031234567")).reported, false);
+});
+
+test("one client repeating a report doesn't get it listed", async () => {
+  for (let i = 0; i < 5; i++) {
+    const result = await post("/accounts", { account_number: "1234567890", reporter_id: `made-up-id-${i}` });
+    assert.equal(result.listed, false);
+  }
+  assert.deepEqual((await post("/accounts/lookup", { account_numbers: ["1234567890"] })).matches, []);
+});
+
+test("the pending lists need a moderator", async () => {
+  assert.equal((await fetch(`${base}/accounts/pending`)).status, 401);
+  assert.equal((await fetch(`${base}/contacts/pending`)).status, 401);
+
+  const pending = await (await fetch(`${base}/accounts/pending`, { headers: MODERATOR })).json();
+  assert.ok(pending.some(account => account.account_number === "0123456789"));
+});
+
+test("a moderator's report lists the account and contact", async () => {
+  assert.equal((await post("/accounts", { account_number: "0123456789" }, MODERATOR)).listed, true);
+  assert.equal((await post("/contacts", { channel_type: "phone", channel_value: "08031234567" }, MODERATOR)).listed, true);
+
+  const accounts = (await post("/accounts/lookup", { account_numbers: ["0123456789"] })).matches;
+  assert.deepEqual(accounts.map(account => account.account_number), ["0123456789"]);
+  assert.equal((await get("/contacts/phone/08031234567")).reported, true);
+});
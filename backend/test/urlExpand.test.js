@@ -0,0 +1,64 @@
+// backend/test/urlExpand.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { isPrivateAddress, expandUrl } from "../services/urlExpand.js";
+
+test("loopback and unspecified IPv6 addresses are private in every notation", () => {
+  for (const address of ["::", "::1", "0:0:0:0:0:0:0:0", "0:0:0:0:0:0:0:1", "0000::0001", "::0:1"]) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+});
+
+test("IPv4-mapped and IPv4-compatible addresses are checked as IPv4", () => {
+  for (const address of ["::ffff:127.0.0.1", "::ffff:7f00:1", "::FFFF:7F00:0001", "0:0:0:0:0:ffff:a00:1",
+    "::ffff:a9fe:a9fe", "::127.0.0.1", "::7f00:1"]) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  assert.equal(isPrivateAddress("::ffff:808:808"), false);
+  assert.equal(isPrivateAddress("::ffff:8.8.8.8"), false);
+});
+
+test("NAT64 and 6to4 addresses are checked by the IPv4 address inside", () => {
+  for (const address of ["64:ff9b::7f00:1", "64:ff9b::127.0.0.1", "64:ff9b::c0a8:101", "64:ff9b:1::808:808",
+    "2002:7f00:1::", "2002:a00:1::1"]) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  assert.equal(isPrivateAddress("64:ff9b::808:808"), false);
+  assert.equal(isPrivateAddress("2002:808:808::1"), false);
+});
+
+test("local, link-local and multicast ranges are private", () => {
+  for (const address of ["fc00::1", "fd12:3456::1", "fe80::1", "fe80::1%eth0", "febf::1", "fec0::1", "ff02::1",
+    "10.0.0.1", "127.0.0.1", "169.254.169.254", "172.16.0.1", "192.168.1.1", "100.64.0.1", "0.0.0.0"]) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+});
+
+test("public addresses pass and malformed ones don't", () => {
+  for (const address of ["8.8.8.8", "41.58.1.1", "2001:4860:4860::8888", "2606:4700::1111"]) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+  for (const address of ["1::2::3", "12345::1", "1:2:3:4:5:6:7:8:9", "::ffff:999.0.0.1"]) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+});
+
+test("expansion refuses private hosts however the URL spells them", async t => {
+  let requests = 0;
+  const server = http.createServer((req, res) => {
+    requests++;
+    res.writeHead(302, { Location: "https://example.com/" }).end();
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+  const { port } = server.address();
+
+  // localhost is only caught when the request's own lookup resolves it
+  for (const host of ["127.0.0.1", "[::ffff:127.0.0.1]", "[::ffff:7f00:1]", "localhost"]) {
+    const result = await expandUrl(`http://${host}:${port}/`);
+    assert.equal(result.complete, false, host);
+    assert.match(result.error, /private address/, host);
+  }
+  assert.equal(requests, 0);
+});
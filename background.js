@@ -2,36 +2,31 @@
 // FOUNTAIN SCAN CHROME EXTENSION - BACKGROUND SERVICE WORKER
 // =============================================================================
 
+importScripts('lib/i18n.js', 'lib/engine.js', 'lib/brands.js', 'lib/classifier.js');
+
+const { domainMatches, isListed, parseListEntry, siteIdentity } = FountainScanEngine;
+const t = FountainScanI18n.t;
+
 // =============================================================================
 // CONSTANTS AND CONFIGURATION
 // =============================================================================
 
-const RULE_WEIGHTS = {
-  https: 10,
-  domainAge: 15,
-  blacklistHit: 70,
-  keyword: 10,
-  suspiciousTld: 15,
-  urlShortener: 10
-};
+const API_BASE_URL = 'http://localhost:5000';
 
-// Nigerian-specific keyword patterns
-const NIGERIAN_SCAM_PATTERNS = {
-  scholarship: ['free-scholarship', 'guaranteed-scholarship', 'instant-scholarship', 'scholarship-winner'],
-  financial: ['instant-money', 'guaranteed-loan', 'easy-cash', 'quick-loan', 'nin', 'bvn'],
-  government: ['npower', 'jamb-result', 'waec-result', 'inec-recruitment', 'nnpc-recruitment'],
-  urgency: ['urgent', 'limited-time', 'expires-soon', 'act-now', 'deadline-today']
-};
+const RULE_SYNC_ALARM = 'fountain_scan_rule_sync';
+const RULE_SYNC_PERIOD_MINUTES = 6 * 60; // every 6 hours
+const BUNDLED_CLASSIFIER_PATH = 'models/classifier.json';
 
-const SUSPICIOUS_PATTERNS = [
-  'verify-account', 'update-information', 'confirm-identity',
-  'security-alert', 'account-suspended', 'click-here-now',
-  'work-from-home', 'get-rich-quick', 'Bank-Verification-Number',
-  'payment-verification'
-];
+const COMMUNITY_SYNC_ALARM = 'fountain_scan_community_sync';
+const COMMUNITY_SYNC_PERIOD_MINUTES = 60;
+const COMMUNITY_SYNC_MAX_PAGES = 20; // per sync; the rest follows next time
 
-const SUSPICIOUS_TLDS = ['.tk', '.ml', '.ga', '.cf', '.pw', '.top', '.click'];
-const URL_SHORTENERS = ['bit.ly', 'tinyurl.com', 'goo.gl', 't.co', 'short.link'];
+const DOMAIN_AGE_CACHE_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+const DOMAIN_AGE_MISS_TTL = 24 * 60 * 60 * 1000; // 1 day for unknown domains
+
+const ACCOUNT_LOOKUP_TTL = 6 * 60 * 60 * 1000; // 6 hours
+const CONTACT_LOOKUP_TTL = 6 * 60 * 60 * 1000; // 6 hours
+const URL_EXPANSION_TTL = 24 * 60 * 60 * 1000; // 1 day
 
 // =============================================================================
 // GLOBAL STATE
@@ -42,71 +37,32 @@ let settings = {
   alertsEnabled: true,
   blockingEnabled: false,
   systemLang: 'en-NG',
-  alertLang: 'en'
+  alertLang: 'en',
+  veryNewDomainDays: 30,
+  newDomainDays: 180
 };
 
 let blacklist = [];
 let whitelist = [];
+// Site identities moderators confirmed on the backend, kept apart from the
+// user's own lists so syncing never touches what the user typed
+let communityList = [];
 
 // =============================================================================
 // UTILITY FUNCTIONS
 // =============================================================================
 
-function cleanDomain(domain) {
-  return domain.replace(/^(https?:\/\/)?(www\.)?/, '').toLowerCase();
-}
-
-function domainMatches(currentDomain, listDomain) {
-  const cleanCurrent = cleanDomain(currentDomain);
-  const cleanList = cleanDomain(listDomain);
-  
-  // Exact match
-  if (cleanCurrent === cleanList) return true;
-  
-  // Subdomain match
-  if (cleanCurrent.endsWith('.' + cleanList)) return true;
-  
-  // Wildcard support
-  if (cleanList.startsWith('*.')) {
-    const baseDomain = cleanList.substring(2);
-    return cleanCurrent.endsWith('.' + baseDomain) || cleanCurrent === baseDomain;
-  }
-  
-  return false;
-}
-
-function shouldBlockDomain(domain) {
+// List entries may be hosts, paths or regexes with exceptions; on hosted
+// platforms a host entry covers the form or site, not the platform (see
+// FountainScanEngine.parseListEntry and siteIdentity)
+function shouldBlockSite(url) {
   if (!settings.blockingEnabled) return false;
   
   // Don't block if whitelisted
-  if (whitelist.some(d => domainMatches(domain, d))) return false;
+  if (isListed(url, whitelist)) return false;
   
-  // Block if blacklisted
-  return blacklist.some(d => domainMatches(domain, d));
-}
-
-function scanUrlForPatterns(url) {
-  const allPatterns = [
-    ...Object.values(NIGERIAN_SCAM_PATTERNS).flat(),
-    ...SUSPICIOUS_PATTERNS
-  ];
-  
-  const lowerUrl = url.toLowerCase();
-  let score = 0;
-  const foundPatterns = [];
-  
-  allPatterns.forEach(pattern => {
-    if (lowerUrl.includes(pattern)) {
-      score += 2;
-      foundPatterns.push(pattern);
-    }
-  });
-  
-  return {
-    score,
-    foundPatterns,
-    isDangerous: score >= 4
-  };
+  // Block if blacklisted, by the user or the community
+  return isListed(url, blacklist) || isListed(url, communityList);
 }
 
 // =============================================================================
@@ -115,10 +71,20 @@ function scanUrlForPatterns(url) {
 
 async function loadStoredData() {
   try {
-    const result = await chrome.storage.local.get(['settings', 'blacklist', 'whitelist']);
+    const result = await chrome.storage.local.get(['settings', 'blacklist', 'whitelist', 'communityList', 'rulePacks', 'classifierModel']);
     if (result.settings) settings = { ...settings, ...result.settings };
+    await FountainScanI18n.setLanguage(settings.alertLang);
     if (result.blacklist) blacklist = result.blacklist;
     if (result.whitelist) whitelist = result.whitelist;
+    if (result.communityList) communityList = result.communityList.entries;
+    if (result.rulePacks) {
+      FountainScanEngine.loadRulePacks(result.rulePacks.packs, result.rulePacks.version);
+    }
+    if (result.classifierModel) {
+      FountainScanClassifier.loadModel(result.classifierModel.model);
+    } else {
+      await loadBundledClassifier();
+    }
     
     await updateBlockingRules();
   } catch (error) {
@@ -135,81 +101,405 @@ async function saveToStorage(key, value) {
 }
 
 // =============================================================================
-// SECURITY ANALYSIS ENGINE
+// RULE PACK SYNC
 // =============================================================================
 
-async function calculateHeuristicScore(url, content, domain) {
-  let score = 0;
-  const detectedIssues = [];
-
+// Pull keyword rule packs from the backend and cache them for offline use.
+// The cached version is sent as If-None-Match so unchanged packs cost a 304.
+async function syncRulePacks() {
   try {
-    // HTTPS Check
-    if (!url.startsWith("https://")) {
-      score += RULE_WEIGHTS.https;
-      detectedIssues.push('No HTTPS encryption');
+    const { rulePacks } = await chrome.storage.local.get(['rulePacks']);
+    const headers = rulePacks?.version ? { 'If-None-Match': `"${rulePacks.version}"` } : {};
+    
+    const response = await fetch(`${API_BASE_URL}/keywords/packs`, { headers });
+    
+    if (response.status === 304) {
+      await saveToStorage('rulePacks', { ...rulePacks, checkedAt: Date.now() });
+      return;
+    }
+    if (!response.ok) {
+      throw new Error(`Rule pack sync failed with status ${response.status}`);
+    }
+    
+    const { version, packs } = await response.json();
+    if (!Array.isArray(packs)) {
+      throw new Error('Rule pack response is missing packs');
     }
+    
+    await saveToStorage('rulePacks', { version, packs, checkedAt: Date.now() });
+    FountainScanEngine.loadRulePacks(packs, version);
+    
+    console.log(`Rule packs synced (version ${version})`);
+  } catch (error) {
+    // Keep using the cached packs, or the bundled defaults if none are cached
+    console.error('Error syncing rule packs:', error);
+  }
+}
 
-    // Suspicious TLD Check
-    const suspiciousTld = SUSPICIOUS_TLDS.find(tld => domain.endsWith(tld));
-    if (suspiciousTld) {
-      score += RULE_WEIGHTS.suspiciousTld;
-      detectedIssues.push(`Suspicious domain extension: ${suspiciousTld}`);
+async function scheduleRuleSync() {
+  try {
+    const existing = await chrome.alarms.get(RULE_SYNC_ALARM);
+    if (!existing) {
+      await chrome.alarms.create(RULE_SYNC_ALARM, {
+        delayInMinutes: 1,
+        periodInMinutes: RULE_SYNC_PERIOD_MINUTES
+      });
     }
+  } catch (error) {
+    console.error('Error scheduling rule sync:', error);
+  }
+}
 
-    // URL Shortener Check
-    if (URL_SHORTENERS.some(shortener => domain.includes(shortener))) {
-      score += RULE_WEIGHTS.urlShortener;
-      detectedIssues.push('URL shortener detected');
+// =============================================================================
+// COMMUNITY LIST SYNC
+// =============================================================================
+
+// Apply blacklist changes from the backend since the stored cursor. The
+// ETag of the last response goes back as If-None-Match, so an unchanged
+// list costs a 304. A snapshot response replaces the list outright.
+async function syncCommunityList() {
+  try {
+    const { communityList: stored } = await chrome.storage.local.get(['communityList']);
+    let state = stored || { cursor: 0, etag: null, entries: [] };
+    const entries = new Set(state.entries);
+    let changed = false;
+    
+    for (let page = 0; page < COMMUNITY_SYNC_MAX_PAGES; page++) {
+      const headers = state.etag ? { 'If-None-Match': state.etag } : {};
+      const response = await fetch(`${API_BASE_URL}/blacklist/changes?since=${state.cursor}`, { headers });
+      
+      if (response.status === 304) break;
+      if (!response.ok) {
+        throw new Error(`Community list sync failed with status ${response.status}`);
+      }
+      
+      const { cursor, snapshot, more, changes } = await response.json();
+      if (!Array.isArray(changes)) {
+        throw new Error('Community list response is missing changes');
+      }
+      
+      if (snapshot) entries.clear();
+      changes.forEach(change => {
+        if (change.action === 'remove') entries.delete(change.site_identity);
+        else entries.add(change.site_identity);
+      });
+      changed = changed || snapshot || changes.length > 0;
+      state = { cursor, etag: response.headers.get('ETag'), entries: [...entries] };
+      if (!more) break;
+    }
+    
+    await saveToStorage('communityList', { ...state, checkedAt: Date.now() });
+    if (changed) {
+      communityList = state.entries;
+      await updateBlockingRules();
+      console.log(`Community list synced (${communityList.length} sites, cursor ${state.cursor})`);
     }
+  } catch (error) {
+    // Keep using the last synced list
+    console.error('Error syncing community list:', error);
+  }
+}
 
-    // Check against blacklist
-    if (blacklist.some(d => domainMatches(domain, d))) {
-      score += RULE_WEIGHTS.blacklistHit;
-      detectedIssues.push('Domain is blacklisted');
+async function scheduleCommunitySync() {
+  try {
+    const existing = await chrome.alarms.get(COMMUNITY_SYNC_ALARM);
+    if (!existing) {
+      await chrome.alarms.create(COMMUNITY_SYNC_ALARM, {
+        delayInMinutes: 1,
+        periodInMinutes: COMMUNITY_SYNC_PERIOD_MINUTES
+      });
     }
+  } catch (error) {
+    console.error('Error scheduling community list sync:', error);
+  }
+}
+
+// =============================================================================
+// CLASSIFIER MODEL
+// =============================================================================
 
-    // Check against whitelist (override other checks)
-    if (whitelist.some(d => domainMatches(domain, d))) {
-      return { score: 0, status: 'safe', issues: ['Domain is whitelisted'] };
+// Seed storage with the model shipped in the extension, so the content script
+// and popup (which read it from storage) have one before the first sync
+async function loadBundledClassifier() {
+  try {
+    const response = await fetch(chrome.runtime.getURL(BUNDLED_CLASSIFIER_PATH));
+    const model = await response.json();
+    FountainScanClassifier.loadModel(model);
+    await saveToStorage('classifierModel', { version: model.version, model, checkedAt: null });
+  } catch (error) {
+    console.error('Error loading bundled classifier model:', error);
+  }
+}
+
+// Pull a newer model trained on reported pages, the same way as rule packs
+async function syncClassifierModel() {
+  try {
+    const { classifierModel } = await chrome.storage.local.get(['classifierModel']);
+    const headers = classifierModel?.version ? { 'If-None-Match': `"${classifierModel.version}"` } : {};
+    
+    const response = await fetch(`${API_BASE_URL}/classifier/model`, { headers });
+    
+    if (response.status === 304) {
+      await saveToStorage('classifierModel', { ...classifierModel, checkedAt: Date.now() });
+      return;
+    }
+    if (!response.ok) {
+      throw new Error(`Classifier sync failed with status ${response.status}`);
     }
+    
+    const model = await response.json();
+    if (!FountainScanClassifier.loadModel(model)) {
+      throw new Error('Classifier response is not a valid model');
+    }
+    
+    await saveToStorage('classifierModel', { version: model.version, model, checkedAt: Date.now() });
+    console.log(`Classifier model synced (version ${model.version})`);
+  } catch (error) {
+    // Keep using the cached or bundled model
+    console.error('Error syncing classifier model:', error);
+  }
+}
+
+// =============================================================================
+// DOMAIN AGE LOOKUP
+// =============================================================================
 
-    // Nigerian-specific keyword detection
-    const lowerContent = content.toLowerCase();
-    const lowerUrl = url.toLowerCase();
+// Look up when a site's registrable domain was registered. Results (including
+// "not found") are cached in storage so each domain hits the backend rarely.
+async function getDomainAge(hostname) {
+  // A hosted platform's age says nothing about the form or site on it
+  if (FountainScanEngine.hostedPlatform(hostname)) return null;
+  
+  const domain = FountainScanEngine.registrableDomain(hostname);
+  if (!/\.[a-z]{2,}$/i.test(domain)) return null; // localhost, IP addresses
+  
+  const { domainAges = {} } = await chrome.storage.local.get(['domainAges']);
+  const cached = domainAges[domain];
+  if (cached && cached.expires > Date.now()) return cached.record;
+  
+  let record = null;
+  try {
+    const response = await fetch(`${API_BASE_URL}/domain-age/${encodeURIComponent(domain)}`);
     
-    Object.entries(NIGERIAN_SCAM_PATTERNS).forEach(([category, keywords]) => {
-      const foundKeywords = keywords.filter(keyword => 
-        lowerContent.includes(keyword) || lowerUrl.includes(keyword)
-      );
+    if (response.ok) {
+      const data = await response.json();
+      record = { domain, registeredAt: data.registered_at, registrar: data.registrar };
+    } else if (response.status !== 404) {
+      throw new Error(`Domain age lookup failed with status ${response.status}`);
+    }
+  } catch (error) {
+    // Backend unreachable - use a stale record if we have one, but don't cache the miss
+    console.error('Error looking up domain age:', error);
+    return cached ? cached.record : null;
+  }
+  
+  domainAges[domain] = {
+    record,
+    expires: Date.now() + (record ? DOMAIN_AGE_CACHE_TTL : DOMAIN_AGE_MISS_TTL)
+  };
+  await saveToStorage('domainAges', domainAges);
+  
+  return record;
+}
+
+// =============================================================================
+// REPORTED ACCOUNT LOOKUP
+// =============================================================================
+
+// Check NUBAN account numbers found on a page against the backend's
+// reported-accounts database. Returns the reported ones as
+// [{ accountNumber, bankName, accountName, reportCount }].
+async function lookupReportedAccounts(accountNumbers) {
+  const numbers = [...new Set(accountNumbers || [])].slice(0, 50);
+  if (numbers.length === 0) return [];
+  
+  const { accountLookups = {} } = await chrome.storage.local.get(['accountLookups']);
+  const now = Date.now();
+  const missing = numbers.filter(number => !(accountLookups[number]?.expires > now));
+  
+  if (missing.length > 0) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/accounts/lookup`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ account_numbers: missing })
+      });
+      if (!response.ok) throw new Error(`Account lookup failed with status ${response.status}`);
       
-      if (foundKeywords.length > 0) {
-        const keywordScore = foundKeywords.length * RULE_WEIGHTS.keyword;
-        score += keywordScore;
-        detectedIssues.push(`${category} scam indicators: ${foundKeywords.join(', ')}`);
-      }
-    });
+      const { matches = [] } = await response.json();
+      missing.forEach(number => {
+        const match = matches.find(m => m.account_number === number);
+        accountLookups[number] = {
+          record: match ? {
+            accountNumber: number,
+            bankName: match.bank_name,
+            accountName: match.account_name,
+            reportCount: match.report_count
+          } : null,
+          expires: now + ACCOUNT_LOOKUP_TTL
+        };
+      });
+      await saveToStorage('accountLookups', accountLookups);
+    } catch (error) {
+      // Backend unreachable - fall back to whatever is cached
+      console.error('Error looking up reported accounts:', error);
+    }
+  }
+  
+  return numbers.map(number => accountLookups[number]?.record).filter(Boolean);
+}
 
-    // Additional suspicious patterns
-    const foundSuspicious = SUSPICIOUS_PATTERNS.filter(pattern => 
-      lowerContent.includes(pattern) || lowerUrl.includes(pattern)
-    );
-    
-    if (foundSuspicious.length > 0) {
-      score += foundSuspicious.length * 3;
-      detectedIssues.push(`Phishing indicators: ${foundSuspicious.join(', ')}`);
+function pageAccountNumbers(page) {
+  return FountainScanEngine.extractPaymentRequests(`${page.title || ''} ${page.content || ''}`)
+    .map(request => request.accountNumber)
+    .filter(Boolean);
+}
+
+// =============================================================================
+// REPORTED CONTACT LOOKUP
+// =============================================================================
+
+// Check the phone numbers, WhatsApp groups, Telegram handles and emails a page
+// points to against the backend's reported-contacts database. Returns the
+// reported ones as [{ type, value, via, reason, reportCount }].
+async function lookupReportedContacts(channels) {
+  const { channelKey } = FountainScanEngine;
+  const unique = [...new Map((channels || []).map(channel => [channelKey(channel), channel])).values()].slice(0, 50);
+  if (unique.length === 0) return [];
+  
+  const { contactLookups = {} } = await chrome.storage.local.get(['contactLookups']);
+  const now = Date.now();
+  const missing = unique.filter(channel => !(contactLookups[channelKey(channel)]?.expires > now));
+  
+  if (missing.length > 0) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/contacts/lookup`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ channels: missing.map(({ type, value }) => ({ type, value })) })
+      });
+      if (!response.ok) throw new Error(`Contact lookup failed with status ${response.status}`);
+      
+      const { matches = [] } = await response.json();
+      missing.forEach(channel => {
+        const match = matches.find(m => m.channel_type === channel.type && m.channel_value === channel.value);
+        contactLookups[channelKey(channel)] = {
+          record: match ? {
+            type: channel.type,
+            value: channel.value,
+            reason: match.reason_flagged,
+            reportCount: match.report_count
+          } : null,
+          expires: now + CONTACT_LOOKUP_TTL
+        };
+      });
+      await saveToStorage('contactLookups', contactLookups);
+    } catch (error) {
+      // Backend unreachable - fall back to whatever is cached
+      console.error('Error looking up reported contacts:', error);
     }
+  }
+  
+  // The record is shared by every page; keep this page's WhatsApp/phone framing
+  return unique
+    .map(channel => {
+      const record = contactLookups[channelKey(channel)]?.record;
+      return record ? { ...record, via: channel.via } : null;
+    })
+    .filter(Boolean);
+}
 
+function pageContacts(page) {
+  return page.contacts ||
+    FountainScanEngine.extractContactChannels(`${page.title || ''} ${page.content || ''}`, page.links);
+}
+
+// =============================================================================
+// SHORT LINK EXPANSION
+// =============================================================================
+
+// Ask the backend where a shortened link really goes. Resolves to the
+// redirect chain as a list of URLs (the short link first), or null.
+async function expandShortUrl(url) {
+  const { urlExpansions = {} } = await chrome.storage.local.get(['urlExpansions']);
+  const cached = urlExpansions[url];
+  if (cached && cached.expires > Date.now()) return cached.chain;
+  
+  try {
+    const response = await fetch(`${API_BASE_URL}/expand?url=${encodeURIComponent(url)}`);
+    if (!response.ok) throw new Error(`URL expansion failed with status ${response.status}`);
+    
+    const data = await response.json();
+    const chain = data.hops.map(hop => hop.url);
+    urlExpansions[url] = { chain, expires: Date.now() + URL_EXPANSION_TTL };
+    await saveToStorage('urlExpansions', urlExpansions);
+    return chain;
   } catch (error) {
-    console.error('Error calculating heuristic score:', error);
-    detectedIssues.push('Error during analysis');
+    console.error('Error expanding short URL:', error);
+    return null;
+  }
+}
+
+// A tab is navigating to a short link: resolve it and remember the chain for
+// the page it lands on. With blocking on, a dangerous destination is blocked
+// without waiting for the redirects to finish loading.
+async function trackShortLink(tabId, url) {
+  const chain = await expandShortUrl(url);
+  if (!chain) return;
+  
+  await saveToStorage(`redirect_${tabId}`, { url, chain, timestamp: Date.now() });
+  
+  if (!settings.blockingEnabled) return;
+  const analysis = analyzePage({ url, redirectChain: chain });
+  if (analysis.status === 'danger') {
+    const blockingUrl = chrome.runtime.getURL('blocked.html') + 
+      `?url=${encodeURIComponent(url)}&reason_flagged=${encodeURIComponent(t('blockReasonShortLink', analysis.issues.join(', ')))}`;
+    await chrome.tabs.update(tabId, { url: blockingUrl }).catch(() => {});
+  }
+}
+
+// The redirect chain behind the page a tab shows: the expansion itself for a
+// short link, or the chain the tab followed to reach this host
+async function redirectChainFor(tabId, url) {
+  if (FountainScanEngine.isShortenedUrl(url)) return expandShortUrl(url);
+  if (tabId === undefined) return null;
+  
+  const key = `redirect_${tabId}`;
+  const { [key]: record } = await chrome.storage.local.get([key]);
+  if (!record) return null;
+  
+  try {
+    const landed = new URL(record.chain[record.chain.length - 1]).hostname;
+    return landed === new URL(url).hostname ? record.chain : null;
+  } catch (_) {
+    return null;
   }
+}
 
-  // Determine status based on score
-  let status = 'safe';
-  if (score >= 70) status = 'danger';
-  else if (score >= 40) status = 'warning';
+// =============================================================================
+// SECURITY ANALYSIS ENGINE
+// =============================================================================
 
-  return { score, status, issues: detectedIssues };
+function analyzePage(page) {
+  return FountainScanEngine.analyze(page, { whitelist, blacklist, community: communityList }, settings);
+}
+
+// Ask the content script for the page signals it scores with; fall back to
+// the raw page text when the content script is not injected (e.g. old tabs)
+async function getPageSignals(tabId, url) {
+  try {
+    const signals = await chrome.tabs.sendMessage(tabId, { type: 'GET_PAGE_SIGNALS' });
+    if (signals && signals.url) return signals;
+  } catch (error) {
+    // Content script not available - use fallback below
+  }
+  
+  const results = await chrome.scripting.executeScript({
+    target: { tabId },
+    func: () => ({ title: document.title, content: document.body.innerText, lang: document.documentElement.lang })
+  });
+  
+  return { url, ...(results[0]?.result || {}) };
 }
 
 // =============================================================================
@@ -227,19 +517,19 @@ async function showNotification(domain, analysis) {
   
   // Dynamic messages based on actual risk level
   const getRiskLevel = (status, score) => {
-    if (status === 'danger' || score >= 70) return 'HIGH RISK';
-    if (status === 'warning' || score >= 40) return 'MODERATE RISK';
-    return 'LOW RISK';
+    if (status === 'danger' || score >= 70) return t('riskHigh');
+    if (status === 'warning' || score >= 40) return t('riskModerate');
+    return t('riskLow');
   };
   
   const riskLevel = getRiskLevel(analysis.status, analysis.score);
-  const message = `${riskLevel}: ${domain} - Score: ${analysis.score}/100`;
+  const message = t('notificationMessage', [riskLevel, domain, analysis.score]);
   
   try {
     await chrome.notifications.create(notificationId, {
       type: 'basic',
       iconUrl: iconMap[analysis.status] || 'icons/icon128.png',
-      title: 'Fountain Scan Security Alert',
+      title: t('notificationTitle'),
       message: message,
       contextMessage: analysis.issues.slice(0, 2).join(', '),
       priority: analysis.status === 'danger' ? 2 : 1
@@ -259,7 +549,7 @@ async function showSecurityWarning(message) {
   try {
     await chrome.scripting.executeScript({
       target: { tabId: tabId },
-      func: (domain, score) => {
+      func: (domain, score, text) => {
         // Remove existing warnings
         const existing = document.getElementById('fountain-scan-warning');
         if (existing) existing.remove();
@@ -273,19 +563,18 @@ async function showSecurityWarning(message) {
                       align-items: center; justify-content: center;">
             <div style="background: white; padding: 20px; border-radius: 10px; 
                         max-width: 400px; text-align: center; box-shadow: 0 4px 20px rgba(0,0,0,0.3);">
-              <h2 style="color: #d32f2f; margin: 0 0 15px 0;">⚠️ Security Warning</h2>
-              <p><strong>Domain:</strong> ${domain}</p>
-              <p><strong>Risk Score:</strong> ${score}/100</p>
-              <p style="margin: 15px 0;">This website may be attempting to scam you. 
-                 Nigerian students are frequently targeted with fake scholarship offers.</p>
+              <h2 style="color: #d32f2f; margin: 0 0 15px 0;">${text.title}</h2>
+              <p><strong>${text.domain}</strong> ${domain}</p>
+              <p><strong>${text.score}</strong> ${score}/100</p>
+              <p style="margin: 15px 0;">${text.body}</p>
               <div style="margin-top: 20px;">
                 <button id="fountain-continue" style="background: #f44336; color: white; 
                         border: none; padding: 10px 20px; margin: 5px; border-radius: 5px; cursor: pointer;">
-                  Continue Anyway
+                  ${text.continue}
                 </button>
                 <button id="fountain-goback" style="background: #4caf50; color: white; 
                         border: none; padding: 10px 20px; margin: 5px; border-radius: 5px; cursor: pointer;">
-                  Go Back to Safety
+                  ${text.goBack}
                 </button>
               </div>
             </div>
@@ -298,7 +587,15 @@ async function showSecurityWarning(message) {
         document.getElementById('fountain-continue').onclick = () => overlay.remove();
         document.getElementById('fountain-goback').onclick = () => history.back();
       },
-      args: [domain, score]
+      // The page has no catalogs, so strings go in already translated
+      args: [domain, score, {
+        title: t('warningTitle'),
+        domain: t('labelDomain'),
+        score: t('labelRiskScore'),
+        body: t('warningText'),
+        continue: t('continueAnyway'),
+        goBack: t('goBackToSafety')
+      }]
     });
     
   } catch (error) {
@@ -310,6 +607,48 @@ async function showSecurityWarning(message) {
 // BLOCKING SYSTEM
 // =============================================================================
 
+// Could two parsed list entries cover the same URL? A regex could cover any.
+function entriesOverlap(a, b) {
+  if (!a.host || !b.host) return true;
+  const hostA = a.host.replace(/^\*\./, '');
+  const hostB = b.host.replace(/^\*\./, '');
+  return domainMatches(hostA, hostB) || domainMatches(hostB, hostA);
+}
+
+// declarativeNetRequest conditions matching exactly what a parsed list
+// entry pattern (or exception) matches, or null when DNR can't express it
+async function dnrConditions(pattern) {
+  if (pattern.type === 'regex') {
+    const isUrlFilterCaseSensitive = !pattern.regex.flags.includes('i');
+    const { isSupported } = await chrome.declarativeNetRequest.isRegexSupported({
+      regex: pattern.regex.source,
+      isCaseSensitive: isUrlFilterCaseSensitive
+    });
+    return isSupported ? [{ regexFilter: pattern.regex.source, isUrlFilterCaseSensitive }] : null;
+  }
+  
+  // A path on the entry's host; relative exceptions of regex entries have none
+  if (!pattern.host) return null;
+  const host = pattern.host.replace(/^\*\./, '');
+  
+  if (pattern.type === 'path') {
+    return [{ urlFilter: `||${host}${pattern.path}^` }];
+  }
+  if (pattern.host.startsWith('*.')) {
+    return [{ urlFilter: `*://*.${host}/*` }];
+  }
+  // Main rule and WWW variant
+  return [{ urlFilter: `*://${host}/*` }, { urlFilter: `*://www.${host}/*` }];
+}
+
+// Community-listed sites say so on the blocked page, which explains how to
+// override the block
+function blockedPagePath(url, community = !isListed(url, blacklist) && isListed(url, communityList)) {
+  const reason = t(community ? 'blockReasonCommunity' : 'blockReasonBlacklisted');
+  return `/blocked.html?url=${encodeURIComponent(url)}&reason_flagged=${encodeURIComponent(reason)}` +
+    (community ? '&source=community' : '');
+}
+
 async function updateBlockingRules() {
   if (!chrome.declarativeNetRequest) {
     console.log('Declarative Net Request API not available');
@@ -328,58 +667,53 @@ async function updateBlockingRules() {
     }
 
     // Add new blocking rules if blocking is enabled
-    if (!settings.blockingEnabled || blacklist.length === 0) return;
+    if (!settings.blockingEnabled || (blacklist.length === 0 && communityList.length === 0)) return;
 
     const newRules = [];
+    const parsedWhitelist = whitelist.map(parseListEntry).filter(Boolean);
+    // The user's own entries first, so they get rules if the limit is reached
+    const parsedBlacklist = [...blacklist, ...communityList].map(parseListEntry).filter(Boolean);
+    const maxRules = chrome.declarativeNetRequest.MAX_NUMBER_OF_DYNAMIC_RULES || 5000;
     
-    blacklist.forEach((domain, index) => {
-      // Skip if domain is whitelisted
-      if (whitelist.some(d => domainMatches(domain, d))) return;
+    for (const entry of parsedBlacklist) {
+      // Past the limit, shouldBlockSite still catches the rest on navigation
+      if (newRules.length + 2 + entry.exceptions.length * 2 > maxRules) break;
       
-      const cleanedDomain = cleanDomain(domain);
-      let urlFilter;
+      // Entries a whitelist entry might carve into, and entries with
+      // exceptions another entry also covers, are left to shouldBlockSite:
+      // DNR has no way to express "blocked unless whitelisted"
+      if (parsedWhitelist.some(allowed => entriesOverlap(entry, allowed))) continue;
+      if (entry.exceptions.length > 0 &&
+          parsedBlacklist.some(other => other !== entry && entriesOverlap(entry, other))) continue;
       
-      if (cleanedDomain.startsWith('*.')) {
-        const baseDomain = cleanedDomain.substring(2);
-        urlFilter = `*://*.${baseDomain}/*`;
-      } else {
-        urlFilter = `*://${cleanedDomain}/*`;
-      }
+      const blockConditions = await dnrConditions(entry);
+      const allowConditions = await Promise.all(entry.exceptions.map(dnrConditions));
+      if (!blockConditions || allowConditions.includes(null)) continue;
       
-      // Main rule
-      newRules.push({
-        id: index + 1,
-        priority: 1,
-        action: {
-          type: 'redirect',
-          redirect: {
-            extensionPath: '/blocked.html?url=' + encodeURIComponent(domain)
-          }
-        },
-        condition: {
-          urlFilter: urlFilter,
-          resourceTypes: ['main_frame']
-        }
-      });
-      
-      // WWW variant
-      if (!cleanedDomain.startsWith('*.')) {
+      blockConditions.forEach(condition => {
         newRules.push({
-          id: index + 1000,
+          id: newRules.length + 1,
           priority: 1,
           action: {
             type: 'redirect',
             redirect: {
-              extensionPath: '/blocked.html?url=' + encodeURIComponent(domain)
+              extensionPath: blockedPagePath(entry.raw, !blacklist.includes(entry.raw))
             }
           },
-          condition: {
-            urlFilter: `*://www.${cleanedDomain}/*`,
-            resourceTypes: ['main_frame']
-          }
+          condition: { ...condition, resourceTypes: ['main_frame'] }
         });
-      }
-    });
+      });
+      
+      // Exceptions outrank the block
+      allowConditions.flat().forEach(condition => {
+        newRules.push({
+          id: newRules.length + 1,
+          priority: 2,
+          action: { type: 'allow' },
+          condition: { ...condition, resourceTypes: ['main_frame'] }
+        });
+      });
+    }
     
     if (newRules.length > 0) {
       await chrome.declarativeNetRequest.updateDynamicRules({
@@ -395,12 +729,11 @@ async function updateBlockingRules() {
 
 async function handleTabBlocking(url, reason_flagged) {
   try {
-    const urlObj = new URL(url);
-    const domain = urlObj.hostname.toLowerCase();
+    const { identity } = siteIdentity(url);
     
     // Add to blacklist if not already there
-    if (!blacklist.some(d => domainMatches(domain, d))) {
-      blacklist.push(domain);
+    if (!isListed(url, blacklist)) {
+      blacklist.push(identity);
       await saveToStorage('blacklist', blacklist);
     }
     
@@ -425,26 +758,32 @@ async function handleTabBlocking(url, reason_flagged) {
 // =============================================================================
 
 async function handlePageContent(message, sender) {
-  const { url, content } = message;
+  const { url } = message;
   const domain = new URL(url).hostname;
+  const domainAge = await getDomainAge(domain);
+  const reportedAccounts = await lookupReportedAccounts(pageAccountNumbers(message));
+  const reportedContacts = await lookupReportedContacts(pageContacts(message));
+  const redirectChain = await redirectChainFor(sender.tab?.id, url);
   
-  // Calculate risk score
-  const analysis = await calculateHeuristicScore(url, content, domain);
+  // Calculate risk score from the page signals collected by the content script
+  const analysis = analyzePage({ ...message, domainAge, reportedAccounts, reportedContacts, redirectChain });
   
   // Show notification if alerts are enabled
   if (settings.alertsEnabled && analysis.status !== 'safe') {
-    await showNotification(domain, analysis);
+    await showNotification(siteIdentity(url).identity, analysis);
   }
   
   // Handle blocking if enabled and site is dangerous
   if (settings.blockingEnabled && analysis.status === 'danger' && sender.tab) {
-    await handleTabBlocking(url, `Dangerous site detected - Score: ${analysis.score}`);
+    await handleTabBlocking(url, t('blockReasonScore', analysis.score));
   }
   
   // Store scan result for popup access
   await saveToStorage(`scan_${sender.tab.id}`, {
     url,
     domain,
+    domainAge,
+    redirectChain,
     analysis,
     timestamp: Date.now()
   });
@@ -457,16 +796,14 @@ async function handleManualScan(message) {
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
     if (!tab) throw new Error('No active tab found');
     
-    const results = await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
-      func: () => document.body.innerText.toLowerCase()
-    });
-    
-    const content = results[0]?.result || '';
-    const domain = new URL(url).hostname;
-    const analysis = await calculateHeuristicScore(url, content, domain);
+    const page = await getPageSignals(tab.id, url);
+    const domainAge = await getDomainAge(new URL(url).hostname);
+    const reportedAccounts = await lookupReportedAccounts(pageAccountNumbers(page));
+    const reportedContacts = await lookupReportedContacts(pageContacts(page));
+    const redirectChain = await redirectChainFor(tab.id, url);
+    const analysis = analyzePage({ ...page, domainAge, reportedAccounts, reportedContacts, redirectChain });
     
-    return { success: true, analysis };
+    return { success: true, analysis, redirectChain };
     
   } catch (error) {
     console.error('Manual scan error:', error);
@@ -476,12 +813,14 @@ async function handleManualScan(message) {
 
 async function handleAddToWhitelist(domain, originalUrl) {
   try {
-    if (!whitelist.some(d => d.toLowerCase() === domain.toLowerCase())) {
-      whitelist.push(domain);
+    // Trust the form or site that was blocked, not the platform hosting it
+    const { identity } = siteIdentity(originalUrl || domain);
+    if (!whitelist.some(d => d.toLowerCase() === identity)) {
+      whitelist.push(identity);
     }
     
     // Remove from blacklist if present
-    const blacklistIndex = blacklist.findIndex(d => d.toLowerCase() === domain.toLowerCase());
+    const blacklistIndex = blacklist.findIndex(d => d.toLowerCase() === identity);
     if (blacklistIndex > -1) {
       blacklist.splice(blacklistIndex, 1);
     }
@@ -497,6 +836,24 @@ async function handleAddToWhitelist(domain, originalUrl) {
   }
 }
 
+// Keep the user's answers to the sensitive-submission interstitial
+async function recordSubmissionDecision(message) {
+  try {
+    const { submissionDecisions = [] } = await chrome.storage.local.get(['submissionDecisions']);
+    submissionDecisions.unshift({
+      url: message.url,
+      destination: message.destination,
+      kinds: message.kinds,
+      decision: message.decision,
+      timestamp: message.timestamp || Date.now()
+    });
+    
+    await saveToStorage('submissionDecisions', submissionDecisions.slice(0, 100));
+  } catch (error) {
+    console.error('Error recording submission decision:', error);
+  }
+}
+
 async function handleFalsePositiveReport(url, reason_flagged) {
   try {
     console.log('False positive report:', { url, reason_flagged, timestamp: new Date().toISOString() });
@@ -533,6 +890,7 @@ chrome.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
         settings = message.settings || settings;
         blacklist = message.blacklist || blacklist;
         whitelist = message.whitelist || whitelist;
+        await FountainScanI18n.setLanguage(settings.alertLang);
         await updateBlockingRules();
         break;
         
@@ -550,6 +908,35 @@ chrome.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
         sendResponse({ success: reported });
         break;
         
+      case 'SUBMISSION_DECISION':
+        await recordSubmissionDecision(message);
+        break;
+        
+      case 'CHECK_ACCOUNTS':
+        const reportedAccounts = await lookupReportedAccounts(message.accounts);
+        sendResponse({ reportedAccounts });
+        break;
+        
+      case 'CHECK_CONTACTS':
+        const reportedContacts = await lookupReportedContacts(message.contacts);
+        sendResponse({ reportedContacts });
+        break;
+        
+      case 'GET_REDIRECT_CHAIN':
+        const redirectChain = await redirectChainFor(message.tabId, message.url);
+        sendResponse({ redirectChain });
+        break;
+        
+      case 'GET_LOCALE_MESSAGES':
+        const messages = await FountainScanI18n.getCatalog(FountainScanI18n.resolveLanguage(message.lang));
+        sendResponse({ messages });
+        break;
+        
+      case 'GET_DOMAIN_AGE':
+        const domainAge = await getDomainAge(message.domain);
+        sendResponse({ domainAge });
+        break;
+        
       default:
         console.log('Unknown message type:', message.type || message.action);
     }
@@ -561,6 +948,15 @@ chrome.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
   return true; // Keep message channel open for async response
 });
 
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === RULE_SYNC_ALARM) {
+    syncRulePacks();
+    syncClassifierModel();
+  } else if (alarm.name === COMMUNITY_SYNC_ALARM) {
+    syncCommunityList();
+  }
+});
+
 chrome.notifications.onClicked.addListener(async (notificationId) => {
   if (notificationId.startsWith('fountain_scan_')) {
     try {
@@ -575,14 +971,8 @@ chrome.notifications.onClicked.addListener(async (notificationId) => {
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   if (changeInfo.status === 'loading' && tab.url && settings.blockingEnabled) {
     try {
-      const urlObj = new URL(tab.url);
-      const domain = urlObj.hostname.toLowerCase();
-      
-      if (shouldBlockDomain(domain)) {
-        const blockingUrl = chrome.runtime.getURL('blocked.html') + 
-          `?url=${encodeURIComponent(tab.url)}&reason_flagged=Domain is blacklisted`;
-        
-        await chrome.tabs.update(tabId, { url: blockingUrl });
+      if (shouldBlockSite(tab.url)) {
+        await chrome.tabs.update(tabId, { url: chrome.runtime.getURL(blockedPagePath(tab.url)) });
       }
     } catch (error) {
       // Invalid URL or other error - ignore
@@ -592,27 +982,32 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
 
 chrome.webRequest.onBeforeRequest.addListener(
   (details) => {
+    // Short links are resolved in the background; the landing page is scored
+    // with the chain once it loads
+    if (details.type === 'main_frame' && details.tabId >= 0 && FountainScanEngine.isShortenedUrl(details.url)) {
+      trackShortLink(details.tabId, details.url);
+    }
+    
     if (settings.blockingEnabled && details.type === 'main_frame') {
       try {
-        const urlObj = new URL(details.url);
-        const domain = urlObj.hostname.toLowerCase();
+        const { identity } = siteIdentity(details.url);
         
         // Skip if whitelisted
-        if (whitelist.some(d => domainMatches(domain, d))) return {};
+        if (isListed(details.url, whitelist)) return {};
         
-        // Quick scan for dangerous patterns
-        const scanResult = scanUrlForPatterns(details.url);
+        // Quick scan of the URL alone before the page loads
+        const scanResult = analyzePage({ url: details.url });
         
-        if (scanResult.isDangerous) {
-          // Add to blacklist and block
-          if (!blacklist.some(d => domainMatches(domain, d))) {
-            blacklist.push(domain);
+        if (scanResult.status === 'danger') {
+          // Add to blacklist and block; community sites are blocked already
+          if (!isListed(details.url, blacklist) && !isListed(details.url, communityList)) {
+            blacklist.push(identity);
             saveToStorage('blacklist', blacklist);
             updateBlockingRules();
           }
           
           const blockingUrl = chrome.runtime.getURL('blocked.html') + 
-            `?url=${encodeURIComponent(details.url)}&reason_flagged=Suspicious patterns detected: ${scanResult.foundPatterns.join(', ')}`;
+            `?url=${encodeURIComponent(details.url)}&reason_flagged=${encodeURIComponent(t('blockReasonPatterns', scanResult.issues.join(', ')))}`;
           
           return { redirectUrl: blockingUrl };
         }
@@ -641,10 +1036,15 @@ chrome.runtime.onInstalled.addListener(async () => {
   }
   
   await loadStoredData();
+  await syncRulePacks();
+  await syncClassifierModel();
+  await syncCommunityList();
 });
 
 // Initialize on startup
 loadStoredData();
+scheduleRuleSync();
+scheduleCommunitySync();
 
 // Cleanup old scan results every hour
 setInterval(async () => {
@@ -654,7 +1054,7 @@ setInterval(async () => {
     const oneHourAgo = Date.now() - (60 * 60 * 1000);
     
     Object.entries(storage).forEach(([key, value]) => {
-      if (key.startsWith('scan_') && value.timestamp && value.timestamp < oneHourAgo) {
+      if ((key.startsWith('scan_') || key.startsWith('redirect_')) && value.timestamp && value.timestamp < oneHourAgo) {
         keysToRemove.push(key);
       }
     });
@@ -663,6 +1063,16 @@ setInterval(async () => {
       await chrome.storage.local.remove(keysToRemove);
       console.log(`Cleaned up ${keysToRemove.length} old scan results`);
     }
+    
+    // Drop expired domain age, account, contact and short link lookups
+    for (const key of ['domainAges', 'accountLookups', 'contactLookups', 'urlExpansions']) {
+      if (storage[key]) {
+        const entries = Object.fromEntries(
+          Object.entries(storage[key]).filter(([, entry]) => entry.expires > Date.now())
+        );
+        await saveToStorage(key, entries);
+      }
+    }
   } catch (error) {
     console.error('Error cleaning up old scan results:', error);
   }
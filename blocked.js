@@ -1,122 +1,249 @@
-// blocked.js - Handles blocked.html UI and actions for FountainScan
-
-const BlockedPage = {
-  currentUrl: '',
-  reasonFlagged: '',
-  riskLevel: '',
-
-  // Initialize blocked page
-  async init() {
-    await this.loadBlockInfo();
-    this.renderBlockMessage();
-    this.setupEventListeners();
-  },
-
-  // Load block info from chrome.runtime or query params
-  async loadBlockInfo() {
-    if (typeof chrome !== 'undefined' && chrome.runtime) {
-      try {
-        const response = await new Promise(resolve => {
-          chrome.runtime.sendMessage({ action: 'getBlockInfo' }, resolve);
-        });
-        if (response) {
-          this.currentUrl = response.url || '';
-          this.reasonFlagged = response.reason_flagged || '';
-          this.riskLevel = response.riskLevel || 'High Risk';
-        }
-      } catch (e) {
-        this.loadFromQueryParams();
-      }
+// blocked.js - Handles blocked.html UI and actions for FountainScan.
+// Extension pages may not run inline scripts, so all of the page's logic
+// lives here. Text follows the user's alert language (settings.alertLang).
+
+const t = FountainScanI18n.t;
+
+let blockedUrl = '';
+let blockedReason = '';
+
+// Utility functions
+function getUrlParameter(name) {
+  return new URLSearchParams(location.search).get(name) || '';
+}
+
+function showStatusMessage(message, type = 'info') {
+  const container = document.getElementById('status-container');
+  const statusDiv = document.createElement('div');
+  statusDiv.className = `status-message status-${type}`;
+  statusDiv.textContent = message;
+  
+  container.innerHTML = '';
+  container.appendChild(statusDiv);
+  
+  // Auto-hide after 5 seconds
+  setTimeout(() => {
+    if (statusDiv.parentNode) {
+      statusDiv.remove();
+    }
+  }, 5000);
+}
+
+function setButtonLoading(buttonId, isLoading) {
+  const button = document.getElementById(buttonId);
+  if (button) {
+    button.disabled = isLoading;
+    if (isLoading) {
+      button.dataset.originalText = button.textContent;
+      button.textContent = t('loading');
+    } else if (button.dataset.originalText) {
+      button.textContent = button.dataset.originalText;
+      delete button.dataset.originalText;
+    }
+  }
+}
+
+function isExtensionContext() {
+  return typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.id;
+}
+
+function extractDomain(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    console.error('Error extracting domain:', error);
+    return url;
+  }
+}
+
+async function loadLanguage() {
+  let alertLang = null;
+  if (isExtensionContext()) {
+    const { settings } = await chrome.storage.local.get(['settings']);
+    alertLang = settings && settings.alertLang;
+  }
+  await FountainScanI18n.setLanguage(alertLang);
+  FountainScanI18n.localizePage();
+}
+
+// Button handlers
+function handleGoBack() {
+  try {
+    if (window.history.length > 1) {
+      window.history.back();
+    } else if (window.opener) {
+      window.close();
     } else {
-      this.loadFromQueryParams();
+      window.location.href = 'about:blank';
     }
-  },
-
-  loadFromQueryParams() {
-    const params = new URLSearchParams(window.location.search);
-    this.currentUrl = params.get('url') || '';
-    this.reasonFlagged = params.get('reason_flagged') || '';
-    this.riskLevel = params.get('riskLevel') || 'High Risk';
-  },
-
-  renderBlockMessage() {
-    const container = document.getElementById('block-container');
-    if (!container) return;
-    container.innerHTML = `
-      <div style="text-align: center; padding: 20px; color: #d32f2f;">
-        <h2>🚫 Website Blocked</h2>
-        <p><strong>URL:</strong> ${this.currentUrl}</p>
-        <p><strong>Risk Level:</strong> ${this.riskLevel}</p>
-        <p><strong>Reason:</strong> ${this.reasonFlagged}</p>
-        <div style="margin-top: 20px;">
-          <button id="addWhitelistBtn" style="margin: 5px; padding: 8px 16px; background: #4CAF50; color: white; border: none; border-radius: 4px; cursor: pointer;">Add to Whitelist</button>
-          <button id="disableBlockingBtn" style="margin: 5px; padding: 8px 16px; background: #ff9800; color: white; border: none; border-radius: 4px; cursor: pointer;">Disable Blocking</button>
-          <button id="closeTabBtn" style="margin: 5px; padding: 8px 16px; background: #f44336; color: white; border: none; border-radius: 4px; cursor: pointer;">Close Tab</button>
-        </div>
-      </div>
-    `;
-  },
-
-  setupEventListeners() {
-    document.addEventListener('click', async (e) => {
-      if (e.target.id === 'addWhitelistBtn') {
-        await this.addCurrentToWhitelist();
-      } else if (e.target.id === 'disableBlockingBtn') {
-        await this.disableBlocking();
-      } else if (e.target.id === 'closeTabBtn') {
-        window.close();
+  } catch (error) {
+    console.error('Error going back:', error);
+    showStatusMessage(t('blockedGoBackFailed'), 'error');
+  }
+}
+
+function handleAddToWhitelist() {
+  if (!blockedUrl) {
+    showStatusMessage(t('blockedNoUrlWhitelist'), 'error');
+    return;
+  }
+
+  setButtonLoading('whitelist-btn', true);
+  
+  if (!isExtensionContext()) {
+    setButtonLoading('whitelist-btn', false);
+    showStatusMessage(t('blockedNoExtension'), 'info');
+    return;
+  }
+  
+  try {
+    chrome.runtime.sendMessage({
+      action: 'addToWhitelist',
+      domain: extractDomain(blockedUrl),
+      url: blockedUrl
+    }, function(response) {
+      setButtonLoading('whitelist-btn', false);
+      
+      if (chrome.runtime.lastError) {
+        console.error('Chrome runtime error:', chrome.runtime.lastError);
+        showStatusMessage(t('blockedExtensionError'), 'error');
+        return;
       }
-    });
-  },
-
-  async addCurrentToWhitelist() {
-    try {
-      const url = new URL(this.currentUrl);
-      const domain = url.hostname.toLowerCase().replace(/^www\./, '');
-      if (typeof chrome !== 'undefined' && chrome.storage) {
-        chrome.storage.local.get(['whitelist'], (result) => {
-          const whitelist = result.whitelist || [];
-          if (!whitelist.some(d => d.toLowerCase() === domain)) {
-            whitelist.push(domain);
-            chrome.storage.local.set({ whitelist }, () => {
-              if (typeof chrome !== 'undefined' && chrome.tabs) {
-                chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-                  if (tabs[0]) {
-                    chrome.tabs.reload(tabs[0].id);
-                    window.close();
-                  }
-                });
-              }
-            });
-          }
-        });
+      
+      if (response && response.success) {
+        showStatusMessage(t('blockedWhitelisted'), 'success');
+        setTimeout(() => {
+          window.location.href = blockedUrl;
+        }, 2000);
+      } else {
+        showStatusMessage(t('blockedWhitelistFailed'), 'error');
       }
-    } catch (error) {
-      console.error('Error adding to whitelist:', error);
-    }
-  },
-
-  async disableBlocking() {
-    if (typeof chrome !== 'undefined' && chrome.storage) {
-      chrome.storage.local.get(['settings'], (result) => {
-        const settings = result.settings || {};
-        settings.blockingEnabled = false;
-        chrome.storage.local.set({ settings }, () => {
-          if (typeof chrome !== 'undefined' && chrome.tabs) {
-            chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-              if (tabs[0]) {
-                chrome.tabs.reload(tabs[0].id);
-                window.close();
-              }
-            });
-          }
-        });
-      });
+    });
+  } catch (error) {
+    setButtonLoading('whitelist-btn', false);
+    console.error('Error adding to whitelist:', error);
+    showStatusMessage(t('blockedRequestError'), 'error');
+  }
+}
+
+function handleOpenSettings() {
+  if (!isExtensionContext()) {
+    showStatusMessage(t('blockedToolbarHint'), 'info');
+    return;
+  }
+  
+  try {
+    if (chrome.runtime.openOptionsPage) {
+      chrome.runtime.openOptionsPage();
+      showStatusMessage(t('blockedOpeningSettings'), 'info');
+    } else {
+      showStatusMessage(t('blockedOptionsHint'), 'info');
     }
+  } catch (error) {
+    console.error('Error opening settings:', error);
+    showStatusMessage(t('blockedSettingsHint'), 'info');
+  }
+}
+
+function handleReportSite() {
+  if (!blockedUrl) {
+    showStatusMessage(t('blockedNoUrlReport'), 'error');
+    return;
+  }
+
+  setButtonLoading('report-btn', true);
+  
+  if (!isExtensionContext()) {
+    setButtonLoading('report-btn', false);
+    
+    // Fallback: log report locally
+    console.log('False positive report (logged locally):', {
+      url: blockedUrl,
+      reason_flagged: blockedReason,
+      reportedAt: new Date().toISOString(),
+      type: 'false_positive'
+    });
+    showStatusMessage(t('blockedReportLogged'), 'info');
+    return;
   }
-};
+  
+  try {
+    chrome.runtime.sendMessage({
+      action: 'reportFalsePositive',
+      url: blockedUrl,
+      reason_flagged: 'User reported as false positive',
+      timestamp: new Date().toISOString()
+    }, function(response) {
+      setButtonLoading('report-btn', false);
+      
+      if (chrome.runtime.lastError) {
+        console.error('Chrome runtime error:', chrome.runtime.lastError);
+        showStatusMessage(t('blockedExtensionError'), 'error');
+        return;
+      }
+      
+      if (response && response.success) {
+        showStatusMessage(t('blockedReportThanks'), 'success');
+      } else {
+        showStatusMessage(t('blockedReportLocal'), 'info');
+      }
+    });
+  } catch (error) {
+    setButtonLoading('report-btn', false);
+    console.error('Error reporting site:', error);
+    showStatusMessage(t('blockedReportError'), 'error');
+  }
+}
+
+// Initialize page
+async function initializePage() {
+  await loadLanguage();
+  
+  // Reasons arrive already translated into the alert language by the background
+  blockedUrl = getUrlParameter('url');
+  blockedReason = getUrlParameter('reason_flagged') || t('blockedDefaultReason');
+
+  document.getElementById('blocked-url').textContent = blockedUrl || t('blockedUnknownUrl');
+  document.getElementById('blocked-reason_flagged').textContent = blockedReason;
+  // Community-list blocks explain how to override them
+  document.getElementById('community-note').hidden = getUrlParameter('source') !== 'community';
+
+  document.getElementById('go-back-btn').addEventListener('click', handleGoBack);
+  document.getElementById('whitelist-btn').addEventListener('click', handleAddToWhitelist);
+  document.getElementById('settings-btn').addEventListener('click', handleOpenSettings);
+  document.getElementById('report-btn').addEventListener('click', handleReportSite);
+
+  console.log('FountainScan blocked page initialized:', {
+    url: blockedUrl,
+    reason_flagged: blockedReason,
+    extensionDetected: isExtensionContext()
+  });
+}
+
+// Handle messages from background script
+if (isExtensionContext()) {
+  chrome.runtime.onMessage.addListener(function(message, sender, sendResponse) {
+    switch (message.action) {
+      case 'whitelistAdded':
+        showStatusMessage(t('blockedWhitelistedNotice'), 'success');
+        if (blockedUrl) {
+          setTimeout(() => {
+            window.location.href = blockedUrl;
+          }, 1500);
+        }
+        sendResponse({ success: true });
+        break;
+        
+      case 'reportReceived':
+        showStatusMessage(t('blockedReportReceived'), 'success');
+        sendResponse({ success: true });
+        break;
+    }
+  });
+}
 
-window.BlockedPage = BlockedPage;
-document.addEventListener('DOMContentLoaded', () => {
-  BlockedPage.init();
-});
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initializePage);
+} else {
+  initializePage();
+}
@@ -12,22 +12,61 @@
     blockingEnabled: false,
     alertsEnabled: true
   };
+  let whitelist = [];
+  let blacklist = [];
+  let communityList = []; // synced from the backend by the background script
+  let domainAge = null;
+  let reportedAccounts = [];
+  let reportedContacts = [];
+  const checkedAccounts = new Set();
+  const checkedContacts = new Set();
+  const submissionTargets = new Set(); // fetch/XHR destinations that received sensitive values
+  const t = FountainScanI18n.t;
+  
+  // Resolves once messages for the user's alert language are loaded; every
+  // overlay waits on it so none renders before its strings are available
+  let resolveLanguage;
+  let languageReady = new Promise(resolve => { resolveLanguage = resolve; });
   
   // Throttle analysis to avoid excessive API calls
   const ANALYSIS_THROTTLE = 2000; // 2 seconds
   const CONTENT_CHANGE_DELAY = 1000; // 1 second delay after content changes
+  const MAX_SUBMISSION_TARGETS = 20;
   
-  // Load settings from storage
+  // Load settings and lists from storage
   function loadSettings() {
     if (chrome.storage) {
-      chrome.storage.local.get(['settings'], (result) => {
+      chrome.storage.local.get(['settings', 'whitelist', 'blacklist', 'communityList', 'rulePacks', 'classifierModel'], (result) => {
         if (result.settings) {
           settings = { ...settings, ...result.settings };
         }
+        whitelist = result.whitelist || [];
+        blacklist = result.blacklist || [];
+        communityList = result.communityList ? result.communityList.entries : [];
+        if (result.rulePacks) {
+          FountainScanEngine.loadRulePacks(result.rulePacks.packs, result.rulePacks.version);
+        }
+        if (result.classifierModel) {
+          FountainScanClassifier.loadModel(result.classifierModel.model);
+        }
+        FountainScanI18n.setLanguage(settings.alertLang).then(resolveLanguage);
       });
     }
   }
   
+  // Ask the background script when this site's domain was registered and
+  // rescan once the answer arrives, since a young domain can change the verdict
+  function loadDomainAge() {
+    chrome.runtime.sendMessage({ type: 'GET_DOMAIN_AGE', domain: window.location.hostname })
+      .then(response => {
+        if (response && response.domainAge) {
+          domainAge = response.domainAge;
+          debouncedAnalysis();
+        }
+      })
+      .catch(() => {});
+  }
+  
   // Extract and clean page content
   function extractPageContent() {
     try {
@@ -75,111 +114,127 @@
     }
   }
   
-  // Comprehensive scan combining pattern detection and scoring
-  function scanPageContent() {
-    const content = extractPageContent();
-    const pageTitle = document.title.toLowerCase();
-    const url = window.location.href.toLowerCase();
-    
-    // Combined suspicious patterns
-    const suspiciousPatterns = [
-      // Nigerian/scholarship scam keywords
-      'free scholarship', 'guaranteed scholarship', 'instant scholarship',
-      'scholarship winner', 'congratulations scholarship', 'urgent scholarship',
-      'congratulations you have won', 'nigerian scholarship winner',
-      'scholarship processing fee', 'pay processing fee',
-      
-      // Identity/financial scams
-      'enter your bvn', 'enter your nin', 'nin registration', 'bvn verification',
-      'bank verification number', 'national identity number',
-      'guaranteed loan', 'instant money', 'easy cash', 'work from home',
-      'get rich quick', 'no collateral required', 'instant approval',
-      
-      // Government/recruitment scams
-      'npower recruitment', 'jamb result', 'waec result',
-      'federal government recruitment', 'ministry recruitment',
-      
-      // Urgency tactics
-      'act now', 'limited time', 'expires today', 'last chance',
-      'while supplies last', 'urgent action required', 'urgent scholarship application',
-      'limited time scholarship', 'guaranteed scholarship approval'
-    ];
-
-    const foundPatterns = [];
-    let suspiciousScore = 0;
-
-    // Check for suspicious patterns in content and title
-    suspiciousPatterns.forEach(pattern => {
-      if (content.includes(pattern) || pageTitle.includes(pattern)) {
-        foundPatterns.push(pattern);
-        suspiciousScore += 2;
-      }
-    });
-
+  // Ask the background script whether any account number on the page has
+  // been reported; rescan if one has
+  function checkPaymentAccounts(signals) {
+    const accounts = FountainScanEngine.extractPaymentRequests(`${signals.title} ${signals.content}`)
+      .map(request => request.accountNumber)
+      .filter(account => account && !checkedAccounts.has(account));
+    if (accounts.length === 0) return;
+    
+    accounts.forEach(account => checkedAccounts.add(account));
+    chrome.runtime.sendMessage({ type: 'CHECK_ACCOUNTS', accounts })
+      .then(response => {
+        const found = (response && response.reportedAccounts) || [];
+        const known = new Set(reportedAccounts.map(account => account.accountNumber));
+        const added = found.filter(account => !known.has(account.accountNumber));
+        if (added.length > 0) {
+          reportedAccounts = [...reportedAccounts, ...added];
+          debouncedAnalysis();
+        }
+      })
+      .catch(() => {});
+  }
+  
+  // Same for the phone numbers, WhatsApp/Telegram links and emails the page
+  // points visitors to
+  function checkContactChannels(signals) {
+    const contacts = signals.contacts
+      .filter(contact => !checkedContacts.has(FountainScanEngine.channelKey(contact)));
+    if (contacts.length === 0) return;
+    
+    contacts.forEach(contact => checkedContacts.add(FountainScanEngine.channelKey(contact)));
+    chrome.runtime.sendMessage({ type: 'CHECK_CONTACTS', contacts })
+      .then(response => {
+        const found = (response && response.reportedContacts) || [];
+        const known = new Set(reportedContacts.map(FountainScanEngine.channelKey));
+        const added = found.filter(contact => !known.has(FountainScanEngine.channelKey(contact)));
+        if (added.length > 0) {
+          reportedContacts = [...reportedContacts, ...added];
+          debouncedAnalysis();
+        }
+      })
+      .catch(() => {});
+  }
+  
+  // Collect the page signals the shared detection engine scores
+  function collectPageSignals() {
+    const sensitiveFields = [];
+    const formTargets = [];
+    
     // Check for suspicious form fields
     const forms = document.querySelectorAll('form');
     forms.forEach(form => {
+      let sensitive = false;
       const inputs = form.querySelectorAll('input, select, textarea');
       inputs.forEach(input => {
         const placeholder = (input.placeholder || '').toLowerCase();
         const label = (input.labels?.[0]?.textContent || '').toLowerCase();
-        const name = (input.name || '').toLowerCase();
-        
-        const sensitiveFields = [
-          'nin', 'bvn', 'account number', 'routing number',
-          'social security', 'credit card', 'cvv', 'pin',
-          'mother maiden name', 'birth certificate'
-        ];
+        const name = (input.name || '').toLowerCase().replace(/[_\-]+/g, ' ');
         
-        sensitiveFields.forEach(field => {
-          if (placeholder.includes(field) || label.includes(field) || name.includes(field)) {
-            foundPatterns.push(`Requests ${field}`);
-            suspiciousScore += 3;
+        FountainScanEngine.SENSITIVE_FIELDS.forEach(field => {
+          if ([placeholder, label, name].some(text => FountainScanEngine.matchesKeyword(text, field))) {
+            sensitiveFields.push(field);
+            sensitive = true;
           }
         });
       });
-    });
-
-    // Check for suspicious external links
-    const links = document.querySelectorAll('a[href^="http"]');
-    let suspiciousLinks = 0;
-    
-    links.forEach(link => {
-      const href = link.href.toLowerCase();
-      const suspiciousDomains = ['.tk', '.ml', '.ga', '.cf', '.pw', '.top', '.click'];
       
-      if (suspiciousDomains.some(domain => href.includes(domain))) {
-        suspiciousLinks++;
+      // Where a form asking for sensitive data posts it: its action and any
+      // submit button's formaction. Read as attributes, since form.action is
+      // shadowed by a field named "action".
+      if (sensitive) {
+        formTargets.push(form.getAttribute('action') || '');
+        form.querySelectorAll('[formaction]').forEach(button => formTargets.push(button.getAttribute('formaction')));
       }
     });
     
-    if (suspiciousLinks > 3) {
-      foundPatterns.push(`${suspiciousLinks} suspicious external links`);
-      suspiciousScore += Math.min(suspiciousLinks, 10);
-    }
-
-    // Check for excessive urgency language
-    const urgencyWords = ['urgent', 'hurry', 'limited', 'expires', 'deadline'];
-    let urgencyCount = 0;
+    // Outbound links, capped to keep the message small
+    const links = Array.from(document.querySelectorAll('a[href^="http"]'))
+      .slice(0, 500)
+      .map(link => link.href);
     
-    urgencyWords.forEach(word => {
-      const matches = (content.match(new RegExp(word, 'g')) || []).length;
-      urgencyCount += matches;
-    });
+    // Contact channels from page text, wa.me/t.me links and mailto:/tel: links
+    const contactLinks = Array.from(document.querySelectorAll('a[href^="mailto:"], a[href^="tel:"]'))
+      .slice(0, 100)
+      .map(link => link.href);
+    const content = extractPageContent();
+    const contacts = FountainScanEngine.extractContactChannels(
+      `${document.title} ${content}`,
+      [...links, ...contactLinks]
+    );
     
-    if (urgencyCount > 10) {
-      foundPatterns.push('Excessive urgency language');
-      suspiciousScore += 2;
-    }
-
     return {
-      score: suspiciousScore,
-      patterns: foundPatterns,
-      isDangerous: suspiciousScore >= 8,
-      isWarning: suspiciousScore >= 4,
-      content: content,
       url: window.location.href,
-      domain: window.location.hostname
+      domain: window.location.hostname,
+      title: document.title,
+      lang: document.documentElement.lang,
+      content,
+      sensitiveFields: [...new Set(sensitiveFields)],
+      submissionTargets: [...new Set([...formTargets, ...submissionTargets])],
+      links,
+      contacts,
+      domainAge,
+      reportedAccounts,
+      reportedContacts
+    };
+  }
+  
+  // Score the page with the shared engine against the user's lists
+  function scanPageContent() {
+    const signals = collectPageSignals();
+    const analysis = FountainScanEngine.analyze(signals, { whitelist, blacklist, community: communityList }, settings);
+    checkPaymentAccounts(signals);
+    checkContactChannels(signals);
+    
+    return {
+      ...signals,
+      score: analysis.score,
+      status: analysis.status,
+      patterns: analysis.issues,
+      findings: analysis.findings,
+      isDangerous: analysis.status === 'danger',
+      isWarning: analysis.status !== 'safe'
     };
   }
   
@@ -201,6 +256,25 @@
     return content.length >= 50;
   }
   
+  // 'danger' -> the alert language's "High Risk"
+  function verdictLabel(status) {
+    return t(`verdict${status.charAt(0).toUpperCase()}${status.slice(1)}`);
+  }
+  
+  // Findings quote page and report data, so they go in through textContent only
+  function renderIssues(container, patterns, limit) {
+    patterns.slice(0, limit).forEach(pattern => {
+      const item = document.createElement('div');
+      item.textContent = pattern;
+      container.appendChild(item);
+    });
+    if (patterns.length > limit) {
+      const more = document.createElement('em');
+      more.textContent = t('alertMoreIssues', patterns.length - limit);
+      container.appendChild(more);
+    }
+  }
+  
   // Show on-page notification
   function showPageNotification(scanResult) {
     // Remove existing notifications
@@ -217,10 +291,10 @@
     
     const notificationColor = isDangerous ? '#e74c3c' : '#f39c12';
     const notificationIcon = isDangerous ? '🚨' : '⚠️';
-    const notificationTitle = isDangerous ? 'Security Alert' : 'Security Warning';
+    const notificationTitle = isDangerous ? t('alertSecurityAlert') : t('alertSecurityWarning');
     const notificationText = isDangerous 
-      ? 'This site may be fraudulent or dangerous'
-      : 'This site shows some suspicious characteristics';
+      ? t('alertSiteDangerous')
+      : t('alertSiteSuspicious');
 
     notification.innerHTML = `
       <div style="
@@ -257,7 +331,7 @@
               ${notificationText}
             </p>
             <div style="font-size: 11px; color: #666; margin-bottom: 10px;">
-              Issues detected: ${scanResult.patterns.length}
+              ${t('alertIssueCount', scanResult.patterns.length)}
             </div>
             <div style="display: flex; gap: 8px;">
               <button onclick="this.closest('.fountainscan-notification').style.animation='slideOut 0.3s ease-in'; setTimeout(() => this.closest('.fountainscan-notification').remove(), 300);" style="
@@ -268,7 +342,7 @@
                 border-radius: 4px;
                 cursor: pointer;
                 font-size: 11px;
-              ">Dismiss</button>
+              ">${t('alertDismiss')}</button>
               ${isDangerous ? `
                 <button onclick="document.getElementById('fountainscan-details-${Date.now()}').style.display = document.getElementById('fountainscan-details-${Date.now()}').style.display === 'none' ? 'block' : 'none';" style="
                   background: ${notificationColor};
@@ -278,14 +352,13 @@
                   border-radius: 4px;
                   cursor: pointer;
                   font-size: 11px;
-                ">Details</button>
+                ">${t('alertDetails')}</button>
               ` : ''}
             </div>
             ${isDangerous ? `
               <div id="fountainscan-details-${Date.now()}" style="display: none; margin-top: 10px; padding: 8px; background: #f8f9fa; border-radius: 4px; font-size: 11px;">
-                <strong>Detected issues:</strong><br>
-                ${scanResult.patterns.slice(0, 3).join('<br>')}
-                ${scanResult.patterns.length > 3 ? `<br><em>...and ${scanResult.patterns.length - 3} more</em>` : ''}
+                <strong>${t('alertDetectedIssues')}</strong>
+                <div class="fountainscan-issues"></div>
               </div>
             ` : ''}
           </div>
@@ -307,11 +380,14 @@
           border-top: 1px solid #eee;
           padding-top: 5px;
         ">
-          FountainScan Protection
+          ${t('alertProtection')}
         </div>
       </div>
     `;
 
+    const issueList = notification.querySelector('.fountainscan-issues');
+    if (issueList) renderIssues(issueList, scanResult.patterns, 3);
+
     document.body.appendChild(notification);
 
     // Auto-dismiss after 10 seconds for warnings, 15 for dangerous sites
@@ -360,9 +436,9 @@
           box-shadow: 0 10px 30px rgba(0, 0, 0, 0.5);
         ">
           <div style="font-size: 60px; color: #e74c3c; margin-bottom: 15px;">⚠️</div>
-          <h2 style="color: #e74c3c; margin-bottom: 15px;">Security Warning</h2>
+          <h2 style="color: #e74c3c; margin-bottom: 15px;">${t('alertSecurityWarning')}</h2>
           <p style="margin-bottom: 20px; color: #333;">
-            This website shows characteristics of a potential scam or fraudulent site.
+            ${t('overlayText')}
           </p>
           <div style="
             background: #f8f9fa;
@@ -372,9 +448,8 @@
             border-left: 4px solid #ffc107;
             text-align: left;
           ">
-            <strong>Detected issues:</strong><br>
-            ${scanResult.patterns.slice(0, 5).join('<br>')}
-            ${scanResult.patterns.length > 5 ? `<br>... and ${scanResult.patterns.length - 5} more` : ''}
+            <strong>${t('alertDetectedIssues')}</strong>
+            <div class="fountainscan-issues"></div>
           </div>
           <div style="margin-top: 20px;">
             <button onclick="this.closest('#fountainscan-overlay').remove()" style="
@@ -386,7 +461,7 @@
               border-radius: 5px;
               cursor: pointer;
               font-size: 16px;
-            ">Continue Anyway</button>
+            ">${t('continueAnyway')}</button>
             <button onclick="window.history.back()" style="
               background: #dc3545;
               color: white;
@@ -396,18 +471,757 @@
               border-radius: 5px;
               cursor: pointer;
               font-size: 16px;
-            ">Go Back</button>
+            ">${t('goBack')}</button>
           </div>
           <p style="font-size: 12px; color: #666; margin-top: 15px;">
-            Protected by FountainScan
+            ${t('alertProtectedBy')}
           </p>
         </div>
       </div>
     `;
 
+    renderIssues(overlay.querySelector('.fountainscan-issues'), scanResult.patterns, 5);
+
     document.body.appendChild(overlay);
   }
   
+  // Sensitive submission guard
+  // Holds form posts and fetch/XHR requests that carry a BVN/NIN, bank
+  // account number or card number on sites the user has not whitelisted.
+  // page-hook.js reports fetch/XHR/form.submit() calls from the page world;
+  // native form submissions are caught here directly.
+  const CHECK_EVENT = 'fountainscan:check-submission';
+  const DECISION_EVENT = 'fountainscan:submission-decision';
+  const approvedForms = new WeakSet();
+  const approvedKinds = new Set();
+  
+  // Returns the sensitive values that need the user's confirmation, if any.
+  // Sending a kind of value once approved is not asked about again for the
+  // same destination host.
+  function reviewSubmission(entries, destination) {
+    if (FountainScanEngine.isListed(window.location.href, whitelist)) return [];
+    
+    const found = FountainScanEngine.findSensitiveValues(entries);
+    if (found.length > 0) noteSubmissionTarget(destination);
+    return found.some(entry => !approvedKinds.has(approvalKey(entry.kind, destination))) ? found : [];
+  }
+  
+  function approvalKey(kind, destination) {
+    return `${kind} ${describeDestination(destination)}`;
+  }
+  
+  // Remember a collector, cross-site or plain-HTTP destination that was sent
+  // sensitive values, and rescan so the page verdict reflects it
+  function noteSubmissionTarget(destination) {
+    let url;
+    try {
+      url = new URL(destination || window.location.href, window.location.href).href;
+    } catch (_) {
+      return;
+    }
+    if (submissionTargets.has(url) || submissionTargets.size >= MAX_SUBMISSION_TARGETS) return;
+    if (!FountainScanEngine.classifySubmission(url, window.location.href)) return;
+    
+    submissionTargets.add(url);
+    debouncedAnalysis();
+  }
+  
+  function formEntries(form) {
+    return Array.from(form.elements)
+      .filter(el => el.name && !el.disabled && el.value)
+      .filter(el => !['checkbox', 'radio'].includes(el.type) || el.checked)
+      .map(el => ({
+        name: [el.name, el.id, el.placeholder, el.labels?.[0]?.textContent, el.getAttribute('aria-label')]
+          .filter(Boolean)
+          .join(' '),
+        value: el.value
+      }));
+  }
+  
+  function describeDestination(url) {
+    try {
+      return new URL(url, window.location.href).hostname;
+    } catch (_) {
+      return window.location.hostname;
+    }
+  }
+  
+  // Show the confirmation interstitial; resolves to true if the user proceeds
+  function confirmSensitiveSubmission(destination, found) {
+    return languageReady.then(() => new Promise(resolve => {
+      const existing = document.getElementById('fountainscan-submission-guard');
+      if (existing) existing.remove();
+      
+      const labels = [...new Set(found.map(entry => entry.label))];
+      const destinationHost = describeDestination(destination);
+      
+      const overlay = document.createElement('div');
+      overlay.id = 'fountainscan-submission-guard';
+      overlay.innerHTML = `
+        <div style="
+          position: fixed;
+          top: 0;
+          left: 0;
+          width: 100%;
+          height: 100%;
+          background: rgba(0, 0, 0, 0.8);
+          z-index: 1000000;
+          display: flex;
+          justify-content: center;
+          align-items: center;
+          font-family: Arial, sans-serif;
+        ">
+          <div style="
+            background: white;
+            padding: 30px;
+            border-radius: 10px;
+            max-width: 480px;
+            text-align: center;
+            box-shadow: 0 10px 30px rgba(0, 0, 0, 0.5);
+          ">
+            <div style="font-size: 48px; margin-bottom: 10px;">🛑</div>
+            <h2 style="color: #e74c3c; margin: 0 0 15px 0;">${t('guardTitle')}</h2>
+            <p class="fountainscan-guard-summary" style="margin-bottom: 15px; color: #333;"></p>
+            <p class="fountainscan-guard-destination" style="
+              display: none;
+              margin-bottom: 15px;
+              color: #c0392b;
+              font-weight: bold;
+            "></p>
+            <ul class="fountainscan-guard-values" style="
+              background: #f8f9fa;
+              padding: 10px 10px 10px 30px;
+              border-radius: 5px;
+              border-left: 4px solid #ffc107;
+              text-align: left;
+              font-family: monospace;
+              color: #333;
+            "></ul>
+            <p style="font-size: 13px; color: #555; margin: 15px 0;">
+              ${t('guardAdvice')}
+            </p>
+            <div>
+              <button class="fountainscan-guard-cancel" style="
+                background: #28a745;
+                color: white;
+                border: none;
+                padding: 10px 20px;
+                margin: 5px;
+                border-radius: 5px;
+                cursor: pointer;
+                font-size: 16px;
+              ">${t('guardDontSend')}</button>
+              <button class="fountainscan-guard-proceed" style="
+                background: #dc3545;
+                color: white;
+                border: none;
+                padding: 10px 20px;
+                margin: 5px;
+                border-radius: 5px;
+                cursor: pointer;
+                font-size: 16px;
+              ">${t('guardSendAnyway')}</button>
+            </div>
+            <p style="font-size: 12px; color: #666; margin-top: 15px;">
+              ${t('alertProtectedBy')}
+            </p>
+          </div>
+        </div>
+      `;
+      
+      // Page-supplied text goes in through textContent only
+      const labelsElement = document.createElement('strong');
+      labelsElement.textContent = labels.join(', ');
+      const destinationElement = document.createElement('strong');
+      destinationElement.textContent = destinationHost;
+      overlay.querySelector('.fountainscan-guard-summary')
+        .appendChild(FountainScanI18n.fragment('guardSending', [labelsElement, destinationElement]));
+      
+      // Data leaving for a collector, another site or plain HTTP
+      const exfiltration = FountainScanEngine.classifySubmission(destination, window.location.href);
+      if (exfiltration) {
+        const shown = FountainScanEngine.describeSubmissionTarget(exfiltration.url);
+        let warning;
+        if (exfiltration.collector) {
+          warning = t('guardCollector', [exfiltration.collector.name, shown]);
+        } else if (exfiltration.insecure) {
+          warning = t('guardInsecure', shown);
+        } else {
+          warning = t('guardCrossSite', shown);
+        }
+        const destinationWarning = overlay.querySelector('.fountainscan-guard-destination');
+        destinationWarning.textContent = `⚠️ ${warning}`;
+        destinationWarning.style.display = 'block';
+      }
+      
+      const valueList = overlay.querySelector('.fountainscan-guard-values');
+      found.forEach(entry => {
+        const li = document.createElement('li');
+        li.textContent = `${entry.label}: ${entry.masked}`;
+        valueList.appendChild(li);
+      });
+      
+      const decide = (allow) => {
+        overlay.remove();
+        if (allow) found.forEach(entry => approvedKinds.add(approvalKey(entry.kind, destination)));
+        recordSubmissionDecision(destinationHost, found, allow);
+        resolve(allow);
+      };
+      overlay.querySelector('.fountainscan-guard-cancel').addEventListener('click', () => decide(false));
+      overlay.querySelector('.fountainscan-guard-proceed').addEventListener('click', () => decide(true));
+      
+      document.body.appendChild(overlay);
+    }));
+  }
+  
+  function recordSubmissionDecision(destination, found, allow) {
+    chrome.runtime.sendMessage({
+      type: 'SUBMISSION_DECISION',
+      url: window.location.href,
+      destination,
+      kinds: [...new Set(found.map(entry => entry.kind))],
+      decision: allow ? 'proceeded' : 'cancelled',
+      timestamp: Date.now()
+    }).catch(() => {});
+  }
+  
+  // Native form submissions (Enter key, submit buttons, requestSubmit())
+  function handleFormSubmit(event) {
+    const form = event.target;
+    if (!(form instanceof HTMLFormElement)) return;
+    
+    // Re-submission after the user chose to proceed
+    if (approvedForms.has(form)) {
+      approvedForms.delete(form);
+      return;
+    }
+    
+    const submitter = event.submitter;
+    const destination = (submitter && submitter.getAttribute('formaction')) ||
+      form.getAttribute('action') || window.location.href;
+    const found = reviewSubmission(formEntries(form), destination);
+    if (found.length === 0) return;
+    
+    // Stop the submission before page handlers see it
+    event.preventDefault();
+    event.stopImmediatePropagation();
+    
+    confirmSensitiveSubmission(destination, found).then(allow => {
+      if (!allow) return;
+      approvedForms.add(form);
+      if (submitter && submitter.form === form) {
+        form.requestSubmit(submitter);
+      } else {
+        form.requestSubmit();
+      }
+    });
+  }
+  
+  // fetch/XHR/form.submit() calls reported by page-hook.js
+  function handlePageSubmissionCheck(event) {
+    let request;
+    try {
+      request = JSON.parse(event.detail);
+    } catch (_) {
+      return;
+    }
+    
+    const reply = (decision) => {
+      window.dispatchEvent(new CustomEvent(DECISION_EVENT, {
+        detail: JSON.stringify({ id: request.id, ...decision })
+      }));
+    };
+    
+    const found = reviewSubmission(request.entries || [], request.url);
+    if (found.length === 0) {
+      reply({ allow: true });
+      return;
+    }
+    
+    reply({ pending: true });
+    confirmSensitiveSubmission(request.url, found).then(allow => reply({ allow }));
+  }
+  
+  function setupSubmissionGuard() {
+    window.addEventListener('submit', handleFormSubmit, true);
+    window.addEventListener(CHECK_EVENT, handlePageSubmissionCheck);
+  }
+  
+  // Link guard
+  // Stops clicks on links, and window.open() calls reported by page-hook.js,
+  // whose destination is blacklisted or scores as dangerous from its URL
+  // alone, and asks before leaving the page. Facebook/Gmail/Outlook wrapped
+  // links are judged by where they forward to; short links are expanded first
+  // (on hover where possible), and a click only waits for an expansion that
+  // hasn't finished yet.
+  const NAVIGATION_CHECK_EVENT = 'fountainscan:check-navigation';
+  const NAVIGATION_DECISION_EVENT = 'fountainscan:navigation-decision';
+  const SHORT_LINK_TIMEOUT = 3000; // don't hold a click longer than this
+  const MAX_EXPANDED_LINKS = 200;
+  // Platforms' own shorteners on the platform's pages (every link on X is a
+  // t.co link) aren't held; the background still expands them as the tab
+  // navigates and blocks a dangerous destination
+  const PLATFORM_SHORTENERS = {
+    't.co': ['x.com', 'twitter.com']
+  };
+  const approvedDestinations = new Set();
+  const expandedLinks = new Map(); // short link -> redirect chain
+  
+  // Returns { url, host, analysis } when going to `href` needs confirmation
+  function reviewNavigation(href, redirectChain) {
+    let target;
+    try {
+      target = new URL(FountainScanEngine.unwrapRedirectLink(new URL(href, window.location.href).href));
+    } catch (_) {
+      return null;
+    }
+    
+    if (target.protocol !== 'http:' && target.protocol !== 'https:') return null;
+    if (target.hostname === window.location.hostname) return null;
+    if (approvedDestinations.has(target.hostname)) return null;
+    
+    const analysis = FountainScanEngine.analyze(
+      { url: target.href, redirectChain: redirectChain || [] },
+      { whitelist, blacklist, community: communityList },
+      settings
+    );
+    if (analysis.listed === 'whitelist') return null;
+    if (!analysis.listed && analysis.status !== 'danger') return null;
+    
+    const landing = redirectChain && redirectChain.length > 0
+      ? describeDestination(redirectChain[redirectChain.length - 1])
+      : target.hostname;
+    return { url: target.href, host: landing, analysis };
+  }
+  
+  // Resolves to the short link's redirect chain, or null if it takes too long.
+  // Chains are kept for the page's lifetime, so a link expanded on hover is
+  // judged without delay when it is clicked.
+  function expandShortLink(url) {
+    const lookup = chrome.runtime.sendMessage({ type: 'GET_REDIRECT_CHAIN', url })
+      .then(response => {
+        const chain = (response && response.redirectChain) || null;
+        if (chain && expandedLinks.size < MAX_EXPANDED_LINKS) expandedLinks.set(url, chain);
+        return chain;
+      })
+      .catch(() => null);
+    const timeout = new Promise(resolve => setTimeout(() => resolve(null), SHORT_LINK_TIMEOUT));
+    return Promise.race([lookup, timeout]);
+  }
+  
+  function isPlatformShortLink(url) {
+    const { hostname } = new URL(url);
+    const platforms = PLATFORM_SHORTENERS[hostname.toLowerCase()] || [];
+    return platforms.some(platform => FountainScanEngine.domainMatches(window.location.hostname, platform));
+  }
+  
+  // Whether a click on a short link that hasn't been expanded yet waits for
+  // the expansion. Whitelisted links and platform shorteners go straight
+  // through.
+  function holdsShortLink(url) {
+    return !FountainScanEngine.isListed(url, whitelist) && !isPlatformShortLink(url);
+  }
+  
+  // Start expanding short links as the pointer or focus reaches them
+  function prefetchShortLink(event) {
+    const link = event.target instanceof Element ? event.target.closest('a[href]') : null;
+    if (!link) return;
+    
+    const target = FountainScanEngine.unwrapRedirectLink(link.href);
+    if (!FountainScanEngine.isShortenedUrl(target) || expandedLinks.has(target) || !holdsShortLink(target)) return;
+    expandShortLink(target);
+  }
+  
+  function followLink(url, newTab) {
+    if (newTab) {
+      window.open(url, '_blank', 'noopener');
+    } else {
+      window.location.assign(url);
+    }
+  }
+  
+  // Show the pre-click interstitial; resolves to true if the user proceeds
+  function confirmNavigation(review) {
+    return languageReady.then(() => new Promise(resolve => {
+      const existing = document.getElementById('fountainscan-link-guard');
+      if (existing) existing.remove();
+      
+      const { analysis } = review;
+      const overlay = document.createElement('div');
+      overlay.id = 'fountainscan-link-guard';
+      overlay.innerHTML = `
+        <div style="
+          position: fixed;
+          top: 0;
+          left: 0;
+          width: 100%;
+          height: 100%;
+          background: rgba(0, 0, 0, 0.8);
+          z-index: 1000000;
+          display: flex;
+          justify-content: center;
+          align-items: center;
+          font-family: Arial, sans-serif;
+        ">
+          <div style="
+            background: white;
+            padding: 30px;
+            border-radius: 10px;
+            max-width: 480px;
+            text-align: center;
+            box-shadow: 0 10px 30px rgba(0, 0, 0, 0.5);
+          ">
+            <div style="font-size: 48px; margin-bottom: 10px;">⚠️</div>
+            <h2 style="color: #e74c3c; margin: 0 0 15px 0;">${t('linkTitle')}</h2>
+            <p class="fountainscan-link-summary" style="margin-bottom: 15px; color: #333;"></p>
+            <ul class="fountainscan-link-issues" style="
+              background: #f8f9fa;
+              padding: 10px 10px 10px 30px;
+              border-radius: 5px;
+              border-left: 4px solid #ffc107;
+              text-align: left;
+              color: #333;
+            "></ul>
+            <p style="font-size: 13px; color: #555; margin: 15px 0;">
+              ${t('linkAdvice')}
+            </p>
+            <div>
+              <button class="fountainscan-link-cancel" style="
+                background: #28a745;
+                color: white;
+                border: none;
+                padding: 10px 20px;
+                margin: 5px;
+                border-radius: 5px;
+                cursor: pointer;
+                font-size: 16px;
+              ">${t('linkStay')}</button>
+              <button class="fountainscan-link-proceed" style="
+                background: #dc3545;
+                color: white;
+                border: none;
+                padding: 10px 20px;
+                margin: 5px;
+                border-radius: 5px;
+                cursor: pointer;
+                font-size: 16px;
+              ">${t('continueAnyway')}</button>
+            </div>
+            <p style="font-size: 12px; color: #666; margin-top: 15px;">
+              ${t('alertProtectedBy')}
+            </p>
+          </div>
+        </div>
+      `;
+      
+      // Link-supplied text goes in through textContent only
+      const hostElement = document.createElement('strong');
+      hostElement.textContent = review.host;
+      const verdict = analysis.listed
+        ? t('linkBlacklisted')
+        : t('linkVerdict', [verdictLabel(analysis.status), analysis.score]);
+      overlay.querySelector('.fountainscan-link-summary')
+        .appendChild(FountainScanI18n.fragment('linkLeaving', [hostElement, verdict]));
+      const issueList = overlay.querySelector('.fountainscan-link-issues');
+      analysis.issues.slice(0, 4).forEach(issue => {
+        const li = document.createElement('li');
+        li.textContent = issue;
+        issueList.appendChild(li);
+      });
+      
+      const decide = (allow) => {
+        overlay.remove();
+        if (allow) approvedDestinations.add(describeDestination(review.url));
+        resolve(allow);
+      };
+      overlay.querySelector('.fountainscan-link-cancel').addEventListener('click', () => decide(false));
+      overlay.querySelector('.fountainscan-link-proceed').addEventListener('click', () => decide(true));
+      
+      document.body.appendChild(overlay);
+    }));
+  }
+  
+  // Left and middle clicks on anchors, before page handlers see them
+  function handleLinkClick(event) {
+    if (event.type === 'auxclick' && event.button !== 1) return;
+    
+    const link = event.target instanceof Element ? event.target.closest('a[href]') : null;
+    if (!link) return;
+    
+    const newTab = event.type === 'auxclick' || event.ctrlKey || event.metaKey || event.shiftKey ||
+      link.target === '_blank';
+    const target = FountainScanEngine.unwrapRedirectLink(link.href);
+    
+    if (FountainScanEngine.isShortenedUrl(target) &&
+        (expandedLinks.has(target) || !holdsShortLink(target))) {
+      // Already expanded, or not worth waiting for: only a bad verdict stops
+      // the click
+      const review = reviewNavigation(target, expandedLinks.get(target));
+      if (!review) return;
+      
+      event.preventDefault();
+      event.stopImmediatePropagation();
+      confirmNavigation(review).then(allow => {
+        if (allow) followLink(target, newTab);
+      });
+      return;
+    }
+    
+    if (FountainScanEngine.isShortenedUrl(target)) {
+      // Hold the click while the short link is resolved
+      event.preventDefault();
+      event.stopImmediatePropagation();
+      expandShortLink(target).then(chain => {
+        const review = reviewNavigation(target, chain);
+        if (!review) {
+          followLink(target, newTab);
+          return;
+        }
+        confirmNavigation(review).then(allow => {
+          if (allow) followLink(target, newTab);
+        });
+      });
+      return;
+    }
+    
+    const review = reviewNavigation(link.href);
+    if (!review) return;
+    
+    event.preventDefault();
+    event.stopImmediatePropagation();
+    confirmNavigation(review).then(allow => {
+      if (allow) followLink(review.url, newTab);
+    });
+  }
+  
+  // window.open() calls reported by page-hook.js. The answer must be
+  // synchronous, so short links are left to the background's own check.
+  function handlePageNavigationCheck(event) {
+    let request;
+    try {
+      request = JSON.parse(event.detail);
+    } catch (_) {
+      return;
+    }
+    
+    const review = reviewNavigation(request.url);
+    window.dispatchEvent(new CustomEvent(NAVIGATION_DECISION_EVENT, {
+      detail: JSON.stringify({ id: request.id, allow: !review })
+    }));
+    
+    if (review) {
+      confirmNavigation(review).then(allow => {
+        if (allow) followLink(review.url, true);
+      });
+    }
+  }
+  
+  function setupLinkGuard() {
+    window.addEventListener('click', handleLinkClick, true);
+    window.addEventListener('auxclick', handleLinkClick, true);
+    window.addEventListener('mouseover', prefetchShortLink, true);
+    window.addEventListener('focusin', prefetchShortLink, true);
+    window.addEventListener(NAVIGATION_CHECK_EVENT, handlePageNavigationCheck);
+  }
+  
+  // Webmail scanning
+  // In Gmail, Outlook and Yahoo Mail the page is an inbox, not a scam page:
+  // each opened message is scored on its own (sender, Reply-To, body, links)
+  // and gets a banner inside the message view instead of page-wide alerts.
+  const webmail = FountainScanWebmail.adapterFor(window.location.hostname);
+  const scannedMessages = new WeakMap(); // message element -> scan signature
+  
+  // The reported accounts and contacts that appear in one message or post,
+  // so only its own count against it
+  function reportsIn(text, contacts) {
+    const contactKeys = new Set(contacts.map(FountainScanEngine.channelKey));
+    const accounts = new Set(FountainScanEngine.extractPaymentRequests(text).map(request => request.accountNumber));
+    
+    return {
+      reportedAccounts: reportedAccounts.filter(account => accounts.has(account.accountNumber)),
+      reportedContacts: reportedContacts.filter(contact => contactKeys.has(FountainScanEngine.channelKey(contact)))
+    };
+  }
+  
+  function messageSignals(message) {
+    const addresses = [message.sender && message.sender.email, ...message.replyTo]
+      .filter(Boolean)
+      .map(email => `mailto:${email}`);
+    const text = `${message.subject} ${message.body}`;
+    const contacts = FountainScanEngine.extractContactChannels(text, [...message.links, ...addresses]);
+    
+    return {
+      url: window.location.href,
+      domain: window.location.hostname,
+      title: message.subject,
+      content: message.body,
+      sensitiveFields: [],
+      links: message.links.filter(href => /^https?:/i.test(href)),
+      contacts,
+      sender: message.sender,
+      replyTo: message.replyTo,
+      ...reportsIn(text, contacts)
+    };
+  }
+  
+  function showMessageBanner(message, analysis) {
+    const existing = message.bodyElement.parentElement &&
+      message.bodyElement.parentElement.querySelector(':scope > .fountainscan-mail-banner');
+    if (existing) existing.remove();
+    if (analysis.status === 'safe' || analysis.listed === 'whitelist') return;
+    
+    const danger = analysis.status === 'danger';
+    const banner = document.createElement('div');
+    banner.className = 'fountainscan-mail-banner';
+    banner.style.cssText = `
+      background: ${danger ? '#fdecea' : '#fff8e1'};
+      border-left: 4px solid ${danger ? '#e74c3c' : '#f39c12'};
+      color: #333;
+      padding: 10px 14px;
+      margin: 0 0 12px 0;
+      border-radius: 5px;
+      font-family: Arial, sans-serif;
+      font-size: 13px;
+    `;
+    
+    const heading = document.createElement('strong');
+    heading.textContent = `${danger ? '🚨' : '⚠️'} ${t('mailBanner', [verdictLabel(analysis.status), analysis.score])}`;
+    banner.appendChild(heading);
+    
+    const list = document.createElement('ul');
+    list.style.cssText = 'margin: 6px 0 0 0; padding-left: 20px;';
+    analysis.issues.slice(0, 4).forEach(issue => {
+      const li = document.createElement('li');
+      li.textContent = issue;
+      list.appendChild(li);
+    });
+    banner.appendChild(list);
+    
+    message.bodyElement.parentElement.insertBefore(banner, message.bodyElement);
+  }
+  
+  function scanWebmailMessages() {
+    webmail.findMessages(document).forEach(element => {
+      let message;
+      try {
+        message = webmail.read(element);
+      } catch (error) {
+        console.error(`FountainScan: ${webmail.name} adapter failed:`, error);
+        return;
+      }
+      if (!message || !message.body) return;
+      
+      const signals = messageSignals(message);
+      const signature = [
+        message.sender && message.sender.email,
+        message.body.length,
+        signals.reportedAccounts.length,
+        signals.reportedContacts.length
+      ].join('|');
+      if (scannedMessages.get(element) === signature) return;
+      scannedMessages.set(element, signature);
+      
+      const analysis = FountainScanEngine.analyze(signals, { whitelist, blacklist, community: communityList }, settings);
+      languageReady.then(() => showMessageBanner(message, analysis));
+      checkPaymentAccounts(signals);
+      checkContactChannels(signals);
+    });
+  }
+  
+  // Social feed scanning
+  // On Facebook, X and Telegram Web each post and comment is scored on its
+  // own text and outbound links and gets a small risk chip, with the reasons
+  // in its tooltip; posts added by infinite scroll are picked up through the
+  // content observer. Posts that score safe are left untouched.
+  const social = FountainScanSocial.adapterFor(window.location.hostname);
+  const scannedPosts = new WeakMap(); // post element -> { signature, chip }
+  
+  function postSignals(post) {
+    const contacts = FountainScanEngine.extractContactChannels(post.text, post.links);
+    
+    return {
+      url: window.location.href,
+      domain: window.location.hostname,
+      title: '',
+      content: post.text,
+      sensitiveFields: [],
+      links: post.links.filter(href => /^https?:/i.test(href)),
+      contacts,
+      post: { platform: social.id, author: post.author },
+      ...reportsIn(post.text, contacts)
+    };
+  }
+  
+  function showPostChip(post, analysis) {
+    const danger = analysis.status === 'danger';
+    const chip = document.createElement('span');
+    chip.className = 'fountainscan-post-chip';
+    chip.setAttribute('role', 'img');
+    chip.tabIndex = 0;
+    chip.style.cssText = `
+      display: inline-block;
+      background: ${danger ? '#fdecea' : '#fff8e1'};
+      border: 1px solid ${danger ? '#e74c3c' : '#f39c12'};
+      color: ${danger ? '#c0392b' : '#a36300'};
+      padding: 1px 8px;
+      margin: 0 0 4px 0;
+      border-radius: 10px;
+      font-family: Arial, sans-serif;
+      font-size: 11px;
+      font-weight: bold;
+      line-height: 16px;
+      cursor: help;
+    `;
+    chip.textContent = `${danger ? '🚨' : '⚠️'} ${verdictLabel(analysis.status)}`;
+    
+    const why = [t('postChipTooltip', [verdictLabel(analysis.status), analysis.score]),
+      ...analysis.issues.slice(0, 4).map(issue => `• ${issue}`)].join('\n');
+    chip.title = why;
+    chip.setAttribute('aria-label', why);
+    
+    post.textElement.parentElement.insertBefore(chip, post.textElement);
+    return chip;
+  }
+  
+  function scanSocialPosts() {
+    social.findPosts(document).forEach(element => {
+      let post;
+      try {
+        post = social.read(element);
+      } catch (error) {
+        console.error(`FountainScan: ${social.name} adapter failed:`, error);
+        return;
+      }
+      if (!post || !post.textElement) return;
+      
+      const signals = postSignals(post);
+      const signature = [
+        post.text.length,
+        post.links.length,
+        signals.reportedAccounts.length,
+        signals.reportedContacts.length
+      ].join('|');
+      const previous = scannedPosts.get(element);
+      // Feeds re-render posts; a chip dropped by the site is put back
+      if (previous && previous.signature === signature && (!previous.chip || previous.chip.isConnected)) return;
+      if (previous && previous.chip) previous.chip.remove();
+      
+      const entry = { signature, chip: null };
+      scannedPosts.set(element, entry);
+      
+      const analysis = FountainScanEngine.analyze(signals, { whitelist, blacklist, community: communityList }, settings);
+      if (analysis.status !== 'safe') {
+        languageReady.then(() => {
+          if (scannedPosts.get(element) === entry && post.textElement.isConnected) {
+            entry.chip = showPostChip(post, analysis);
+          }
+        });
+      }
+      checkPaymentAccounts(signals);
+      checkContactChannels(signals);
+    });
+  }
+  
   // Main analysis function combining both approaches
   function analyzePageContent() {
     if (!shouldAnalyzePage()) {
@@ -418,6 +1232,15 @@
     lastAnalysisTime = Date.now();
     
     try {
+      if (webmail) {
+        scanWebmailMessages();
+        return;
+      }
+      if (social) {
+        scanSocialPosts();
+        return;
+      }
+      
       const scanResult = scanPageContent();
       
       // Send to background script for analysis
@@ -444,11 +1267,11 @@
         
         if (settings.alertsEnabled && !window.location.href.includes('blocked.html')) {
           // Always show page notification for both warnings and dangerous sites
-          setTimeout(() => showPageNotification(scanResult), 500);
+          setTimeout(() => languageReady.then(() => showPageNotification(scanResult)), 500);
           
           // Show modal overlay only for dangerous sites
           if (scanResult.isDangerous) {
-            setTimeout(() => showWarningOverlay(scanResult), 1000);
+            setTimeout(() => languageReady.then(() => showWarningOverlay(scanResult)), 1000);
           }
         }
       }
@@ -468,8 +1291,14 @@
       clearTimeout(analysisTimer);
     }
     
+    // Feeds only rescan posts they have not seen, so they skip the page
+    // throttle and no batch of scrolled-in posts is dropped
     analysisTimer = setTimeout(() => {
-      analyzePageContent();
+      if (social) {
+        scanSocialPosts();
+      } else {
+        analyzePageContent();
+      }
     }, CONTENT_CHANGE_DELAY);
   }
   
@@ -544,6 +1373,10 @@
         sendResponse({ content: content });
         break;
         
+      case 'GET_PAGE_SIGNALS':
+        sendResponse(collectPageSignals());
+        break;
+        
       default:
         sendResponse({ error: 'Unknown message type' });
     }
@@ -560,6 +1393,7 @@
     
     try {
       loadSettings();
+      loadDomainAge();
       
       // Perform initial analysis after a short delay
       setTimeout(() => {
@@ -567,6 +1401,8 @@
       }, 1000);
       
       setupContentObserver();
+      setupSubmissionGuard();
+      setupLinkGuard();
       handleSPANavigation();
       
       console.log('FountainScan: Content script initialized for', window.location.hostname);
@@ -598,6 +1434,28 @@
     chrome.storage.onChanged.addListener((changes) => {
       if (changes.settings) {
         settings = { ...settings, ...changes.settings.newValue };
+        languageReady = FountainScanI18n.setLanguage(settings.alertLang);
+      }
+      if (changes.whitelist) {
+        whitelist = changes.whitelist.newValue || [];
+      }
+      if (changes.blacklist) {
+        blacklist = changes.blacklist.newValue || [];
+      }
+      if (changes.communityList) {
+        communityList = changes.communityList.newValue ? changes.communityList.newValue.entries : [];
+      }
+      if (changes.rulePacks) {
+        const rulePacks = changes.rulePacks.newValue || {};
+        if (rulePacks.version !== FountainScanEngine.getRulePackVersion()) {
+          FountainScanEngine.loadRulePacks(rulePacks.packs, rulePacks.version);
+        }
+      }
+      if (changes.classifierModel) {
+        const classifierModel = changes.classifierModel.newValue || {};
+        if (classifierModel.version !== FountainScanClassifier.getModelVersion()) {
+          FountainScanClassifier.loadModel(classifierModel.model);
+        }
       }
     });
   }
@@ -0,0 +1,291 @@
+// =============================================================================
+// FOUNTAIN SCAN - PROTECTED BRAND REGISTRY
+// =============================================================================
+// Nigerian institutions and banks that scam sites impersonate, with their
+// official domains. Loaded after lib/engine.js in every context; registers the
+// `brand-impersonation` rule that flags lookalike and homograph domains.
+
+const FountainScanBrands = (() => {
+  'use strict';
+
+  // tokens: the names a lookalike domain would carry (lowercase ASCII)
+  // unrelated: established domains of other organisations that happen to
+  // share the name (a US bank, a TV network), which are not impersonations
+  const BRANDS = [
+    { id: 'jamb', name: 'JAMB', domains: ['jamb.gov.ng', 'jamb.org.ng'], tokens: ['jamb'] },
+    { id: 'waec', name: 'WAEC', domains: ['waec.org.ng', 'waecdirect.org', 'waecnigeria.org', 'waec.org'], tokens: ['waec', 'waecdirect'] },
+    { id: 'neco', name: 'NECO', domains: ['neco.gov.ng', 'mynecoexams.com'], tokens: ['neco'] },
+    { id: 'npower', name: 'N-Power', domains: ['npower.gov.ng', 'nasims.gov.ng', 'fmhds.gov.ng'], tokens: ['npower', 'nasims'] },
+    { id: 'nnpc', name: 'NNPC', domains: ['nnpcgroup.com', 'nnpclimited.com'], tokens: ['nnpc'] },
+    { id: 'ptdf', name: 'PTDF', domains: ['ptdf.gov.ng'], tokens: ['ptdf'] },
+    { id: 'tetfund', name: 'TETFund', domains: ['tetfund.gov.ng'], tokens: ['tetfund'] },
+    { id: 'cbn', name: 'Central Bank of Nigeria', domains: ['cbn.gov.ng'], unrelated: ['cbn.com'], tokens: ['cbn'] },
+    { id: 'nimc', name: 'NIMC', domains: ['nimc.gov.ng'], tokens: ['nimc'] },
+    { id: 'accessbank', name: 'Access Bank', domains: ['accessbankplc.com'], tokens: ['accessbank'] },
+    { id: 'gtbank', name: 'GTBank', domains: ['gtbank.com', 'gtco.com'], unrelated: ['gtb.co.uk'], tokens: ['gtbank', 'gtb'] },
+    { id: 'firstbank', name: 'First Bank', domains: ['firstbanknigeria.com', 'firstbankgroup.com'], unrelated: ['firstbank.com'], tokens: ['firstbank'] },
+    { id: 'uba', name: 'UBA', domains: ['ubagroup.com'], unrelated: ['uba.com'], tokens: ['uba'] },
+    { id: 'zenithbank', name: 'Zenith Bank', domains: ['zenithbank.com'], tokens: ['zenithbank'] },
+    { id: 'fidelitybank', name: 'Fidelity Bank', domains: ['fidelitybank.ng'], unrelated: ['fidelitybank.com'], tokens: ['fidelitybank'] },
+    { id: 'fcmb', name: 'FCMB', domains: ['fcmb.com'], tokens: ['fcmb'] },
+    { id: 'unionbank', name: 'Union Bank', domains: ['unionbankng.com'], unrelated: ['unionbank.com'], tokens: ['unionbank'] },
+    { id: 'sterlingbank', name: 'Sterling Bank', domains: ['sterling.ng'], unrelated: ['sterlingbank.com'], tokens: ['sterlingbank'] },
+    { id: 'wemabank', name: 'Wema Bank', domains: ['wemabank.com', 'alat.ng'], tokens: ['wemabank'] },
+    { id: 'stanbicibtc', name: 'Stanbic IBTC', domains: ['stanbicibtcbank.com', 'stanbicibtc.com', 'stanbic.co.ke'], tokens: ['stanbicibtc', 'stanbic'] },
+    { id: 'ecobank', name: 'Ecobank', domains: ['ecobank.com', 'ecobank.cm'], tokens: ['ecobank'] },
+    { id: 'polarisbank', name: 'Polaris Bank', domains: ['polarisbanklimited.com'], tokens: ['polarisbank'] }
+  ];
+
+  // Characters that render like ASCII letters, folded to that letter
+  const CONFUSABLES = {
+    'а': 'a', 'е': 'e', 'о': 'o', 'р': 'p', 'с': 'c', 'х': 'x', 'у': 'y', 'і': 'i',
+    'ј': 'j', 'ԁ': 'd', 'һ': 'h', 'ո': 'n', 'ս': 'u', 'ɡ': 'g', 'ʙ': 'b', 'м': 'm',
+    'т': 't', 'в': 'b', 'к': 'k', 'н': 'h', 'ԝ': 'w', 'ѕ': 's', 'ӏ': 'l', 'ɑ': 'a',
+    'α': 'a', 'ο': 'o', 'ν': 'v', 'τ': 't', 'ι': 'i', 'κ': 'k', 'ρ': 'p',
+    'á': 'a', 'à': 'a', 'â': 'a', 'ä': 'a', 'ã': 'a', 'é': 'e', 'è': 'e', 'ê': 'e', 'ë': 'e',
+    'í': 'i', 'ì': 'i', 'î': 'i', 'ï': 'i', 'ó': 'o', 'ò': 'o', 'ô': 'o', 'ö': 'o', 'õ': 'o',
+    'ú': 'u', 'ù': 'u', 'û': 'u', 'ü': 'u', 'ñ': 'n', 'ç': 'c',
+    '0': 'o', '1': 'l', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '@': 'a'
+  };
+
+  // Letter pairs that read as a single letter at a glance
+  const CONFUSABLE_SEQUENCES = [['rn', 'm'], ['vv', 'w'], ['cl', 'd']];
+
+  const MIN_EDIT_TOKEN_LENGTH = 5;
+
+  // Words scam domains glue onto brand names (jambportal, myaccessbankonline).
+  // A token only matches inside a longer word next to one of these, so
+  // 'jamboree' is not mistaken for JAMB nor 'manpower' for N-Power.
+  const SCAM_AFFIXES = [
+    'portal', 'result', 'online', 'login', 'verify', 'verification', 'update',
+    'recruit', 'scholarship', 'grant', 'gov', 'ng', 'nigeria', 'apply', 'form',
+    'reg', 'check', 'exam', 'cbt', 'bvn', 'nin', 'bank', 'support', 'official', 'my',
+    'plc', 'batch', 'caps', 'secure', 'alert'
+  ];
+
+  // Ordinary words and names within a typo of a brand token. A host word
+  // that is one of these is not a misspelling (solar-power.ng, nasim.com).
+  const COMMON_WORDS = ['power', 'nasim'];
+
+  // Zones only the Nigerian government can register in; their hosts may use
+  // any agency's name (npower.fmhds.gov.ng)
+  const GOVERNMENT_ZONES = ['gov.ng'];
+
+  // ===========================================================================
+  // STRING HELPERS
+  // ===========================================================================
+
+  // RFC 3492 punycode decoder, for turning xn-- labels back into Unicode
+  function decodePunycode(input) {
+    const base = 36, tMin = 1, tMax = 26, skew = 38, damp = 700;
+    const output = [];
+    let i = 0, n = 128, bias = 72;
+
+    const basic = input.lastIndexOf('-');
+    for (let j = 0; j < Math.max(basic, 0); j++) output.push(input.charCodeAt(j));
+
+    const adapt = (delta, numPoints, firstTime) => {
+      let k = 0;
+      delta = firstTime ? Math.floor(delta / damp) : delta >> 1;
+      delta += Math.floor(delta / numPoints);
+      for (; delta > ((base - tMin) * tMax) >> 1; k += base) {
+        delta = Math.floor(delta / (base - tMin));
+      }
+      return Math.floor(k + (base - tMin + 1) * delta / (delta + skew));
+    };
+
+    for (let index = basic > 0 ? basic + 1 : 0; index < input.length;) {
+      const oldi = i;
+      for (let w = 1, k = base; ; k += base) {
+        const code = input.charCodeAt(index++);
+        const digit = code - 48 < 10 ? code - 22 : code - 65 < 26 ? code - 65 : code - 97 < 26 ? code - 97 : base;
+        if (digit >= base) throw new Error('Invalid punycode');
+        i += digit * w;
+        const t = k <= bias ? tMin : k >= bias + tMax ? tMax : k - bias;
+        if (digit < t) break;
+        w *= base - t;
+      }
+      bias = adapt(i - oldi, output.length + 1, oldi === 0);
+      n += Math.floor(i / (output.length + 1));
+      i %= output.length + 1;
+      output.splice(i++, 0, n);
+    }
+
+    return String.fromCodePoint(...output);
+  }
+
+  function toUnicodeHostname(hostname) {
+    return hostname.toLowerCase().split('.').map(label => {
+      if (!label.startsWith('xn--')) return label;
+      try {
+        return decodePunycode(label.slice(4));
+      } catch (_) {
+        return label;
+      }
+    }).join('.');
+  }
+
+  // Fold a string to the ASCII letters it visually resembles
+  function skeleton(text) {
+    let folded = Array.from(text.toLowerCase()).map(ch => CONFUSABLES[ch] || ch).join('');
+    CONFUSABLE_SEQUENCES.forEach(([sequence, letter]) => {
+      folded = folded.split(sequence).join(letter);
+    });
+    return folded;
+  }
+
+  // Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+  function editDistance(a, b) {
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+        }
+      }
+    }
+
+    return d[a.length][b.length];
+  }
+
+  // ===========================================================================
+  // IMPERSONATION CHECK
+  // ===========================================================================
+
+  function isOfficialDomain(brand, hostname) {
+    return brand.domains.some(domain => FountainScanEngine.domainMatches(hostname, domain));
+  }
+
+  function isUnrelatedDomain(brand, hostname) {
+    return (brand.unrelated || []).some(domain => FountainScanEngine.domainMatches(hostname, domain));
+  }
+
+  // Does a word read as the token with scam affixes around it
+  // (jambportal, myaccessbankonline, jamb2025)? Whatever comes before the
+  // token must end in an affix or a digit, and whatever follows must start
+  // with one.
+  function compoundMatch(token, word) {
+    if (word.length <= token.length) return false;
+    for (let at = word.indexOf(token); at !== -1; at = word.indexOf(token, at + 1)) {
+      const before = word.slice(0, at);
+      const after = word.slice(at + token.length);
+      if ((!before || /\d$/.test(before) || SCAM_AFFIXES.some(affix => before.endsWith(affix))) &&
+          (!after || /^\d/.test(after) || SCAM_AFFIXES.some(affix => after.startsWith(affix)))) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  function containsToken(token, words) {
+    return words.includes(token) || words.some(word => compoundMatch(token, word));
+  }
+
+  // Compare one brand token against the words of a hostname. Returns the
+  // strongest kind of match: 'homograph' (only matches once confusable
+  // characters are folded), 'lookalike' (a small misspelling) or 'token'
+  // (the exact brand name inside someone else's domain).
+  function matchToken(token, words) {
+    const foldedWords = words.map(skeleton);
+    const exact = containsToken(token, words);
+
+    const folded = containsToken(token, foldedWords);
+    if (folded && !exact) return { kind: 'homograph' };
+
+    if (exact) return { kind: 'token' };
+
+    if (token.length >= MIN_EDIT_TOKEN_LENGTH) {
+      const maxDistance = token.length >= 8 ? 2 : 1;
+      const near = foldedWords.find(word => !COMMON_WORDS.includes(word) &&
+        Math.abs(word.length - token.length) <= maxDistance && editDistance(word, token) <= maxDistance);
+      if (near) return { kind: 'lookalike', word: near };
+    }
+
+    return null;
+  }
+
+  // The words a hostname's labels are made of: each hyphen-separated part,
+  // and runs of adjacent parts read together, so 'n-power' still reads as
+  // 'npower' but tokens never match across a word boundary
+  function hostWords(labels) {
+    const words = [];
+    labels.forEach(label => {
+      const parts = label.split('-').filter(Boolean);
+      for (let start = 0; start < parts.length; start++) {
+        for (let end = start + 1; end <= parts.length; end++) {
+          words.push(parts.slice(start, end).join(''));
+        }
+      }
+    });
+    return words;
+  }
+
+  const MATCH_STRENGTH = { token: 1, lookalike: 2, homograph: 3 };
+
+  // Check a hostname against every protected brand. Returns
+  // { brand, kind, hostname } for the strongest match, or null.
+  function findImpersonation(hostname) {
+    const host = toUnicodeHostname(FountainScanEngine.cleanDomain(hostname));
+    if (GOVERNMENT_ZONES.some(zone => FountainScanEngine.domainMatches(host, zone))) return null;
+    const words = hostWords(host.split('.'));
+
+    let best = null;
+    BRANDS.forEach(brand => {
+      if (isOfficialDomain(brand, host) || isUnrelatedDomain(brand, host)) return;
+
+      brand.tokens.forEach(token => {
+        const match = matchToken(token, words);
+        if (match && (!best || MATCH_STRENGTH[match.kind] > MATCH_STRENGTH[best.kind])) {
+          best = { brand, kind: match.kind, hostname: host };
+        }
+      });
+    });
+
+    return best;
+  }
+
+  function describeImpersonation(match) {
+    const { brand, kind, hostname } = match;
+    const official = brand.domains[0];
+    const reasons = {
+      homograph: `uses look-alike characters to spell "${brand.tokens[0]}"`,
+      lookalike: `is a misspelling of ${brand.name}'s name`,
+      token: `uses the ${brand.name} name`
+    };
+    return `Impersonating ${brand.name}: ${hostname} ${reasons[kind]} but is not an official ${brand.name} domain (${official})`;
+  }
+
+  FountainScanEngine.registerRule({
+    id: 'brand-impersonation',
+    category: 'impersonation',
+    evaluate: ctx => {
+      const match = findImpersonation(ctx.domain);
+      if (!match) return null;
+
+      const weights = {
+        homograph: FountainScanEngine.RULE_WEIGHTS.brandHomograph,
+        lookalike: FountainScanEngine.RULE_WEIGHTS.brandLookalike,
+        token: FountainScanEngine.RULE_WEIGHTS.brandToken
+      };
+      return {
+        weight: weights[match.kind],
+        message: describeImpersonation(match),
+        evidence: `${match.hostname} vs official ${match.brand.domains.join(', ')}`
+      };
+    }
+  });
+
+  return {
+    BRANDS,
+    skeleton,
+    editDistance,
+    toUnicodeHostname,
+    isOfficialDomain,
+    findImpersonation,
+    describeImpersonation
+  };
+})();
@@ -0,0 +1,114 @@
+// =============================================================================
+// FOUNTAIN SCAN - OFFLINE TEXT CLASSIFIER
+// =============================================================================
+// Loaded after lib/engine.js on every surface. A logistic regression over
+// word unigrams and bigrams scores page text without any network call; its
+// weights are trained by backend/scripts/train-classifier.js and shipped as
+// JSON (models/classifier.json, which the backend also serves, or a newer
+// copy synced by the background).
+// The model's probability becomes the `text-classifier` rule, alongside the
+// keyword rules rather than replacing them.
+
+const FountainScanClassifier = (() => {
+  'use strict';
+
+  // Too little text gives the model nothing to go on
+  const MIN_TOKENS = 20;
+  // Probabilities below this add nothing; above it the weight scales linearly
+  // up to RULE_WEIGHTS.textClassifier. The model is trained on a small seed
+  // set, so ordinary bank, exam and fee pages can still score well above
+  // 0.5: only near-certain predictions count, and never enough for a
+  // warning on their own.
+  const SCAM_THRESHOLD = 0.9;
+  const MAX_TOKENS = 3000;
+
+  let model = null;
+
+  // Lowercase words with digit runs collapsed to '#', so amounts, phone and
+  // account numbers count as the same feature. Must match the tokenizer in
+  // backend/scripts/train-classifier.js.
+  function tokenize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/\d+/g, '#')
+      .split(/[^a-z#₦]+/)
+      .filter(token => token.length > 1 || token === '#' || token === '₦')
+      .slice(0, MAX_TOKENS);
+  }
+
+  function features(tokens) {
+    const found = new Set(tokens);
+    for (let i = 0; i < tokens.length - 1; i++) {
+      found.add(`${tokens[i]} ${tokens[i + 1]}`);
+    }
+    return found;
+  }
+
+  // model: { version, bias, weights: { feature: weight } }
+  function loadModel(next) {
+    if (!next || typeof next.bias !== 'number' || !next.weights || typeof next.weights !== 'object') {
+      model = null;
+      return false;
+    }
+    model = next;
+    return true;
+  }
+
+  function getModelVersion() {
+    return model ? model.version : null;
+  }
+
+  // Returns { probability, tokens, contributions } with the features that
+  // pushed hardest towards "scam", or null without a model
+  function predict(text) {
+    if (!model) return null;
+
+    const tokens = tokenize(text);
+    let logit = model.bias;
+    const contributions = [];
+
+    features(tokens).forEach(feature => {
+      // Own keys only: page words such as "constructor" must not find
+      // Object.prototype members
+      const weight = Object.hasOwn(model.weights, feature) ? model.weights[feature] : 0;
+      if (typeof weight === 'number' && weight) {
+        logit += weight;
+        contributions.push({ feature, weight });
+      }
+    });
+
+    contributions.sort((a, b) => b.weight - a.weight);
+    return {
+      probability: 1 / (1 + Math.exp(-logit)),
+      tokens: tokens.length,
+      contributions
+    };
+  }
+
+  FountainScanEngine.registerRule({
+    id: 'text-classifier',
+    category: 'classifier',
+    evaluate: ctx => {
+      const prediction = predict(`${ctx.title} ${ctx.content}`);
+      if (!prediction || prediction.tokens < MIN_TOKENS || prediction.probability < SCAM_THRESHOLD) return null;
+
+      const scale = (prediction.probability - SCAM_THRESHOLD) / (1 - SCAM_THRESHOLD);
+      const weight = Math.round(FountainScanEngine.RULE_WEIGHTS.textClassifier * scale);
+      const top = prediction.contributions.filter(entry => entry.weight > 0).slice(0, 5);
+
+      return {
+        weight,
+        message: `Text reads like a scam (${Math.round(prediction.probability * 100)}% classifier confidence)`,
+        evidence: top.map(entry => `"${entry.feature}" +${entry.weight.toFixed(2)}`)
+      };
+    }
+  });
+
+  return {
+    SCAM_THRESHOLD,
+    tokenize,
+    loadModel,
+    getModelVersion,
+    predict
+  };
+})();
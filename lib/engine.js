@@ -0,0 +1,1661 @@
+// =============================================================================
+// FOUNTAIN SCAN - SHARED DETECTION ENGINE
+// =============================================================================
+// Loaded by the background service worker (importScripts), the content script
+// (manifest content_scripts) and the popup (<script>), so every surface scores
+// a page with the same rule registry, the same 0-100 scale and the same verdict.
+
+const FountainScanEngine = (() => {
+  'use strict';
+
+  // ===========================================================================
+  // CONSTANTS AND CONFIGURATION
+  // ===========================================================================
+
+  const MAX_SCORE = 100;
+
+  const VERDICT_THRESHOLDS = {
+    danger: 70,
+    warning: 40
+  };
+
+  const VERDICT_LABELS = {
+    safe: 'Safe',
+    warning: 'Medium Risk',
+    danger: 'High Risk'
+  };
+
+  const RULE_WEIGHTS = {
+    https: 10,
+    domainAge: 15,
+    domainAgeVeryNew: 30,
+    blacklistHit: 100,
+    suspiciousTld: 15,
+    urlShortener: 10,
+    punycode: 15,
+    excessiveSubdomains: 5,
+    brandToken: 45,
+    brandLookalike: 55,
+    brandHomograph: 70,
+    dataCollector: 70,
+    insecureSubmission: 40,
+    crossSiteSubmission: 35,
+    hostedPlatform: 10,
+    sensitiveField: 15,
+    feeRequest: 30,
+    reportedAccount: 45,
+    reportedContact: 45,
+    freeMailOfficial: 25,
+    replyToMismatch: 25,
+    textClassifier: 20,
+    suspiciousLinks: 10,
+    urgencyLanguage: 5
+  };
+
+  // Domains younger than these many days are scored; overridable per call
+  // through the settings `veryNewDomainDays` and `newDomainDays`
+  const DOMAIN_AGE_DEFAULTS = {
+    veryNewDomainDays: 30,
+    newDomainDays: 180
+  };
+
+  // Bundled keyword groups: every matched keyword adds `weight`, capped at `max`
+  // per group. Rule packs synced from the backend extend these by id.
+  const KEYWORD_GROUPS = {
+    scholarship: {
+      label: 'Scholarship scam indicators',
+      weight: 10,
+      max: 30,
+      keywords: [
+        'free scholarship', 'guaranteed scholarship', 'instant scholarship',
+        'scholarship winner', 'congratulations scholarship', 'scholarship alert',
+        'urgent scholarship', 'limited scholarship', 'scholarship processing fee',
+        'pay processing fee', 'congratulations you have won', 'nigerian scholarship winner',
+        'limited time scholarship', 'guaranteed scholarship approval',
+        'scholarship grant', 'education grant', 'student aid program'
+      ]
+    },
+    identity: {
+      label: 'Identity harvesting indicators',
+      weight: 10,
+      max: 30,
+      keywords: [
+        'bvn', 'nin', 'enter your bvn', 'enter your nin', 'nin registration',
+        'bvn verification', 'bank verification number', 'national identity number',
+        'payment verification'
+      ]
+    },
+    financial: {
+      label: 'Financial fraud indicators',
+      weight: 8,
+      max: 24,
+      keywords: [
+        'instant money', 'guaranteed loan', 'easy cash', 'quick loan',
+        'no collateral', 'emergency loan', 'same day loan', 'loan approved',
+        'cash advance', 'instant approval', 'get rich quick', 'make money fast',
+        'work from home'
+      ]
+    },
+    government: {
+      label: 'Nigerian institution impersonation indicators',
+      weight: 8,
+      max: 24,
+      keywords: [
+        'npower', 'npower recruitment', 'jamb result', 'waec result',
+        'inec recruitment', 'nnpc recruitment', 'cbn recruitment',
+        'federal government recruitment', 'ministry recruitment',
+        'nddc scholarship', 'ptdf scholarship'
+      ]
+    },
+    urgency: {
+      label: 'Urgency pressure tactics',
+      weight: 5,
+      max: 15,
+      keywords: [
+        'act now', 'limited time', 'expires soon', 'expires today',
+        'last chance', 'deadline today', 'urgent action required',
+        'while supplies last', 'dont miss out', 'offer expires'
+      ]
+    },
+    phishing: {
+      label: 'Phishing indicators',
+      weight: 8,
+      max: 24,
+      keywords: [
+        'verify account', 'verify your account', 'update information',
+        'confirm identity', 'confirm your identity', 'security alert',
+        'account suspended', 'click here now'
+      ]
+    }
+  };
+
+  // Nigerian languages with their own keyword packs. English packs above
+  // always apply; these apply only when the page is detected as the language.
+  const LANGUAGE_NAMES = {
+    pcm: 'Nigerian Pidgin',
+    yo: 'Yoruba',
+    ha: 'Hausa',
+    ig: 'Igbo'
+  };
+
+  // Common words that mark text as written in (or mixing in) each language.
+  // Written without diacritics: text is folded before matching (see foldText).
+  const LANGUAGE_MARKERS = {
+    pcm: [
+      'wetin', 'dey', 'abeg', 'una', 'wahala', 'sabi', 'pikin', 'naim', 'abi', 'sef',
+      'comot', 'oya', 'wey', 'no be', 'na so', 'make una', 'e don', 'you don', 'how far'
+    ],
+    yo: [
+      'jowo', 'bawo', 'pelu', 'kiakia', 'eyin', 'nitori', 'gbogbo', 'omo', 'sugbon',
+      'ohun', 'awon', 'ati', 'naa', 'e ku'
+    ],
+    ha: [
+      'kuma', 'wannan', 'domin', 'saboda', 'yanzu', 'kudi', 'sannu', 'wanda', 'suna',
+      'zuwa', 'don allah', 'tare da', 'ina kwana'
+    ],
+    ig: [
+      'ndi', 'nke', 'unu', 'biko', 'maka', 'anyi', 'nwere', 'ihe', 'ugbu a', 'kedu',
+      'dika', 'site na', 'ndewo'
+    ]
+  };
+
+  // Distinct markers needed before a language's packs switch on
+  const MIN_LANGUAGE_MARKERS = 2;
+
+  // Shared shape of every language's bundled packs; the vocabulary below
+  // fills in `keywords` per language
+  const LANGUAGE_GROUP_DEFAULTS = {
+    fee: { label: 'fee demand', weight: 10, max: 30 },
+    urgency: { label: 'urgency pressure', weight: 5, max: 15 },
+    lottery: { label: 'prize bait', weight: 10, max: 30 }
+  };
+
+  // Starter vocabulary for fee demands, urgency and "you don win" prize bait
+  const LANGUAGE_KEYWORD_GROUPS = {
+    pcm: {
+      fee: [
+        'pay small fee', 'pay small money', 'make you pay', 'you go pay', 'pay first',
+        'send the money', 'send money first', 'transfer the money', 'make you transfer',
+        'drop something', 'balance the payment', 'registration money', 'processing money',
+        'form money', 'pay am'
+      ],
+      urgency: [
+        'quick quick', 'sharp sharp', 'no dull', 'no dull yourself', 'no waste time',
+        'before e finish', 'before dem close am', 'time dey go', 'e go close today',
+        'today today', 'oya hurry', 'last chance o'
+      ],
+      lottery: [
+        'you don win', 'your number don win', 'you don qualify', 'dem don select you',
+        'your name dey the list', 'claim your money', 'collect your prize', 'money don land',
+        'free money dey', 'congrats you don win', 'your alert don ready'
+      ]
+    },
+    yo: {
+      fee: [
+        'san owo', 'e san owo', 'sanwo', 'e sanwo', 'fi owo ranse', 'owo iforukosile',
+        'owo fomu', 'owo ise'
+      ],
+      urgency: [
+        'ni kiakia', 'lesekese', 'loni loni', 'ojo ikeyin', 'asiko n lo', 'ma se pe'
+      ],
+      lottery: [
+        'o ti jawe olubori', 'e ti jawe olubori', 'ebun owo', 'o jere', 'e ku oriire',
+        'gba ebun re', 'owo ofe'
+      ]
+    },
+    ha: {
+      fee: [
+        'ku biya', 'ka biya', 'biya kudi', 'kudin rajista', 'kudin fom', 'tura kudi',
+        'aika kudi', 'kudin sarrafawa'
+      ],
+      urgency: [
+        'yanzu yanzu', 'nan take', 'cikin gaggawa', 'da gaggawa', 'kada ku makara',
+        'rana ta karshe', 'lokaci yana kurewa'
+      ],
+      lottery: [
+        'ka lashe', 'kun lashe', 'kun ci kyauta', 'kyautar kudi', 'kudi kyauta',
+        'barka da nasara', 'karbi kyautar ka'
+      ]
+    },
+    ig: {
+      fee: [
+        'kwuo ugwo', 'kwuo ego', 'zite ego', 'ego ndebanye aha', 'ego akwukwo', 'ego nhazi'
+      ],
+      urgency: [
+        'ngwa ngwa', 'ugbu a ugbu a', 'otu mgbe', 'ubochi ikpeazu', 'oge na aga', 'ebula oge'
+      ],
+      lottery: [
+        'i meriela', 'unu meriela', 'onyinye ego', 'nata onyinye gi', "ego n'efu"
+      ]
+    }
+  };
+
+  // Backend keyword severity -> weight contribution of one matched keyword
+  const SEVERITY_WEIGHTS = {
+    low: 5,
+    medium: 10,
+    high: 20,
+    critical: 35
+  };
+
+  const DEFAULT_PACK_MAX = 30;
+
+  const SENSITIVE_FIELDS = [
+    'nin', 'bvn', 'account number', 'routing number',
+    'social security', 'credit card', 'cvv', 'pin',
+    'mother maiden name', 'birth certificate'
+  ];
+
+  // Second-level suffixes where the registrable domain has three labels
+  const MULTI_PART_SUFFIXES = [
+    'com.ng', 'org.ng', 'gov.ng', 'edu.ng', 'net.ng', 'sch.ng', 'mil.ng', 'name.ng', 'mobi.ng',
+    'co.uk', 'org.uk', 'ac.uk', 'co.za', 'com.gh', 'edu.gh', 'co.ke', 'com.au'
+  ];
+
+  // Wording that introduces a payment demand on scholarship/recruitment scams
+  const FEE_TERMS = [
+    'processing fee', 'registration fee', 'application fee', 'verification fee',
+    'form fee', 'activation fee', 'clearance fee', 'admin fee', 'administrative fee',
+    'acceptance fee', 'screening fee', 'service charge', 'pay the sum of', 'payment of'
+  ];
+
+  const NIGERIAN_BANKS = [
+    'access bank', 'gtbank', 'guaranty trust', 'gtco', 'first bank', 'firstbank', 'uba',
+    'united bank for africa', 'zenith', 'fidelity', 'fcmb', 'union bank', 'sterling',
+    'wema', 'stanbic', 'ecobank', 'polaris', 'keystone', 'unity bank', 'heritage',
+    'providus', 'jaiz', 'opay', 'palmpay', 'moniepoint', 'kuda'
+  ];
+
+  // How far (in characters) either side of fee wording to look for payment details
+  const FEE_CONTEXT_WINDOW = 200;
+
+  const SUSPICIOUS_TLDS = ['.tk', '.ml', '.ga', '.cf', '.pw', '.top', '.click'];
+  const URL_SHORTENERS = ['bit.ly', 'tinyurl.com', 'goo.gl', 't.co', 'short.link', 'ow.ly'];
+
+  // Click-tracking redirectors (Facebook, Gmail, Outlook...) that carry the
+  // real destination in a query parameter
+  const LINK_WRAPPERS = [
+    { host: 'l.facebook.com', params: ['u'] },
+    { host: 'lm.facebook.com', params: ['u'] },
+    { host: 'l.instagram.com', params: ['u'] },
+    { host: 'google.com', path: '/url', params: ['q', 'url'] },
+    { host: 'safelinks.protection.outlook.com', params: ['url'] }
+  ];
+
+  // Third-party endpoints scam kits post applicant data to, so the operator
+  // needs no server of their own: Telegram bots, form backends, Apps Script
+  // web apps and chat webhooks. `path` narrows a host to the collecting URLs.
+  const DATA_COLLECTORS = [
+    { id: 'telegram-bot', name: 'Telegram Bot API', host: 'api.telegram.org', path: /^\/bot/i },
+    { id: 'formspree', name: 'Formspree', host: 'formspree.io' },
+    { id: 'formsubmit', name: 'FormSubmit', host: 'formsubmit.co' },
+    { id: 'getform', name: 'Getform', host: 'getform.io' },
+    { id: 'apps-script', name: 'Google Apps Script', host: 'script.google.com', path: /^\/(?:a\/[^/]+\/)?macros\//i },
+    { id: 'apps-script', name: 'Google Apps Script', host: 'script.googleusercontent.com' },
+    { id: 'discord-webhook', name: 'Discord webhook', host: 'discord.com', path: /^\/api\/(?:v\d+\/)?webhooks\//i },
+    { id: 'discord-webhook', name: 'Discord webhook', host: 'discordapp.com', path: /^\/api\/(?:v\d+\/)?webhooks\//i }
+  ];
+
+  // Platforms where anyone can publish under the platform's own domain. The
+  // user-content part of a URL - the form, the site, the subdomain - is the
+  // site's identity for lists, reports and scoring, so trusting google.com
+  // does not trust every Google Form. `hosts` are exact hostnames and
+  // `suffix` a domain whose subdomains belong to users; `path` matches the
+  // user content in the pathname, without it the hostname is the identity.
+  const HOSTED_PLATFORMS = [
+    { id: 'google-forms', name: 'Google Forms', hosts: ['docs.google.com'], path: /^\/forms\/(?:u\/\d+\/)?d\/(?:e\/)?[\w-]+/i },
+    { id: 'google-docs', name: 'Google Docs', hosts: ['docs.google.com'], path: /^\/(?:document|spreadsheets|presentation)\/(?:u\/\d+\/)?d\/(?:e\/)?[\w-]+/i },
+    { id: 'google-sites', name: 'Google Sites', hosts: ['sites.google.com'], path: /^\/(?:u\/\d+\/)?(?:view|site)\/[\w.-]+/i },
+    { id: 'blogspot', name: 'Blogger', suffix: 'blogspot.com' },
+    { id: 'wixsite', name: 'Wix', suffix: 'wixsite.com', path: /^\/[\w.-]+/i },
+    { id: 'netlify', name: 'Netlify', suffix: 'netlify.app' }
+  ];
+  const URGENCY_WORDS = ['urgent', 'hurry', 'limited', 'expires', 'deadline'];
+
+  // Consumer email providers no government body or bank corresponds through
+  const FREE_MAIL_DOMAINS = [
+    'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.uk', 'ymail.com', 'rocketmail.com',
+    'hotmail.com', 'outlook.com', 'live.com', 'msn.com', 'aol.com', 'icloud.com',
+    'proton.me', 'protonmail.com', 'mail.com', 'gmx.com', 'yandex.com'
+  ];
+
+  // Wording that presents a page as coming from a Nigerian public body
+  const OFFICIAL_BODY_TERMS = [
+    'federal government', 'federal republic of nigeria', 'federal ministry', 'ministry of',
+    'government of nigeria', 'central bank of nigeria', 'jamb', 'waec', 'neco', 'npower',
+    'n-power', 'nnpc', 'ptdf', 'tetfund', 'nimc', 'inec', 'nddc', 'efcc', 'cbn'
+  ];
+
+  const MAX_CONTACTS = 20;
+
+  // Outbound links of a social post scored one by one, in post order
+  const MAX_POST_LINKS = 10;
+
+  // Characters of surrounding text kept either side of a match in evidence
+  const EVIDENCE_CONTEXT = 40;
+  const MAX_EVIDENCE = 3;
+
+  // ===========================================================================
+  // UTILITY FUNCTIONS
+  // ===========================================================================
+
+  const keywordRegexCache = new Map();
+
+  // Keywords match on word boundaries; spaces also match '-', '_' and '/' so
+  // 'free scholarship' hits both page text and 'free-scholarship' in a URL
+  function keywordRegex(keyword) {
+    if (!keywordRegexCache.has(keyword)) {
+      const source = keyword
+        .toLowerCase()
+        .trim()
+        .split(/[\s\-_]+/)
+        .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('[\\s\\-_/]+');
+      keywordRegexCache.set(keyword, new RegExp(`(^|[^a-z0-9])${source}(?![a-z0-9])`, 'i'));
+    }
+    return keywordRegexCache.get(keyword);
+  }
+
+  function matchesKeyword(text, keyword) {
+    return !!text && keywordRegex(keyword).test(text);
+  }
+
+  // The text around `index`, collapsed onto one line, for showing evidence
+  function contextSnippet(text, index, length, radius = EVIDENCE_CONTEXT) {
+    const start = Math.max(0, index - radius);
+    const end = Math.min(text.length, index + length + radius);
+    const snippet = text.slice(start, end).replace(/\s+/g, ' ').trim();
+    return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+  }
+
+  // Evidence for a keyword: the first match in page text, title or URL
+  function keywordEvidence(ctx, keyword, sources = [ctx.content, ctx.title, ctx.urlText]) {
+    for (const text of sources) {
+      const match = text && keywordRegex(keyword).exec(text);
+      if (match) {
+        // Skip the boundary character the regex consumes before the keyword
+        const offset = match[1].length;
+        return contextSnippet(text, match.index + offset, match[0].length - offset);
+      }
+    }
+    return keyword;
+  }
+
+  // ===========================================================================
+  // LANGUAGE DETECTION
+  // ===========================================================================
+
+  const FOLDED_LETTERS = { 'ɗ': 'd', 'ƙ': 'k', 'ɓ': 'b', 'ƴ': 'y', '’': "'", '‘': "'" };
+
+  // Lowercase with tone marks and underdots stripped and the Hausa hooked
+  // letters made plain, so 'ẹ̀bùn' matches 'ebun' and 'ƙarshe' matches 'karshe'.
+  // People often type these languages without diacritics, so keywords are too.
+  function foldText(text) {
+    return String(text || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[ɗƙɓƴ’‘]/g, letter => FOLDED_LETTERS[letter]);
+  }
+
+  // Languages (codes from LANGUAGE_NAMES) present in already-folded text,
+  // plus the one the page declares in <html lang>, if we have packs for it
+  function detectLanguages(foldedText, declared) {
+    const languages = Object.keys(LANGUAGE_MARKERS).filter(language =>
+      LANGUAGE_MARKERS[language].filter(marker => matchesKeyword(foldedText, marker)).length >= MIN_LANGUAGE_MARKERS
+    );
+
+    const primary = String(declared || '').toLowerCase().split('-')[0];
+    if (LANGUAGE_NAMES[primary] && !languages.includes(primary)) {
+      languages.push(primary);
+    }
+    return languages;
+  }
+
+  function cleanDomain(domain) {
+    return domain.replace(/^(https?:\/\/)?(www\.)?/, '').toLowerCase();
+  }
+
+  function domainMatches(currentDomain, listDomain) {
+    const cleanCurrent = cleanDomain(currentDomain);
+    const cleanList = cleanDomain(listDomain);
+
+    // Exact match
+    if (cleanCurrent === cleanList) return true;
+
+    // Subdomain match
+    if (cleanCurrent.endsWith('.' + cleanList)) return true;
+
+    // Wildcard support
+    if (cleanList.startsWith('*.')) {
+      const baseDomain = cleanList.substring(2);
+      return cleanCurrent.endsWith('.' + baseDomain) || cleanCurrent === baseDomain;
+    }
+
+    return false;
+  }
+
+  function onPlatform(platform, host) {
+    return platform.hosts
+      ? platform.hosts.includes(host)
+      : host === platform.suffix || host.endsWith('.' + platform.suffix);
+  }
+
+  function hostedPlatform(hostname) {
+    const host = cleanDomain(hostname);
+    return HOSTED_PLATFORMS.find(platform => onPlatform(platform, host)) || null;
+  }
+
+  // What a URL (or bare hostname) identifies for lists, reports and scoring:
+  // { identity, host, platform, userContent }. Off hosted platforms the
+  // identity is the hostname. On them it is the user's content, e.g.
+  // docs.google.com/forms/d/e/<id> or scam.blogspot.com, with userContent
+  // true; the platform's own pages keep the hostname.
+  function siteIdentity(url) {
+    let parsed;
+    try {
+      parsed = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(url) ? url : `https://${url}`);
+    } catch (_) {
+      const host = cleanDomain(String(url || '')).split('/')[0];
+      return { identity: host, host, platform: null, userContent: false };
+    }
+
+    const host = cleanDomain(parsed.hostname);
+    const platforms = HOSTED_PLATFORMS.filter(platform => onPlatform(platform, host));
+    const subdomain = platforms.some(platform => platform.suffix && host !== platform.suffix);
+
+    for (const platform of platforms) {
+      const match = platform.path && platform.path.exec(parsed.pathname);
+      if (match && (platform.hosts || subdomain)) {
+        // Account switchers (/u/0/) don't change which form or site it is
+        const path = match[0].toLowerCase().replace(/\/u\/\d+(?=\/)/, '');
+        return { identity: host + path, host, platform, userContent: true };
+      }
+    }
+
+    return {
+      identity: host,
+      host,
+      platform: platforms[0] || null,
+      userContent: subdomain
+    };
+  }
+
+  // Does a list entry cover a site identity? Entries with a path cover that
+  // content and anything under it. Host entries follow domainMatches, except
+  // that a hosted platform's own domain (or a parent of it) never covers
+  // user content on it: 'google.com' does not match a Google Form, nor
+  // 'blogspot.com' scam.blogspot.com, but 'scam.blogspot.com' does.
+  function identityMatches(identity, entry) {
+    const target = cleanDomain(identity);
+    const listed = cleanDomain(entry).replace(/\/+$/, '');
+    if (listed.includes('/')) return target === listed || target.startsWith(listed + '/');
+
+    const host = target.split('/')[0];
+    if (!domainMatches(host, listed)) return false;
+
+    // On docs.google.com-style platforms only path entries reach user content;
+    // on subdomain platforms the user's own subdomain covers its paths too
+    const platform = hostedPlatform(host);
+    if (!platform) return true;
+    if (platform.hosts) return !target.includes('/');
+    if (host === platform.suffix) return true;
+
+    const base = listed.replace(/^\*\./, '');
+    return !(platform.suffix === base || platform.suffix.endsWith('.' + base));
+  }
+
+  // ===========================================================================
+  // LIST ENTRIES
+  // ===========================================================================
+  // Whitelist and blacklist entries are strings:
+  //   example.com, *.example.com   a host and its subdomains
+  //   example.com/apply            a host plus path prefix (/apply, /apply/...)
+  //   /^https:\/\/[^/]+\/pay/i    a regular expression over the whole URL
+  // optionally followed by exceptions, each introduced by " !". An exception
+  // starting with "/" is a path on the entry's host; anything else is a host
+  // or host plus path:
+  //   example.com !/apply-fee      all of example.com except /apply-fee
+  //   *.example.com !www.example.com
+
+  const parsedEntries = new Map();
+
+  function parsePattern(text) {
+    const regex = /^\/(.+)\/([gimsuy]*)$/.exec(text);
+    if (regex) {
+      try {
+        return { type: 'regex', host: null, path: '', regex: new RegExp(regex[1], regex[2].replace('g', '')) };
+      } catch (_) {
+        return null;
+      }
+    }
+
+    const [hostPart, ...pathParts] = cleanDomain(text.toLowerCase()).split(/[?#]/)[0].split('/');
+    const host = hostPart.split(':')[0];
+    if (!host) return null;
+
+    const path = pathParts.length ? `/${pathParts.join('/')}`.replace(/\/+$/, '') : '';
+    return { type: path ? 'path' : 'host', host, path, regex: null };
+  }
+
+  // Parse an entry into { raw, type, host, path, regex, exceptions }, or
+  // null when it is malformed (e.g. an invalid regular expression)
+  function parseListEntry(entry) {
+    const raw = String(entry || '').trim();
+    if (parsedEntries.has(raw)) return parsedEntries.get(raw);
+
+    const [patternText, ...exceptionTexts] = raw.split(/\s+!\s*/);
+    const pattern = patternText ? parsePattern(patternText) : null;
+    let parsed = null;
+
+    if (pattern) {
+      const exceptions = exceptionTexts.filter(Boolean).map(text => text.startsWith('/')
+        ? { type: 'path', host: pattern.host, path: text.toLowerCase().replace(/\/+$/, '') || '/', regex: null }
+        : parsePattern(text));
+      parsed = exceptions.includes(null) ? null : { raw, ...pattern, exceptions };
+    }
+
+    parsedEntries.set(raw, parsed);
+    return parsed;
+  }
+
+  // The canonical way to write an entry, for storing what the user typed
+  function formatListEntry(parsed) {
+    const pattern = parsed.type === 'regex' ? `/${parsed.regex.source}/${parsed.regex.flags}` : parsed.host + parsed.path;
+    const exceptions = parsed.exceptions.map(exception =>
+      exception.host === parsed.host && exception.type === 'path' ? exception.path : exception.host + exception.path);
+    return [pattern, ...exceptions].join(' !');
+  }
+
+  function pathWithin(path, prefix) {
+    return prefix === '/' || path === prefix || path.startsWith(prefix + '/');
+  }
+
+  // What list entries are matched against, from a URL or bare hostname
+  function listTarget(url) {
+    const site = siteIdentity(url);
+    let href = String(url || '');
+    let path = '/';
+    try {
+      const parsed = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(href) ? href : `https://${href}`);
+      href = parsed.href;
+      path = decodeSafe(parsed.pathname).toLowerCase();
+    } catch (_) {
+      // Bare hostnames and identities without a scheme are handled above
+    }
+
+    const slash = site.identity.indexOf('/');
+    return { href, path, host: site.host, identity: site.identity, identityPath: slash > -1 ? site.identity.slice(slash) : '' };
+  }
+
+  function patternMatches(target, pattern) {
+    if (pattern.type === 'regex') return pattern.regex.test(target.href);
+    if (pattern.type === 'host') return identityMatches(target.identity, pattern.host);
+
+    // A path on a hosted platform can name the form itself, whatever
+    // account-switcher prefix the URL carries
+    if (pattern.host && !domainMatches(target.host, pattern.host)) return false;
+    return pathWithin(target.path, pattern.path) ||
+      (target.identityPath !== '' && pathWithin(target.identityPath, pattern.path));
+  }
+
+  // Does an entry cover a URL (or hostname / site identity)?
+  function listEntryMatches(url, entry) {
+    const parsed = parseListEntry(entry);
+    if (!parsed) return false;
+
+    const target = typeof url === 'string' ? listTarget(url) : url;
+    return patternMatches(target, parsed) && !parsed.exceptions.some(exception => patternMatches(target, exception));
+  }
+
+  // The first entry in `list` covering the URL, or null
+  function findListEntry(url, list) {
+    const target = listTarget(url);
+    return (list || []).find(entry => listEntryMatches(target, entry)) || null;
+  }
+
+  // Reduce a hostname to the domain that was actually registered,
+  // e.g. apply.jamb-portal.com.ng -> jamb-portal.com.ng
+  function registrableDomain(hostname) {
+    const labels = cleanDomain(hostname).replace(/\.$/, '').split('.');
+    if (labels.length <= 2) return labels.join('.');
+
+    const keep = MULTI_PART_SUFFIXES.includes(labels.slice(-2).join('.')) ? 3 : 2;
+    return labels.slice(-keep).join('.');
+  }
+
+  function emailDomain(email) {
+    return String(email || '').split('@')[1] || '';
+  }
+
+  function isShortenedUrl(url) {
+    try {
+      const host = new URL(url).hostname.toLowerCase();
+      return URL_SHORTENERS.some(s => host === s || host.endsWith('.' + s));
+    } catch (_) {
+      return false;
+    }
+  }
+
+  // The destination behind a click-tracking wrapper, or the URL unchanged
+  function unwrapRedirectLink(url) {
+    let current = url;
+    for (let depth = 0; depth < 3; depth++) {
+      let parsed;
+      try {
+        parsed = new URL(current);
+      } catch (_) {
+        return current;
+      }
+
+      const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+      const wrapper = LINK_WRAPPERS.find(w =>
+        (host === w.host || host.endsWith('.' + w.host)) && (!w.path || parsed.pathname === w.path));
+      const target = wrapper && wrapper.params.map(param => parsed.searchParams.get(param)).find(Boolean);
+      if (!target || !/^https?:\/\//i.test(target)) return current;
+      current = target;
+    }
+    return current;
+  }
+
+  // Where a submission to `target` from `pageUrl` sends the data, when that
+  // is somewhere it should not go: a known collector, another site, or any
+  // site over plain HTTP. Returns { url, host, collector, crossSite, insecure }
+  // or null for a same-site HTTPS destination.
+  function classifySubmission(target, pageUrl) {
+    let url;
+    let page;
+    try {
+      page = new URL(pageUrl);
+      url = new URL(target || pageUrl, page);
+    } catch (_) {
+      return null;
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+
+    const host = url.hostname.toLowerCase();
+    const collector = DATA_COLLECTORS.find(c => domainMatches(host, c.host) && (!c.path || c.path.test(url.pathname))) || null;
+    const crossSite = registrableDomain(host) !== registrableDomain(page.hostname);
+    const insecure = url.protocol === 'http:';
+    if (!collector && !crossSite && !insecure) return null;
+
+    return { url: url.href, host, collector, crossSite, insecure };
+  }
+
+  // A destination as shown to users and kept in evidence: the query string
+  // (which may hold the submitted data) dropped and bot tokens cut short
+  function describeSubmissionTarget(url) {
+    try {
+      const parsed = new URL(url);
+      return `${parsed.origin}${parsed.pathname}`.replace(/(\/bot\d+):[\w-]+/i, '$1:…');
+    } catch (_) {
+      return String(url || '');
+    }
+  }
+
+  // `url` is a full URL, a site identity or a plain hostname
+  function isListed(url, list) {
+    return findListEntry(url, list) !== null;
+  }
+
+  function getVerdict(score) {
+    if (score >= VERDICT_THRESHOLDS.danger) return 'danger';
+    if (score >= VERDICT_THRESHOLDS.warning) return 'warning';
+    return 'safe';
+  }
+
+  // ===========================================================================
+  // SENSITIVE VALUE DETECTION
+  // ===========================================================================
+  // Recognises submitted values that are identity or banking numbers, so the
+  // content script can hold a submission that carries them.
+
+  const SENSITIVE_VALUE_LABELS = {
+    'bvn-nin': 'BVN/NIN',
+    nuban: 'bank account number',
+    card: 'card number'
+  };
+
+  function luhnValid(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let digit = Number(digits[digits.length - 1 - i]);
+      if (i % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    }
+    return sum % 10 === 0;
+  }
+
+  // Field names or labels that say what a number is. A bare 10-, 11- or
+  // 16-digit value is as likely a timestamp, user ID or order number, so a
+  // number is only treated as sensitive when its field says so.
+  const SENSITIVE_VALUE_HINTS = {
+    'bvn-nin': /\b(?:bvn|nin|nimc|national ?id(?:entity)?)(?: ?(?:no|num|number))?\b/,
+    nuban: /\b(?:nuban|account|acct|acc)(?: ?(?:no|num|number))?\b/,
+    card: /\b(?:(?:credit|debit|bank) ?)?(?:card|cc|pan)(?: ?(?:no|num|number))?\b/
+  };
+
+  // "accountNumber", "acct_no" and "Account Number:" all become words
+  // separated by single spaces
+  function hintWords(name) {
+    return String(name || '')
+      .replace(/([a-z])([A-Z])/g, '$1 $2')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  // Classify one submitted value; `name` is the field name or label, which
+  // must hint at the kind of number. Returns 'bvn-nin', 'nuban', 'card' or
+  // null.
+  function classifySensitiveValue(name, value) {
+    const hint = hintWords(name);
+    const digits = String(value || '').replace(/[\s-]/g, '');
+
+    if (!/^\d+$/.test(digits)) return null;
+    if (/phone|mobile|tel|whatsapp|msisdn/.test(hint)) return null;
+
+    if (digits.length === 11 && SENSITIVE_VALUE_HINTS['bvn-nin'].test(hint)) return 'bvn-nin';
+    if (digits.length === 10 && SENSITIVE_VALUE_HINTS.nuban.test(hint)) return 'nuban';
+    if (digits.length >= 13 && digits.length <= 19 && luhnValid(digits) && SENSITIVE_VALUE_HINTS.card.test(hint)) {
+      return 'card';
+    }
+
+    return null;
+  }
+
+  function maskValue(value) {
+    const digits = String(value).replace(/\D/g, '');
+    return `${'•'.repeat(Math.max(digits.length - 3, 0))}${digits.slice(-3)}`;
+  }
+
+  // Returns [{ name, kind, label, masked }] for every sensitive entry
+  function findSensitiveValues(entries) {
+    return (entries || [])
+      .map(({ name, value }) => ({ name, value, kind: classifySensitiveValue(name, value) }))
+      .filter(entry => entry.kind)
+      .map(({ name, value, kind }) => ({
+        name,
+        kind,
+        label: SENSITIVE_VALUE_LABELS[kind],
+        masked: maskValue(value)
+      }));
+  }
+
+  // ===========================================================================
+  // PAYMENT REQUEST EXTRACTION
+  // ===========================================================================
+  // Finds "pay N5,000 processing fee to 0123456789 (Bank X)" style demands:
+  // NUBAN account numbers, bank names and naira amounts near fee wording.
+
+  const AMOUNT_PATTERN = /(?:₦\s?|ngn\s?|\bn(?=\d))(\d{1,3}(?:,\d{3})+|\d+)(?:\.\d{2})?|\b(\d{1,3}(?:,\d{3})+|\d+)\s?(?:naira|ngn)\b/gi;
+  const NUBAN_PATTERN = /(?<![\d])(\d{3})[\s-]?(\d{3})[\s-]?(\d{4})(?![\d])/g;
+
+  function formatNaira(amount) {
+    return `₦${Number(amount).toLocaleString('en-NG')}`;
+  }
+
+  // Returns [{ accountNumber, bank, amount, snippet }], one per distinct demand
+  function extractPaymentRequests(text) {
+    const lowerText = String(text || '').toLowerCase();
+    const requests = [];
+    const seen = new Set();
+
+    FEE_TERMS.forEach(term => {
+      let index = lowerText.indexOf(term);
+      while (index > -1) {
+        const start = Math.max(0, index - FEE_CONTEXT_WINDOW);
+        const end = Math.min(lowerText.length, index + term.length + FEE_CONTEXT_WINDOW);
+        const window = lowerText.slice(start, end);
+
+        const accounts = Array.from(window.matchAll(NUBAN_PATTERN), m => m[1] + m[2] + m[3]);
+        const amounts = Array.from(window.matchAll(AMOUNT_PATTERN), m => Number((m[1] || m[2]).replace(/,/g, '')))
+          .filter(amount => amount > 0);
+        const bank = NIGERIAN_BANKS.find(name => matchesKeyword(window, name)) || null;
+
+        if (accounts.length > 0 || amounts.length > 0) {
+          const accountNumber = accounts[0] || null;
+          const amount = amounts[0] || null;
+          const key = accountNumber || `amount:${amount}`;
+          if (!seen.has(key)) {
+            seen.add(key);
+            requests.push({
+              accountNumber, bank, amount, term,
+              snippet: contextSnippet(lowerText, index, term.length, EVIDENCE_CONTEXT * 2)
+            });
+          }
+        }
+
+        index = lowerText.indexOf(term, index + term.length);
+      }
+    });
+
+    // Prefer demands that name an account; drop amount-only duplicates of them
+    const withAccounts = requests.filter(request => request.accountNumber);
+    const amountsWithAccounts = new Set(withAccounts.map(request => request.amount));
+    return [
+      ...withAccounts,
+      ...requests.filter(request => !request.accountNumber && !amountsWithAccounts.has(request.amount))
+    ];
+  }
+
+  function describePaymentRequest(request) {
+    const parts = [];
+    if (request.amount) parts.push(formatNaira(request.amount));
+    if (request.accountNumber) parts.push(`to account ${request.accountNumber}`);
+    if (request.bank) parts.push(`(${request.bank.toUpperCase()})`);
+    return parts.join(' ');
+  }
+
+  // ===========================================================================
+  // CONTACT CHANNEL EXTRACTION
+  // ===========================================================================
+  // Phone numbers, WhatsApp links, Telegram handles and email addresses a page
+  // sends visitors to. Each is { type, value, via? } with a normalized value:
+  //   phone     '+2348031234567' (via 'whatsapp' when taken from a wa.me link)
+  //   whatsapp  'chat.whatsapp.com/<invite>' for group invites
+  //   telegram  handle without '@', or '+<invite>' for private invites
+  //   email     lowercase address
+
+  const PHONE_PATTERN = /(?<![\d+])(?:\+?234[\s-]?|0)([789][01]\d)[\s-]?(\d{3})[\s-]?(\d{4})(?!\d)/g;
+  const EMAIL_PATTERN = /[a-z0-9._%+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}/gi;
+  const TELEGRAM_TEXT_PATTERN = /(?:\bt(?:elegram)?\.me\/(\+?[a-z0-9_]{5,32})|\btelegram\b[^@\n]{0,20}@([a-z][a-z0-9_]{4,31}))/gi;
+  const TELEGRAM_RESERVED = ['share', 'joinchat', 'addstickers', 'proxy', 'socks', 'iv', 's'];
+
+  function normalizePhone(value) {
+    const digits = String(value || '').replace(/\D/g, '');
+    const local = digits.startsWith('234') ? digits.slice(3) : digits.replace(/^0/, '');
+    return /^[789][01]\d{8}$/.test(local) ? `+234${local}` : null;
+  }
+
+  function isFreeMail(email) {
+    return FREE_MAIL_DOMAINS.includes(email.split('@')[1]);
+  }
+
+  // Channels from a link; null when the href is not a contact link
+  function channelFromLink(href) {
+    let link;
+    try {
+      link = new URL(href);
+    } catch (_) {
+      return null;
+    }
+
+    const host = link.hostname.toLowerCase().replace(/^www\./, '');
+    const path = link.pathname.split('/').filter(Boolean);
+
+    if (link.protocol === 'mailto:') {
+      const email = decodeSafe(link.pathname).split(',')[0].trim().toLowerCase();
+      return email.includes('@') ? { type: 'email', value: email } : null;
+    }
+    if (link.protocol === 'tel:') {
+      const phone = normalizePhone(link.pathname);
+      return phone ? { type: 'phone', value: phone } : null;
+    }
+    if (host === 'wa.me' || host === 'api.whatsapp.com' || host === 'web.whatsapp.com') {
+      const phone = normalizePhone(host === 'wa.me' ? path[0] : link.searchParams.get('phone'));
+      return phone ? { type: 'phone', value: phone, via: 'whatsapp' } : null;
+    }
+    if (host === 'chat.whatsapp.com' && path[0]) {
+      return { type: 'whatsapp', value: `chat.whatsapp.com/${path[0]}` };
+    }
+    if (host === 't.me' || host === 'telegram.me') {
+      if (path[0] === 'joinchat' && path[1]) return { type: 'telegram', value: `+${path[1]}` };
+      if (path[0] && !TELEGRAM_RESERVED.includes(path[0].toLowerCase())) {
+        return { type: 'telegram', value: path[0].toLowerCase() };
+      }
+    }
+    return null;
+  }
+
+  // Returns distinct contact channels found in page text and link hrefs
+  function extractContactChannels(text, hrefs) {
+    const lowerText = String(text || '').toLowerCase();
+    const channels = [];
+    const seen = new Set();
+
+    const add = channel => {
+      if (!channel || channels.length >= MAX_CONTACTS) return;
+      const key = channelKey(channel);
+      if (seen.has(key)) return;
+      seen.add(key);
+      if (channel.type === 'email') channel.freeMail = isFreeMail(channel.value);
+      channels.push(channel);
+    };
+
+    (hrefs || []).forEach(href => add(channelFromLink(href)));
+
+    for (const match of lowerText.matchAll(PHONE_PATTERN)) {
+      add({ type: 'phone', value: `+234${match[1]}${match[2]}${match[3]}` });
+    }
+    for (const match of lowerText.matchAll(EMAIL_PATTERN)) {
+      add({ type: 'email', value: match[0].replace(/\.+$/, '') });
+    }
+    for (const match of lowerText.matchAll(TELEGRAM_TEXT_PATTERN)) {
+      const handle = match[1] || match[2];
+      if (!TELEGRAM_RESERVED.includes(handle)) add({ type: 'telegram', value: handle });
+    }
+
+    return channels;
+  }
+
+  // Identity used for reputation lookups
+  function channelKey(channel) {
+    return `${channel.type}:${channel.value}`;
+  }
+
+  function describeContact(channel) {
+    const names = {
+      phone: channel.via === 'whatsapp' ? 'WhatsApp' : 'Phone',
+      whatsapp: 'WhatsApp group',
+      telegram: 'Telegram',
+      email: 'Email'
+    };
+    const value = channel.type === 'telegram' && !channel.value.startsWith('+') ? `@${channel.value}` : channel.value;
+    return `${names[channel.type] || channel.type} ${value}`;
+  }
+
+  // ===========================================================================
+  // RULE REGISTRY
+  // ===========================================================================
+  // A rule is { id, category, evaluate(ctx) } where evaluate returns null when
+  // the rule does not fire, or { weight, message, evidence? } when it does.
+  // `evidence` is a string or list of strings showing what the rule matched.
+
+  const rules = [];
+
+  function registerRule(rule) {
+    if (!rule || !rule.id || typeof rule.evaluate !== 'function') {
+      throw new Error('Rule must have an id and an evaluate function');
+    }
+
+    const existing = rules.findIndex(r => r.id === rule.id);
+    if (existing > -1) {
+      rules.splice(existing, 1, rule);
+    } else {
+      rules.push(rule);
+    }
+  }
+
+  function unregisterRule(id) {
+    const index = rules.findIndex(r => r.id === id);
+    if (index > -1) rules.splice(index, 1);
+  }
+
+  function getRules() {
+    return rules.slice();
+  }
+
+  registerRule({
+    id: 'blacklist',
+    category: 'list',
+    evaluate: ctx => {
+      const entry = findListEntry(ctx.url, ctx.lists.blacklist);
+      if (entry) {
+        return { weight: RULE_WEIGHTS.blacklistHit, message: 'Domain is blacklisted', evidence: `Blacklist entry: ${entry}` };
+      }
+      const communityEntry = findListEntry(ctx.url, ctx.lists.community);
+      return communityEntry
+        ? { weight: RULE_WEIGHTS.blacklistHit, message: 'Site is on the community blacklist', evidence: `Community list entry: ${communityEntry}` }
+        : null;
+    }
+  });
+
+  registerRule({
+    id: 'no-https',
+    category: 'transport',
+    evaluate: ctx => ctx.protocol === 'http:'
+      ? { weight: RULE_WEIGHTS.https, message: 'No HTTPS encryption', evidence: ctx.url }
+      : null
+  });
+
+  registerRule({
+    id: 'suspicious-tld',
+    category: 'domain',
+    evaluate: ctx => {
+      const tld = SUSPICIOUS_TLDS.find(t => ctx.domain.endsWith(t));
+      return tld
+        ? { weight: RULE_WEIGHTS.suspiciousTld, message: `Suspicious domain extension: ${tld}`, evidence: ctx.domain }
+        : null;
+    }
+  });
+
+  registerRule({
+    id: 'hosted-platform',
+    category: 'domain',
+    evaluate: ctx => ctx.site.userContent
+      ? {
+        weight: RULE_WEIGHTS.hostedPlatform,
+        message: `Hosted on ${ctx.site.platform.name}, where anyone can publish`,
+        evidence: ctx.site.identity
+      }
+      : null
+  });
+
+  registerRule({
+    id: 'url-shortener',
+    category: 'domain',
+    evaluate: ctx => isShortenedUrl(ctx.url)
+      ? { weight: RULE_WEIGHTS.urlShortener, message: 'URL shortener detected', evidence: ctx.url }
+      : null
+  });
+
+  // Score every hop a shortened link redirects through (`page.redirectChain`,
+  // the original URL first) by its URL alone; the worst hop counts in full
+  registerRule({
+    id: 'redirect-chain',
+    category: 'links',
+    evaluate: ctx => {
+      const hops = ctx.redirectChain.filter(url => url !== ctx.url);
+      if (hops.length === 0) return null;
+
+      let worst = null;
+      hops.forEach(url => {
+        const result = analyze({ url }, ctx.lists, ctx.config);
+        if (result.score > 0 && (!worst || result.score > worst.result.score)) worst = { url, result };
+      });
+      if (!worst) return null;
+
+      const host = new URL(worst.url).hostname;
+      return {
+        weight: worst.result.score,
+        message: `Redirects to ${host} (${worst.result.label}): ${worst.result.issues.slice(0, 2).join(', ')}`,
+        evidence: [ctx.redirectChain.join(' → '), ...worst.result.issues.slice(0, MAX_EVIDENCE - 1)]
+      };
+    }
+  });
+
+  // A social post (`page.post`, from the social adapters) is judged by where
+  // it sends readers: each outbound link is scored by its URL alone and the
+  // worst one counts in full
+  registerRule({
+    id: 'post-links',
+    category: 'links',
+    evaluate: ctx => {
+      if (!ctx.post) return null;
+
+      let worst = null;
+      ctx.links.slice(0, MAX_POST_LINKS).forEach(url => {
+        const result = analyze({ url }, ctx.lists, ctx.config);
+        if (result.score > 0 && (!worst || result.score > worst.result.score)) worst = { url, result };
+      });
+      if (!worst) return null;
+
+      const host = new URL(worst.url).hostname;
+      return {
+        weight: worst.result.score,
+        message: `Links to ${host} (${worst.result.label}): ${worst.result.issues.slice(0, 2).join(', ')}`,
+        evidence: [worst.url, ...worst.result.issues.slice(0, MAX_EVIDENCE - 1)]
+      };
+    }
+  });
+
+  registerRule({
+    id: 'punycode',
+    category: 'domain',
+    evaluate: ctx => ctx.domain.includes('xn--')
+      ? { weight: RULE_WEIGHTS.punycode, message: 'Internationalized domain (potential homograph attack)', evidence: ctx.domain }
+      : null
+  });
+
+  registerRule({
+    id: 'excessive-subdomains',
+    category: 'domain',
+    evaluate: ctx => ctx.domain.split('.').length > 4
+      ? { weight: RULE_WEIGHTS.excessiveSubdomains, message: 'Excessive subdomains detected', evidence: ctx.domain }
+      : null
+  });
+
+  registerRule({
+    id: 'domain-age',
+    category: 'domain',
+    evaluate: ctx => {
+      const age = ctx.domainAge;
+      if (!age || typeof age.ageDays !== 'number') return null;
+
+      const registrar = age.registrar ? ` via ${age.registrar}` : '';
+      const evidence = age.registeredAt ? `${ctx.domain} registered ${String(age.registeredAt).slice(0, 10)}` : ctx.domain;
+      if (age.ageDays < ctx.config.veryNewDomainDays) {
+        return { weight: RULE_WEIGHTS.domainAgeVeryNew, message: `Domain registered only ${age.ageDays} days ago${registrar}`, evidence };
+      }
+      if (age.ageDays < ctx.config.newDomainDays) {
+        return { weight: RULE_WEIGHTS.domainAge, message: `Recently registered domain (${age.ageDays} days old${registrar})`, evidence };
+      }
+      return null;
+    }
+  });
+
+  registerRule({
+    id: 'sensitive-fields',
+    category: 'form',
+    evaluate: ctx => {
+      const fields = [...new Set(ctx.sensitiveFields)];
+      if (fields.length === 0) return null;
+
+      return {
+        weight: Math.min(fields.length * RULE_WEIGHTS.sensitiveField, RULE_WEIGHTS.sensitiveField * 2),
+        message: `Requests sensitive data: ${fields.join(', ')}`,
+        evidence: fields.map(field => `${field} field`)
+      };
+    }
+  });
+
+  // Where the page's sensitive data goes (`page.submissionTargets`: the
+  // actions of forms with sensitive fields, and fetch/XHR destinations of
+  // requests that carried sensitive values). The worst destination counts.
+  registerRule({
+    id: 'data-exfiltration',
+    category: 'form',
+    evaluate: ctx => {
+      const destinations = ctx.submissionTargets
+        .map(target => classifySubmission(target, ctx.url))
+        .filter(Boolean)
+        .map(found => ({
+          ...found,
+          weight: found.collector
+            ? RULE_WEIGHTS.dataCollector
+            : (found.insecure ? RULE_WEIGHTS.insecureSubmission : 0) + (found.crossSite ? RULE_WEIGHTS.crossSiteSubmission : 0)
+        }))
+        .sort((a, b) => b.weight - a.weight);
+      if (destinations.length === 0) return null;
+
+      const worst = destinations[0];
+      let message;
+      if (worst.collector) {
+        message = `Sends form data to ${worst.collector.name} (${worst.host})`;
+      } else if (worst.insecure && worst.crossSite) {
+        message = `Sends form data unencrypted to another site: ${worst.host}`;
+      } else if (worst.insecure) {
+        message = `Sends form data without encryption (HTTP): ${worst.host}`;
+      } else {
+        message = `Sends form data to another site: ${worst.host}`;
+      }
+
+      return {
+        weight: worst.weight,
+        message,
+        evidence: [...new Set(destinations.map(found => describeSubmissionTarget(found.url)))].slice(0, MAX_EVIDENCE)
+      };
+    }
+  });
+
+  registerRule({
+    id: 'fee-request',
+    category: 'payment',
+    evaluate: ctx => {
+      const requests = ctx.paymentRequests;
+      if (requests.length === 0) return null;
+
+      return {
+        weight: RULE_WEIGHTS.feeRequest,
+        message: `Asks for a fee payment: ${requests.slice(0, 2).map(describePaymentRequest).join('; ')}`,
+        evidence: requests.slice(0, MAX_EVIDENCE).map(request => request.snippet)
+      };
+    }
+  });
+
+  registerRule({
+    id: 'reported-account',
+    category: 'payment',
+    evaluate: ctx => {
+      const reported = ctx.reportedAccounts;
+      if (reported.length === 0) return null;
+
+      const details = reported.map(account => {
+        const bank = account.bankName ? ` (${account.bankName})` : '';
+        const times = account.reportCount > 1 ? ` ${account.reportCount} times` : '';
+        return `${account.accountNumber}${bank} reported${times}`;
+      });
+      return {
+        weight: RULE_WEIGHTS.reportedAccount,
+        message: `Bank account reported for fraud: ${details.join('; ')}`,
+        evidence: reported.map(account => account.accountNumber)
+      };
+    }
+  });
+
+  registerRule({
+    id: 'reported-contact',
+    category: 'contact',
+    evaluate: ctx => {
+      const reported = ctx.reportedContacts;
+      if (reported.length === 0) return null;
+
+      const details = reported.map(contact => {
+        const times = contact.reportCount > 1 ? ` ${contact.reportCount} times` : '';
+        return `${describeContact(contact)} reported${times}`;
+      });
+      return {
+        weight: RULE_WEIGHTS.reportedContact,
+        message: `Contact reported for fraud: ${details.join('; ')}`,
+        evidence: reported.map(describeContact)
+      };
+    }
+  });
+
+  registerRule({
+    id: 'free-mail-official',
+    category: 'contact',
+    evaluate: ctx => {
+      // Real public bodies write from their own (usually .gov.ng) domains
+      if (ctx.domain.endsWith('.gov.ng')) return null;
+
+      const freeMail = ctx.contacts.filter(contact => contact.type === 'email' && contact.freeMail);
+      if (freeMail.length === 0) return null;
+
+      // An email's display name can make the claim too ("JAMB Admissions")
+      const senderName = ctx.sender ? ctx.sender.name.toLowerCase() : '';
+      const text = `${ctx.title} ${senderName} ${ctx.content}`;
+      const claim = OFFICIAL_BODY_TERMS.find(term => matchesKeyword(text, term));
+      if (!claim) return null;
+
+      const addresses = freeMail.slice(0, MAX_EVIDENCE).map(contact => contact.value);
+      return {
+        weight: RULE_WEIGHTS.freeMailOfficial,
+        message: `Claims to be an official body (${claim}) but uses free email: ${addresses.join(', ')}`,
+        evidence: [keywordEvidence(ctx, claim), ...addresses]
+      };
+    }
+  });
+
+  // Email messages (page.sender / page.replyTo, from the webmail adapters)
+
+  // The sender's own domain, scored by its URL alone like a redirect hop
+  registerRule({
+    id: 'sender-domain',
+    category: 'email',
+    evaluate: ctx => {
+      const domain = ctx.sender && emailDomain(ctx.sender.email);
+      if (!domain || FREE_MAIL_DOMAINS.includes(domain)) return null;
+
+      const result = analyze({ url: `https://${domain}/` }, ctx.lists, ctx.config);
+      if (result.score === 0) return null;
+
+      return {
+        weight: result.score,
+        message: `Sender domain ${domain} (${result.label}): ${result.issues.slice(0, 2).join(', ')}`,
+        evidence: [ctx.sender.email, ...result.issues.slice(0, MAX_EVIDENCE - 1)]
+      };
+    }
+  });
+
+  // Replies routed to a different domain than the message claims to come from
+  registerRule({
+    id: 'reply-to-mismatch',
+    category: 'email',
+    evaluate: ctx => {
+      const senderDomain = ctx.sender && emailDomain(ctx.sender.email);
+      if (!senderDomain) return null;
+
+      const mismatched = ctx.replyTo.filter(email => {
+        const domain = emailDomain(email);
+        return domain && registrableDomain(domain) !== registrableDomain(senderDomain);
+      });
+      if (mismatched.length === 0) return null;
+
+      const freeMail = mismatched.some(email => FREE_MAIL_DOMAINS.includes(emailDomain(email)));
+      return {
+        weight: RULE_WEIGHTS.replyToMismatch,
+        message: `Replies go to ${mismatched.join(', ')}${freeMail ? ' (free email)' : ''}, not the sender's domain ${senderDomain}`,
+        evidence: [`From: ${ctx.sender.email}`, ...mismatched.map(email => `Reply-To: ${email}`)]
+      };
+    }
+  });
+
+  registerRule({
+    id: 'suspicious-links',
+    category: 'links',
+    evaluate: ctx => {
+      const suspicious = ctx.links.filter(href => {
+        try {
+          const host = new URL(href).hostname.toLowerCase();
+          return SUSPICIOUS_TLDS.some(tld => host.endsWith(tld));
+        } catch (_) {
+          return false;
+        }
+      });
+
+      return suspicious.length > 3
+        ? {
+          weight: RULE_WEIGHTS.suspiciousLinks,
+          message: `${suspicious.length} suspicious external links`,
+          evidence: suspicious.slice(0, MAX_EVIDENCE)
+        }
+        : null;
+    }
+  });
+
+  registerRule({
+    id: 'urgency-language',
+    category: 'keyword',
+    evaluate: ctx => {
+      const count = URGENCY_WORDS.reduce((total, word) =>
+        total + (ctx.content.match(new RegExp(word, 'g')) || []).length, 0);
+      if (count <= 10) return null;
+
+      const evidence = URGENCY_WORDS
+        .filter(word => ctx.content.includes(word))
+        .slice(0, MAX_EVIDENCE)
+        .map(word => contextSnippet(ctx.content, ctx.content.indexOf(word), word.length));
+      return { weight: RULE_WEIGHTS.urgencyLanguage, message: 'Excessive urgency language', evidence };
+    }
+  });
+
+  // ===========================================================================
+  // RULE PACKS
+  // ===========================================================================
+  // A rule pack is { id, label?, max?, language?, keywords: [{ keyword, severity | weight }] }.
+  // Each active pack becomes one `keywords-<id>` rule in the registry. Packs
+  // with a `language` only run on pages detected as that language, and match
+  // against folded text.
+
+  let rulePackVersion = null;
+  let keywordPacks = [];
+
+  function severityWeight(severity) {
+    if (typeof severity === 'number') {
+      const levels = [SEVERITY_WEIGHTS.low, SEVERITY_WEIGHTS.low, SEVERITY_WEIGHTS.medium,
+        SEVERITY_WEIGHTS.high, SEVERITY_WEIGHTS.critical];
+      return levels[Math.max(0, Math.min(Math.round(severity), levels.length - 1))];
+    }
+    return SEVERITY_WEIGHTS[String(severity || '').toLowerCase()] || SEVERITY_WEIGHTS.medium;
+  }
+
+  function bundledPacks() {
+    const packs = Object.entries(KEYWORD_GROUPS).map(([id, group]) => ({
+      id,
+      label: group.label,
+      max: group.max,
+      language: null,
+      keywords: group.keywords.map(keyword => ({ keyword, weight: group.weight }))
+    }));
+
+    // Language packs are `<language>-<group>`, e.g. `pcm-lottery`
+    Object.entries(LANGUAGE_KEYWORD_GROUPS).forEach(([language, groups]) => {
+      Object.entries(groups).forEach(([group, keywords]) => {
+        const defaults = LANGUAGE_GROUP_DEFAULTS[group];
+        packs.push({
+          id: `${language}-${group}`,
+          label: `${LANGUAGE_NAMES[language]} ${defaults.label}`,
+          max: defaults.max,
+          language,
+          keywords: keywords.map(keyword => ({ keyword, weight: defaults.weight }))
+        });
+      });
+    });
+    return packs;
+  }
+
+  function normalizePack(pack, fallback) {
+    const id = String(pack.id || '').toLowerCase();
+    const language = pack.language && pack.language !== 'en'
+      ? String(pack.language).toLowerCase()
+      : (fallback && fallback.language) || null;
+    const keywords = (pack.keywords || [])
+      .map(entry => typeof entry === 'string' ? { keyword: entry } : entry)
+      .filter(entry => entry && entry.keyword && String(entry.keyword).trim())
+      .map(entry => ({
+        keyword: language ? foldText(String(entry.keyword).trim()) : String(entry.keyword).trim().toLowerCase(),
+        weight: typeof entry.weight === 'number' ? entry.weight : severityWeight(entry.severity)
+      }));
+
+    return {
+      id,
+      label: pack.label || (fallback && fallback.label) ||
+        `${id.charAt(0).toUpperCase()}${id.slice(1)} indicators`,
+      max: pack.max || (fallback && fallback.max) || DEFAULT_PACK_MAX,
+      language,
+      keywords
+    };
+  }
+
+  function keywordRule(pack) {
+    return {
+      id: `keywords-${pack.id}`,
+      category: 'keyword',
+      evaluate: ctx => {
+        if (pack.language && !ctx.languages.includes(pack.language)) return null;
+
+        const sources = pack.language
+          ? [ctx.folded.content, ctx.folded.title, ctx.urlText]
+          : [ctx.content, ctx.title, ctx.urlText];
+        const found = pack.keywords.filter(({ keyword }) => sources.some(text => matchesKeyword(text, keyword)));
+        if (found.length === 0) return null;
+
+        const weight = found.reduce((total, entry) => total + entry.weight, 0);
+        return {
+          weight: Math.min(weight, pack.max),
+          message: `${pack.label}: ${found.slice(0, 3).map(entry => entry.keyword).join(', ')}`,
+          evidence: [...new Set(found.map(entry => keywordEvidence(ctx, entry.keyword, sources)))].slice(0, MAX_EVIDENCE)
+        };
+      }
+    };
+  }
+
+  // Activate synced packs on top of the bundled defaults. Passing nothing (or
+  // an empty list) falls back to the bundled defaults alone.
+  function loadRulePacks(packs, version) {
+    const bundled = bundledPacks();
+    const merged = new Map(bundled.map(pack => [pack.id, pack]));
+
+    (packs || []).forEach(pack => {
+      if (!pack || !pack.id) return;
+      const existing = merged.get(String(pack.id).toLowerCase());
+      const normalized = normalizePack(pack, existing);
+      if (normalized.keywords.length === 0) return;
+
+      // Synced keywords extend a bundled pack; a synced weight wins on conflict
+      if (existing) {
+        const synced = new Set(normalized.keywords.map(entry => entry.keyword));
+        normalized.keywords = [
+          ...existing.keywords.filter(entry => !synced.has(entry.keyword)),
+          ...normalized.keywords
+        ];
+      }
+      merged.set(normalized.id, normalized);
+    });
+
+    keywordPacks.forEach(pack => unregisterRule(`keywords-${pack.id}`));
+    keywordPacks = Array.from(merged.values());
+    keywordPacks.forEach(pack => registerRule(keywordRule(pack)));
+    rulePackVersion = packs && packs.length > 0 ? (version || null) : null;
+  }
+
+  function getRulePackVersion() {
+    return rulePackVersion;
+  }
+
+  loadRulePacks();
+
+  // ===========================================================================
+  // ANALYSIS
+  // ===========================================================================
+
+  // Days since registration, from a { registeredAt, registrar } lookup record
+  function domainAgeDays(domainAge, now = Date.now()) {
+    const registered = domainAge && Date.parse(domainAge.registeredAt);
+    return registered ? Math.max(0, Math.floor((now - registered) / 86400000)) : null;
+  }
+
+  // Build the evaluation context from page signals collected by any surface.
+  // Only `url` is required; content-derived rules simply do not fire without
+  // content, title, sensitiveFields, links, domainAge or reportedAccounts.
+  // `lang` (the page's declared language) is optional; languages are also
+  // detected from the text.
+  function buildContext(page, lists, config) {
+    const urlObj = new URL(page.url);
+    const lowerUrl = page.url.toLowerCase();
+    const folded = { title: foldText(page.title), content: foldText(page.content) };
+
+    return {
+      url: page.url,
+      protocol: urlObj.protocol,
+      domain: urlObj.hostname.toLowerCase(),
+      site: siteIdentity(page.url),
+      urlText: decodeSafe(lowerUrl).replace(/[\-_/.?=&#+%]+/g, ' '),
+      title: (page.title || '').toLowerCase(),
+      content: (page.content || '').toLowerCase(),
+      folded,
+      languages: detectLanguages(`${folded.title} ${folded.content}`, page.lang),
+      sensitiveFields: page.sensitiveFields || [],
+      links: page.links || [],
+      domainAge: page.domainAge
+        ? { ...page.domainAge, ageDays: domainAgeDays(page.domainAge) }
+        : null,
+      paymentRequests: extractPaymentRequests(`${page.title || ''} ${page.content || ''}`),
+      reportedAccounts: page.reportedAccounts || [],
+      contacts: page.contacts || extractContactChannels(`${page.title || ''} ${page.content || ''}`, page.links),
+      reportedContacts: page.reportedContacts || [],
+      redirectChain: page.redirectChain || [],
+      submissionTargets: page.submissionTargets || [],
+      sender: page.sender && page.sender.email
+        ? { name: page.sender.name || '', email: page.sender.email.toLowerCase() }
+        : null,
+      replyTo: (page.replyTo || []).map(email => email.toLowerCase()),
+      post: page.post || null,
+      config: {
+        veryNewDomainDays: Number(config && config.veryNewDomainDays) || DOMAIN_AGE_DEFAULTS.veryNewDomainDays,
+        newDomainDays: Number(config && config.newDomainDays) || DOMAIN_AGE_DEFAULTS.newDomainDays
+      },
+      lists: {
+        whitelist: (lists && lists.whitelist) || [],
+        blacklist: (lists && lists.blacklist) || [],
+        // Moderator-confirmed sites synced from the backend
+        community: (lists && lists.community) || []
+      }
+    };
+  }
+
+  function toFinding(rule, hit) {
+    const evidence = hit.evidence === undefined || hit.evidence === null ? [] : [].concat(hit.evidence);
+    return {
+      ruleId: rule.id,
+      category: rule.category || 'general',
+      weight: hit.weight,
+      message: hit.message,
+      evidence: evidence.filter(Boolean).map(String)
+    };
+  }
+
+  function decodeSafe(value) {
+    try {
+      return decodeURIComponent(value);
+    } catch (_) {
+      return value;
+    }
+  }
+
+  // Which blocking list covers the target, the user's own first
+  function listedIn(target, lists) {
+    if (target === null) return null;
+    if (isListed(target, lists.blacklist)) return 'blacklist';
+    return isListed(target, lists.community) ? 'community' : null;
+  }
+
+  // Score a page. `lists` is { whitelist, blacklist, community } and `config`
+  // carries user settings the rules read (domain age thresholds). Returns
+  // { score, status, label, issues, findings, listed } where status is
+  // 'safe' | 'warning' | 'danger', score is on a 0-100 scale and listed is
+  // 'whitelist' | 'blacklist' | 'community' | null. `findings` has one
+  // { ruleId, category, weight, message, evidence } record per rule that
+  // fired; `issues` is just their messages.
+  function analyze(page, lists, config) {
+    let ctx;
+    try {
+      ctx = buildContext(page, lists, config);
+    } catch (error) {
+      return { score: 0, status: 'safe', label: VERDICT_LABELS.safe, issues: ['Unable to scan URL'], findings: [], listed: null };
+    }
+
+    // Whitelist overrides every other check. An email is judged by who sent
+    // it, not by the webmail site showing it; a social post has no site of its
+    // own, so trusting the network does not trust everything posted on it.
+    const listedTarget = ctx.sender ? emailDomain(ctx.sender.email) : ctx.post ? null : ctx.url;
+    if (listedTarget !== null && isListed(listedTarget, ctx.lists.whitelist)) {
+      return { score: 0, status: 'safe', label: VERDICT_LABELS.safe, issues: ['Domain is whitelisted'], findings: [], listed: 'whitelist' };
+    }
+
+    let score = 0;
+    const findings = [];
+
+    rules.forEach(rule => {
+      try {
+        const hit = rule.evaluate(ctx);
+        if (hit && hit.weight > 0) {
+          score += hit.weight;
+          findings.push(toFinding(rule, hit));
+        }
+      } catch (error) {
+        console.error(`FountainScan: rule ${rule.id} failed:`, error);
+      }
+    });
+
+    score = Math.min(score, MAX_SCORE);
+    const status = getVerdict(score);
+
+    return {
+      score,
+      status,
+      label: VERDICT_LABELS[status],
+      issues: findings.map(finding => finding.message),
+      findings,
+      listed: listedIn(listedTarget, ctx.lists)
+    };
+  }
+
+  return {
+    MAX_SCORE,
+    VERDICT_THRESHOLDS,
+    VERDICT_LABELS,
+    RULE_WEIGHTS,
+    DOMAIN_AGE_DEFAULTS,
+    KEYWORD_GROUPS,
+    LANGUAGE_NAMES,
+    LANGUAGE_KEYWORD_GROUPS,
+    SEVERITY_WEIGHTS,
+    SENSITIVE_FIELDS,
+    SENSITIVE_VALUE_LABELS,
+    SUSPICIOUS_TLDS,
+    HOSTED_PLATFORMS,
+    DATA_COLLECTORS,
+    FREE_MAIL_DOMAINS,
+    URL_SHORTENERS,
+    cleanDomain,
+    domainMatches,
+    hostedPlatform,
+    siteIdentity,
+    identityMatches,
+    parseListEntry,
+    formatListEntry,
+    listEntryMatches,
+    findListEntry,
+    registrableDomain,
+    domainAgeDays,
+    isListed,
+    isShortenedUrl,
+    unwrapRedirectLink,
+    classifySubmission,
+    describeSubmissionTarget,
+    matchesKeyword,
+    foldText,
+    detectLanguages,
+    classifySensitiveValue,
+    findSensitiveValues,
+    extractPaymentRequests,
+    describePaymentRequest,
+    formatNaira,
+    extractContactChannels,
+    channelKey,
+    describeContact,
+    getVerdict,
+    registerRule,
+    unregisterRule,
+    getRules,
+    loadRulePacks,
+    getRulePackVersion,
+    analyze
+  };
+})();
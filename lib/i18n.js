@@ -0,0 +1,150 @@
+// =============================================================================
+// FOUNTAIN SCAN - LOCALIZATION
+// =============================================================================
+// Loaded on every surface. Strings live in _locales/<lang>/messages.json in
+// the chrome.i18n format ({ key: { message, description } } with $1..$9
+// substitutions), but chrome.i18n only follows the browser's UI language, so
+// catalogs are loaded here and the language is picked from the user's
+// settings instead: `systemLang` for the popup, `alertLang` for everything
+// shown while browsing (blocked page, page overlays, notifications).
+// A string missing from a catalog falls back to English, then to its key.
+// Every catalog has every key except extName and reportUrlPlaceholder, which
+// read the same in all languages and live in the English catalog only.
+
+const FountainScanI18n = (() => {
+  'use strict';
+
+  const DEFAULT_LANGUAGE = 'en';
+
+  // Catalogs shipped in _locales, with their names in their own language
+  const LANGUAGES = {
+    en: 'English',
+    pcm: 'Naijá (Pidgin)',
+    yo: 'Yorùbá',
+    ha: 'Hausa',
+    ig: 'Igbo'
+  };
+
+  const catalogs = {};
+  const pending = {};
+  let language = DEFAULT_LANGUAGE;
+
+  // 'en-NG' -> 'en', 'yo_NG' -> 'yo'; anything without a catalog -> 'en'
+  function resolveLanguage(tag) {
+    const primary = String(tag || '').toLowerCase().split(/[-_]/)[0];
+    return LANGUAGES[primary] ? primary : DEFAULT_LANGUAGE;
+  }
+
+  // Extension pages and the service worker read the catalog file directly.
+  // Content scripts run on the page's origin, so they ask the background.
+  function isExtensionOrigin() {
+    return typeof location !== 'undefined' && location.href.startsWith(chrome.runtime.getURL(''));
+  }
+
+  async function fetchCatalog(lang) {
+    const path = `_locales/${lang}/messages.json`;
+    if (typeof chrome === 'undefined' || !chrome.runtime) {
+      // Pages opened outside the extension, e.g. while testing the popup
+      return (await fetch(path)).json();
+    }
+    if (isExtensionOrigin()) {
+      return (await fetch(chrome.runtime.getURL(path))).json();
+    }
+    const response = await chrome.runtime.sendMessage({ type: 'GET_LOCALE_MESSAGES', lang });
+    return (response && response.messages) || {};
+  }
+
+  // Resolves to the raw catalog for a language, loading it once
+  function getCatalog(lang) {
+    if (catalogs[lang]) return Promise.resolve(catalogs[lang]);
+    if (!pending[lang]) {
+      pending[lang] = fetchCatalog(lang)
+        .catch(error => {
+          console.error(`FountainScan: could not load ${lang} messages:`, error);
+          return {};
+        })
+        .then(catalog => {
+          catalogs[lang] = catalog;
+          delete pending[lang];
+          return catalog;
+        });
+    }
+    return pending[lang];
+  }
+
+  // Switch to the language a setting names. Resolves to the language used.
+  async function setLanguage(tag) {
+    const lang = resolveLanguage(tag);
+    await Promise.all([getCatalog(DEFAULT_LANGUAGE), getCatalog(lang)]);
+    language = lang;
+    return lang;
+  }
+
+  function getLanguage() {
+    return language;
+  }
+
+  function lookup(key) {
+    const entry = (catalogs[language] && catalogs[language][key]) ||
+      (catalogs[DEFAULT_LANGUAGE] && catalogs[DEFAULT_LANGUAGE][key]);
+    return entry ? entry.message : null;
+  }
+
+  // Translate `key`, filling $1..$9 from `substitutions` (a value or array)
+  function t(key, substitutions) {
+    const message = lookup(key);
+    if (message === null) return key;
+
+    const values = [].concat(substitutions === undefined ? [] : substitutions);
+    return message.replace(/\$(\d)/g, (match, index) =>
+      values[index - 1] === undefined ? match : String(values[index - 1]));
+  }
+
+  // Like t(), but as a DocumentFragment whose $1..$9 can be DOM nodes, for
+  // sentences that embed markup (or page-supplied text set via textContent)
+  // wherever the translation puts it
+  function fragment(key, substitutions) {
+    const message = lookup(key);
+    const values = [].concat(substitutions === undefined ? [] : substitutions);
+    const result = document.createDocumentFragment();
+
+    (message === null ? key : message).split(/(\$\d)/).forEach(part => {
+      const value = /^\$\d$/.test(part) ? values[part.slice(1) - 1] : undefined;
+      if (value instanceof Node) {
+        result.appendChild(value);
+      } else if (part) {
+        result.appendChild(document.createTextNode(value === undefined ? part : String(value)));
+      }
+    });
+    return result;
+  }
+
+  // Fill in static markup: data-i18n sets the text, data-i18n-placeholder
+  // and data-i18n-title the matching attributes
+  function localizePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+      element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach(element => {
+      element.title = t(element.dataset.i18nTitle);
+    });
+    if (root === document) {
+      document.documentElement.lang = language;
+    }
+  }
+
+  return {
+    DEFAULT_LANGUAGE,
+    LANGUAGES,
+    resolveLanguage,
+    getCatalog,
+    setLanguage,
+    getLanguage,
+    t,
+    fragment,
+    localizePage
+  };
+})();
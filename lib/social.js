@@ -0,0 +1,184 @@
+// =============================================================================
+// FOUNTAIN SCAN - SOCIAL FEED ADAPTERS
+// =============================================================================
+// Loaded by the content script after lib/engine.js. A social feed mixes posts
+// from many authors in one endlessly growing page, so a whole-page score says
+// nothing; each network gets an adapter that finds the posts and comments
+// on screen and reads them one at a time for the engine:
+//   { id, name, hosts, ownDomains, findPosts(root) -> [element], read(element) -> post }
+// where post is { author, text, textElement, links } or null when the element
+// is not readable yet. `links` are the post's outbound links with the
+// network's own redirect wrappers removed and its internal links dropped.
+
+const FountainScanSocial = (() => {
+  'use strict';
+
+  // Posts are short; anything longer is a pasted article and the hook is at the top
+  const MAX_TEXT_LENGTH = 5000;
+  const MAX_LINKS = 50;
+
+  const adapters = [];
+
+  function registerAdapter(adapter) {
+    if (!adapter || !adapter.id || typeof adapter.findPosts !== 'function' || typeof adapter.read !== 'function') {
+      throw new Error('Social adapter must have an id, findPosts and read');
+    }
+
+    const existing = adapters.findIndex(a => a.id === adapter.id);
+    if (existing > -1) {
+      adapters.splice(existing, 1, adapter);
+    } else {
+      adapters.push(adapter);
+    }
+  }
+
+  function adapterFor(hostname) {
+    const host = String(hostname || '').toLowerCase();
+    return adapters.find(adapter => adapter.hosts.includes(host)) || null;
+  }
+
+  function getAdapters() {
+    return adapters.slice();
+  }
+
+  // ===========================================================================
+  // DOM HELPERS
+  // ===========================================================================
+
+  function textOf(element) {
+    return element ? (element.innerText || element.textContent || '').replace(/\s+/g, ' ').trim() : '';
+  }
+
+  // Elements matching `selector` that belong to `post` itself and not to a
+  // post nested inside it (a comment under a post, a quoted tweet)
+  function ownElements(post, selector, postSelector) {
+    return Array.from(post.querySelectorAll(selector))
+      .filter(node => node.parentElement.closest(postSelector) === post);
+  }
+
+  // Outermost elements only, so nested text blocks are not read twice
+  function outermost(elements) {
+    return elements.filter(element => !elements.some(other => other !== element && other.contains(element)));
+  }
+
+  function isOwnLink(adapter, href) {
+    try {
+      const host = new URL(href).hostname.toLowerCase();
+      return adapter.ownDomains.some(domain => host === domain || host.endsWith('.' + domain));
+    } catch (_) {
+      return true;
+    }
+  }
+
+  // Destinations of a post's links: wrappers removed, internal links
+  // (profiles, hashtags, the post's own permalink) dropped
+  function outboundLinks(adapter, anchors, resolve = link => link.href) {
+    const links = anchors
+      .map(link => FountainScanEngine.unwrapRedirectLink(resolve(link) || ''))
+      .filter(href => /^(https?|mailto|tel):/i.test(href))
+      .filter(href => !/^https?:/i.test(href) || !isOwnLink(adapter, href));
+    return [...new Set(links)].slice(0, MAX_LINKS);
+  }
+
+  function postText(elements) {
+    return outermost(elements).map(textOf).filter(Boolean).join(' ').substring(0, MAX_TEXT_LENGTH);
+  }
+
+  // ===========================================================================
+  // ADAPTERS
+  // ===========================================================================
+
+  // Facebook: feed posts and their comments are both div[role="article"],
+  // comments nested inside the post. Post bodies carry a data-ad-preview
+  // marker; comment bodies are plain div[dir="auto"] blocks. Outbound links
+  // go through l.facebook.com, which the engine unwraps.
+  const FACEBOOK_POST = 'div[role="article"]';
+
+  registerAdapter({
+    id: 'facebook',
+    name: 'Facebook',
+    hosts: ['www.facebook.com', 'web.facebook.com', 'm.facebook.com', 'facebook.com'],
+    ownDomains: ['facebook.com', 'fb.com', 'fbcdn.net'],
+    findPosts: root => Array.from(root.querySelectorAll(FACEBOOK_POST)),
+    read(element) {
+      const blocks = ownElements(element,
+        '[data-ad-preview="message"], [data-ad-comet-preview="message"], div[dir="auto"]', FACEBOOK_POST);
+      const text = postText(blocks);
+      if (!text) return null;
+
+      const author = ownElements(element, 'h2 a, h3 a, h4 a, a[role="link"] > span > span', FACEBOOK_POST)[0];
+      return {
+        author: textOf(author),
+        text,
+        textElement: outermost(blocks)[0],
+        links: outboundLinks(this, ownElements(element, 'a[href]', FACEBOOK_POST))
+      };
+    }
+  });
+
+  // X: every tweet, reply or quote is an article[data-testid="tweet"]. Links
+  // are t.co redirects, but the anchor text holds the real URL (the hidden
+  // "https://" prefix included), so that is read instead.
+  const X_POST = 'article[data-testid="tweet"]';
+
+  function tweetLinkTarget(link) {
+    if (!/^https?:\/\/t\.co\//i.test(link.href)) return link.href;
+
+    const shown = (link.textContent || '').replace(/…$/, '').trim();
+    if (/^https?:\/\/[^\s/]+\.[^\s]+$/i.test(shown)) return shown;
+    if (/^[a-z0-9-]+(\.[a-z0-9-]+)+(\/\S*)?$/i.test(shown)) return `https://${shown}`;
+    return null;
+  }
+
+  registerAdapter({
+    id: 'x',
+    name: 'X',
+    hosts: ['x.com', 'twitter.com', 'mobile.twitter.com', 'mobile.x.com'],
+    ownDomains: ['x.com', 'twitter.com', 't.co', 'twimg.com'],
+    findPosts: root => Array.from(root.querySelectorAll(X_POST)),
+    read(element) {
+      const blocks = ownElements(element, '[data-testid="tweetText"]', X_POST);
+      const text = postText(blocks);
+      if (!text) return null;
+
+      return {
+        author: textOf(ownElements(element, '[data-testid="User-Name"]', X_POST)[0]),
+        text,
+        textElement: blocks[0],
+        links: outboundLinks(this, ownElements(element, 'a[href]', X_POST), tweetLinkTarget)
+      };
+    }
+  });
+
+  // Telegram Web: both clients live on web.telegram.org. Web K (/k/) renders
+  // messages as .bubble[data-mid] with the text in .message; Web A (/a/) as
+  // .Message with the text in .text-content. Channel and group posts are
+  // read alike; t.me links stay, since they are how scams hand readers on.
+  const TELEGRAM_POST = '.bubble[data-mid], .Message';
+
+  registerAdapter({
+    id: 'telegram',
+    name: 'Telegram',
+    hosts: ['web.telegram.org'],
+    ownDomains: ['web.telegram.org'],
+    findPosts: root => Array.from(root.querySelectorAll(TELEGRAM_POST)),
+    read(element) {
+      const blocks = ownElements(element, '.message, .text-content', TELEGRAM_POST);
+      const text = postText(blocks);
+      if (!text) return null;
+
+      return {
+        author: textOf(ownElements(element, '.name .peer-title, .message-title-name', TELEGRAM_POST)[0]),
+        text,
+        textElement: outermost(blocks)[0],
+        links: outboundLinks(this, ownElements(element, 'a[href]', TELEGRAM_POST))
+      };
+    }
+  });
+
+  return {
+    registerAdapter,
+    adapterFor,
+    getAdapters
+  };
+})();
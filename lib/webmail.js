@@ -0,0 +1,177 @@
+// =============================================================================
+// FOUNTAIN SCAN - WEBMAIL ADAPTERS
+// =============================================================================
+// Loaded by the content script after lib/engine.js. Webmail clients show many
+// messages inside one page, so each client gets an adapter that finds the
+// opened messages and reads them one at a time for the engine:
+//   { id, name, hosts, findMessages(root) -> [element], read(element) -> message }
+// where message is { subject, sender: { name, email }, replyTo: [email],
+// body, bodyElement, links } or null when the element is not readable yet.
+
+const FountainScanWebmail = (() => {
+  'use strict';
+
+  // Longer bodies are cut; scam offers put their hook near the top
+  const MAX_BODY_LENGTH = 20000;
+  const EMAIL_PATTERN = /[a-z0-9._%+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}/i;
+
+  const adapters = [];
+
+  function registerAdapter(adapter) {
+    if (!adapter || !adapter.id || typeof adapter.findMessages !== 'function' || typeof adapter.read !== 'function') {
+      throw new Error('Webmail adapter must have an id, findMessages and read');
+    }
+
+    const existing = adapters.findIndex(a => a.id === adapter.id);
+    if (existing > -1) {
+      adapters.splice(existing, 1, adapter);
+    } else {
+      adapters.push(adapter);
+    }
+  }
+
+  function adapterFor(hostname) {
+    const host = String(hostname || '').toLowerCase();
+    return adapters.find(adapter => adapter.hosts.includes(host)) || null;
+  }
+
+  function getAdapters() {
+    return adapters.slice();
+  }
+
+  // ===========================================================================
+  // DOM HELPERS
+  // ===========================================================================
+
+  function textOf(element) {
+    return element ? (element.innerText || element.textContent || '').replace(/\s+/g, ' ').trim() : '';
+  }
+
+  function emailIn(text) {
+    const match = EMAIL_PATTERN.exec(text || '');
+    return match ? match[0].toLowerCase() : null;
+  }
+
+  // "Name <address>" or a bare address, from an element's attributes or text
+  function parseAddress(element) {
+    if (!element) return null;
+
+    const email = emailIn(element.getAttribute('email')) ||
+      emailIn(element.getAttribute('title')) ||
+      emailIn(element.getAttribute('aria-label')) ||
+      emailIn(textOf(element));
+    if (!email) return null;
+
+    const name = (element.getAttribute('name') || textOf(element))
+      .replace(/<[^>]*>/g, '')
+      .replace(EMAIL_PATTERN, '')
+      .replace(/^(from|reply-to):?/i, '')
+      .trim();
+    return { name, email };
+  }
+
+  function linksIn(element) {
+    return Array.from(element.querySelectorAll('a[href]'))
+      .slice(0, 200)
+      .map(link => link.href)
+      .filter(href => /^(https?|mailto|tel):/i.test(href));
+  }
+
+  function bodyText(element) {
+    return textOf(element).substring(0, MAX_BODY_LENGTH);
+  }
+
+  // ===========================================================================
+  // ADAPTERS
+  // ===========================================================================
+
+  // Gmail: each expanded message is a div.adn; the sender chip (span.gD)
+  // carries the address in its `email` attribute. Reply-To only appears in
+  // the hidden details table under the sender line.
+  registerAdapter({
+    id: 'gmail',
+    name: 'Gmail',
+    hosts: ['mail.google.com'],
+    findMessages: root => Array.from(root.querySelectorAll('div.adn')),
+    read: element => {
+      const bodyElement = element.querySelector('div.a3s');
+      if (!bodyElement) return null;
+
+      const replyTo = Array.from(element.querySelectorAll('table.ajC tr'))
+        .filter(row => /^reply-to:?$/i.test(textOf(row.querySelector('td'))))
+        .map(row => parseAddress(row.querySelector('[email]') || row.querySelectorAll('td')[1]))
+        .filter(Boolean)
+        .map(address => address.email);
+
+      return {
+        subject: textOf(document.querySelector('h2.hP')),
+        sender: parseAddress(element.querySelector('span.gD')),
+        replyTo,
+        body: bodyText(bodyElement),
+        bodyElement,
+        links: linksIn(bodyElement)
+      };
+    }
+  });
+
+  // Outlook on the web: the reading pane marks each message body with an
+  // aria-label; the sender persona sits in the same message container
+  registerAdapter({
+    id: 'outlook',
+    name: 'Outlook',
+    hosts: ['outlook.live.com', 'outlook.office.com', 'outlook.office365.com'],
+    findMessages: root => Array.from(root.querySelectorAll('div[aria-label="Message body" i]'))
+      .map(body => body.closest('div[role="document"]') || body.parentElement)
+      .filter(Boolean),
+    read: element => {
+      const bodyElement = element.querySelector('div[aria-label="Message body" i]');
+      if (!bodyElement) return null;
+
+      const senderElement = element.querySelector('[aria-label^="From" i]') ||
+        Array.from(element.querySelectorAll('span[title]')).find(span => emailIn(span.title));
+      const replyToElement = element.querySelector('[aria-label^="Reply-To" i]');
+      const replyTo = parseAddress(replyToElement);
+
+      return {
+        subject: textOf(document.querySelector('div[role="heading"][aria-level="2"], span[role="heading"]')),
+        sender: parseAddress(senderElement),
+        replyTo: replyTo ? [replyTo.email] : [],
+        body: bodyText(bodyElement),
+        bodyElement,
+        links: linksIn(bodyElement)
+      };
+    }
+  });
+
+  // Yahoo Mail: stable data-test-id hooks on the message view
+  registerAdapter({
+    id: 'yahoo',
+    name: 'Yahoo Mail',
+    hosts: ['mail.yahoo.com'],
+    findMessages: root => Array.from(root.querySelectorAll('[data-test-id="message-view-body-content"]'))
+      .map(body => body.closest('[data-test-id="message-view"]') || body.parentElement)
+      .filter(Boolean),
+    read: element => {
+      const bodyElement = element.querySelector('[data-test-id="message-view-body-content"]');
+      if (!bodyElement) return null;
+
+      const replyTo = parseAddress(element.querySelector('[data-test-id="message-reply-to"]'));
+
+      return {
+        subject: textOf(document.querySelector('[data-test-id="message-group-subject-text"]')),
+        sender: parseAddress(element.querySelector('[data-test-id="message-from"] [data-test-id="email-pill"]') ||
+          element.querySelector('[data-test-id="message-from"]')),
+        replyTo: replyTo ? [replyTo.email] : [],
+        body: bodyText(bodyElement),
+        bodyElement,
+        links: linksIn(bodyElement)
+      };
+    }
+  });
+
+  return {
+    registerAdapter,
+    adapterFor,
+    getAdapters
+  };
+})();
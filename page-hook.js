@@ -0,0 +1,241 @@
+// Page-world hook for Fountain Scan extension
+// Runs in the page's own JavaScript world (manifest "world": "MAIN") at
+// document_start so it can wrap fetch, XMLHttpRequest, form.submit() and
+// window.open() before page scripts capture them. It never decides anything
+// itself: outgoing field values and new-window URLs are handed to content.js,
+// which may hold the request while the user confirms.
+
+(function() {
+  'use strict';
+
+  const CHECK_EVENT = 'fountainscan:check-submission';
+  const DECISION_EVENT = 'fountainscan:submission-decision';
+  const NAVIGATION_CHECK_EVENT = 'fountainscan:check-navigation';
+  const NAVIGATION_DECISION_EVENT = 'fountainscan:navigation-decision';
+
+  const pending = new Map();
+  let nextId = 1;
+
+  // content.js answers synchronously during dispatch: either a final
+  // decision or { pending: true } when it is asking the user
+  window.addEventListener(DECISION_EVENT, (event) => {
+    let decision;
+    try {
+      decision = JSON.parse(event.detail);
+    } catch (_) {
+      return;
+    }
+
+    const request = pending.get(decision.id);
+    if (!request) return;
+
+    if (decision.pending) {
+      request.waiting = true;
+      return;
+    }
+
+    pending.delete(decision.id);
+    request.resolve(decision.allow !== false);
+  });
+
+  // Resolves to true when the request may go ahead
+  function checkSubmission(url, entries, kind) {
+    if (entries.length === 0) return Promise.resolve(true);
+
+    return new Promise(resolve => {
+      const id = nextId++;
+      const request = { resolve, waiting: false };
+      pending.set(id, request);
+
+      window.dispatchEvent(new CustomEvent(CHECK_EVENT, {
+        detail: JSON.stringify({ id, url: resolveUrl(url), kind, entries })
+      }));
+
+      // No answer at all means content.js is not running here - don't block
+      if (pending.has(id) && !request.waiting) {
+        pending.delete(id);
+        resolve(true);
+      }
+    });
+  }
+
+  // window.open() must return synchronously, so content.js answers during
+  // dispatch; when it says no it shows its own confirmation and opens the
+  // page itself if the user agrees
+  const navigationDecisions = new Map();
+
+  window.addEventListener(NAVIGATION_DECISION_EVENT, (event) => {
+    try {
+      const decision = JSON.parse(event.detail);
+      navigationDecisions.set(decision.id, decision.allow !== false);
+    } catch (_) {
+      // Ignore malformed replies
+    }
+  });
+
+  function checkNavigation(url) {
+    const id = nextId++;
+    window.dispatchEvent(new CustomEvent(NAVIGATION_CHECK_EVENT, {
+      detail: JSON.stringify({ id, url: resolveUrl(url) })
+    }));
+
+    const allow = navigationDecisions.has(id) ? navigationDecisions.get(id) : true;
+    navigationDecisions.delete(id);
+    return allow;
+  }
+
+  function resolveUrl(url) {
+    try {
+      return new URL(url, window.location.href).href;
+    } catch (_) {
+      return String(url || window.location.href);
+    }
+  }
+
+  // Flatten a request body into [{ name, value }] string entries
+  function bodyEntries(body) {
+    const entries = [];
+
+    const addObject = (value, prefix) => {
+      if (value === null || value === undefined) return;
+      if (typeof value === 'object') {
+        Object.entries(value).forEach(([key, child]) => addObject(child, prefix ? `${prefix}.${key}` : key));
+      } else {
+        entries.push({ name: prefix, value: String(value) });
+      }
+    };
+
+    try {
+      if (!body) return entries;
+
+      if (body instanceof FormData || body instanceof URLSearchParams) {
+        body.forEach((value, name) => {
+          if (typeof value === 'string') entries.push({ name, value });
+        });
+      } else if (typeof body === 'string') {
+        const trimmed = body.trim();
+        if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+          addObject(JSON.parse(trimmed), '');
+        } else {
+          new URLSearchParams(trimmed).forEach((value, name) => entries.push({ name, value }));
+        }
+      }
+    } catch (_) {
+      // Unparseable body - nothing we can inspect
+    }
+
+    return entries;
+  }
+
+  // Query strings are only worth holding a request for when they go to a
+  // data collector - the Telegram Bot API takes stolen details as ?text=...
+  // on a plain GET - or when a parameter is named for what it carries.
+  // Cache-busters, page numbers and beacons on every other GET go straight
+  // through. Page scripts can't reach lib/engine.js, so this mirrors the
+  // query-taking entries of its DATA_COLLECTORS.
+  const QUERY_COLLECTORS = [
+    { host: 'api.telegram.org', path: /^\/bot/i },
+    { host: 'script.google.com', path: /^\/(?:a\/[^/]+\/)?macros\//i },
+    { host: 'script.googleusercontent.com' }
+  ];
+
+  const SENSITIVE_PARAM_PATTERN =
+    /\b(?:bvn|nin|nimc|nuban|account|acct|acc|card|cc|pan)(?: ?(?:no|num|number))?\b|\bnational ?id/;
+
+  function isQueryCollector(url) {
+    return QUERY_COLLECTORS.some(collector =>
+      (url.hostname === collector.host || url.hostname.endsWith(`.${collector.host}`)) &&
+      (!collector.path || collector.path.test(url.pathname)));
+  }
+
+  // "accountNumber" and "acct_no" both become space-separated words
+  function isSensitiveParam(name) {
+    const words = name.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase().replace(/[^a-z0-9]+/g, ' ');
+    return SENSITIVE_PARAM_PATTERN.test(words);
+  }
+
+  // Collector messages carry the details as "BVN: 22123456789" lines
+  function messageEntries(name, value) {
+    const lines = value.split(/\r?\n/)
+      .map(line => /^\s*([^:=]{1,40})[:=]\s*(.+?)\s*$/.exec(line))
+      .filter(Boolean)
+      .map(match => ({ name: match[1], value: match[2] }));
+    return [{ name, value }, ...lines];
+  }
+
+  function queryEntries(url) {
+    const entries = [];
+    try {
+      const parsed = new URL(url, window.location.href);
+      const collector = isQueryCollector(parsed);
+      parsed.searchParams.forEach((value, name) => {
+        if (collector) {
+          entries.push(...messageEntries(name, value));
+        } else if (isSensitiveParam(name)) {
+          entries.push({ name, value });
+        }
+      });
+    } catch (_) {
+      // Not a URL we can parse
+    }
+    return entries;
+  }
+
+  // fetch()
+  const originalFetch = window.fetch;
+  if (originalFetch) {
+    window.fetch = function(input, init) {
+      const args = arguments;
+      const url = typeof input === 'string' || input instanceof URL ? String(input) : input && input.url;
+      const entries = [...bodyEntries(init && init.body), ...queryEntries(url)];
+      if (entries.length === 0) return originalFetch.apply(this, args);
+
+      return checkSubmission(url, entries, 'fetch').then(allow => allow
+        ? originalFetch.apply(this, args)
+        : Promise.reject(new TypeError('Failed to fetch')));
+    };
+  }
+
+  // XMLHttpRequest
+  const originalOpen = XMLHttpRequest.prototype.open;
+  const originalSend = XMLHttpRequest.prototype.send;
+
+  XMLHttpRequest.prototype.open = function(method, url, async) {
+    this.__fountainScanUrl = url;
+    this.__fountainScanSync = async === false;
+    return originalOpen.apply(this, arguments);
+  };
+
+  XMLHttpRequest.prototype.send = function(body) {
+    // Synchronous requests can't be held without breaking the page
+    const entries = this.__fountainScanSync ? [] : [...bodyEntries(body), ...queryEntries(this.__fountainScanUrl)];
+    if (entries.length === 0) return originalSend.apply(this, arguments);
+
+    const args = arguments;
+    checkSubmission(this.__fountainScanUrl, entries, 'xhr').then(allow => {
+      if (allow) {
+        originalSend.apply(this, args);
+      } else {
+        this.abort();
+      }
+    });
+  };
+
+  // window.open()
+  const originalWindowOpen = window.open;
+
+  window.open = function(url) {
+    if (url && !checkNavigation(url)) return null;
+    return originalWindowOpen.apply(this, arguments);
+  };
+
+  // form.submit() skips the submit event, so content.js never sees it
+  const originalSubmit = HTMLFormElement.prototype.submit;
+
+  HTMLFormElement.prototype.submit = function() {
+    const entries = bodyEntries(new FormData(this));
+    checkSubmission(this.action, entries, 'form').then(allow => {
+      if (allow) originalSubmit.call(this);
+    });
+  };
+})();
@@ -1,3 +1,12 @@
+// Page text sent with a report, used to retrain the text classifier
+const MAX_REPORT_TEXT = 10000;
+
+// Sent as X-API-Key when the backend sets CLIENT_API_KEYS. It ships with
+// the extension, so it identifies the extension rather than being a secret.
+const API_CLIENT_KEY = '';
+
+const t = FountainScanI18n.t;
+
 // Extension state management
 const FountainScan = {
   currentUrl: '',
@@ -6,13 +15,18 @@ const FountainScan = {
     alertsEnabled: true,
     blockingEnabled: false,
     systemLang: 'en-NG',
-    alertLang: 'en'
+    alertLang: 'en',
+    veryNewDomainDays: 30,
+    newDomainDays: 180
   },
   whitelist: [],
   blacklist: [],
+  communityList: [],
+  lastScanResult: null,
   
   // Initialize extension
-  init() {
+  async init() {
+    await this.loadLanguage();
     this.loadSettings();
     this.loadLists();
     this.setupEventListeners();
@@ -35,6 +49,36 @@ const FountainScan = {
     }
   },
 
+  // Load the catalog for the system language before anything is rendered
+  async loadLanguage() {
+    let systemLang = this.settings.systemLang;
+    if (typeof chrome !== 'undefined' && chrome.storage) {
+      const { settings } = await chrome.storage.local.get(['settings']);
+      if (settings && settings.systemLang) systemLang = settings.systemLang;
+    }
+    
+    await FountainScanI18n.setLanguage(systemLang);
+    FountainScanI18n.localizePage();
+    this.renderLanguageOptions();
+  },
+
+  // Fill both language pickers with the shipped catalogs
+  renderLanguageOptions() {
+    ['systemLang', 'alertLang'].forEach(id => {
+      const select = document.getElementById(id);
+      if (!select) return;
+      
+      select.textContent = '';
+      Object.entries(FountainScanI18n.LANGUAGES).forEach(([code, name]) => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.textContent = name;
+        select.appendChild(option);
+      });
+      select.value = FountainScanI18n.resolveLanguage(this.settings[id]);
+    });
+  },
+
   // Load settings from storage
   loadSettings() {
     try {
@@ -70,10 +114,10 @@ const FountainScan = {
       }
       // NEW: Update blocking rules when settings change
       this.updateBlockingRules();
-      this.showMessage('Settings saved successfully!', 'success');
+      this.showMessage(t('settingsSaved'), 'success');
     } catch (error) {
       console.error('Error saving settings:', error);
-      this.showMessage('Error saving settings', 'error');
+      this.showMessage(t('settingsSaveError'), 'error');
     }
   },
 
@@ -81,9 +125,16 @@ const FountainScan = {
   loadLists() {
     try {
       if (typeof chrome !== 'undefined' && chrome.storage) {
-        chrome.storage.local.get(['whitelist', 'blacklist'], (result) => {
+        chrome.storage.local.get(['whitelist', 'blacklist', 'communityList', 'rulePacks', 'classifierModel'], (result) => {
           this.whitelist = result.whitelist || [];
           this.blacklist = result.blacklist || [];
+          this.communityList = result.communityList ? result.communityList.entries : [];
+          if (result.rulePacks) {
+            FountainScanEngine.loadRulePacks(result.rulePacks.packs, result.rulePacks.version);
+          }
+          if (result.classifierModel) {
+            FountainScanClassifier.loadModel(result.classifierModel.model);
+          }
           this.renderLists();
           // NEW: Update blocking rules when lists load
           this.updateBlockingRules();
@@ -213,27 +264,6 @@ const FountainScan = {
     });
   },
 
-  // Enhanced domain matching for whitelist/blacklist
-  domainMatches(currentDomain, listDomain) {
-    // Remove protocol and www if present
-    const cleanDomain = listDomain.replace(/^(https?:\/\/)?(www\.)?/, '').toLowerCase();
-    const cleanCurrent = currentDomain.replace(/^(www\.)?/, '').toLowerCase();
-    
-    // Exact match
-    if (cleanCurrent === cleanDomain) return true;
-    
-    // Subdomain match (e.g., sub.example.com matches example.com)
-    if (cleanCurrent.endsWith('.' + cleanDomain)) return true;
-    
-    // Wildcard support (e.g., *.example.com)
-    if (cleanDomain.startsWith('*.')) {
-      const baseDomain = cleanDomain.substring(2);
-      return cleanCurrent.endsWith('.' + baseDomain) || cleanCurrent === baseDomain;
-    }
-    
-    return false;
-  },
-
   // Validate base domain format
   isValidBaseDomain(domain) {
     // Basic domain regex with support for international domains
@@ -264,22 +294,25 @@ const FountainScan = {
     return this.isValidBaseDomain(cleanDomain);
   },
 
-  // Normalize domain input
-  normalizeDomain(input) {
+  // Normalize a whitelist/blacklist entry: a domain, a domain plus path, a
+  // /regular expression/, optionally with " !" exceptions (see
+  // FountainScanEngine.parseListEntry). Returns '' when the entry is invalid.
+  normalizeListEntry(input) {
     if (!input) return '';
     
-    // Remove protocol, www, and trailing slash
-    let domain = input.toLowerCase()
-      .replace(/^(https?:\/\/)?(www\.)?/, '')
-      .replace(/\/$/, '');
+    const parsed = FountainScanEngine.parseListEntry(input);
+    if (!parsed) return '';
     
-    // Remove path, query, and fragment
-    domain = domain.split('/')[0].split('?')[0].split('#')[0];
+    const hosts = [parsed, ...parsed.exceptions].map(pattern => pattern.host).filter(Boolean);
+    if (!hosts.every(host => this.isValidDomain(host))) return '';
     
-    // Remove port if present
-    domain = domain.split(':')[0];
+    // A form or site on a hosted platform is listed on its own, not the platform
+    if (parsed.type !== 'regex' && parsed.exceptions.length === 0) {
+      const site = FountainScanEngine.siteIdentity(input.trim());
+      if (site.userContent) return site.identity;
+    }
     
-    return domain.trim();
+    return FountainScanEngine.formatListEntry(parsed);
   },
 
   // Enhanced input validation with real-time feedback
@@ -300,13 +333,12 @@ const FountainScan = {
       if (input.type === 'url') {
         if (!this.isValidUrl(value)) {
           isValid = false;
-          errorMessage = 'Please enter a valid URL (e.g., https://example.com)';
+          errorMessage = t('invalidUrlExample');
         }
       } else if (input.id.includes('Input')) {
-        const normalizedDomain = this.normalizeDomain(value);
-        if (!this.isValidDomain(normalizedDomain)) {
+        if (!this.normalizeListEntry(value)) {
           isValid = false;
-          errorMessage = 'Please enter a valid domain (e.g., example.com or *.example.com)';
+          errorMessage = t('invalidDomainExample');
         }
       }
     }
@@ -348,11 +380,15 @@ const FountainScan = {
     const blockToggle = document.getElementById('blockToggle');
     const systemLang = document.getElementById('systemLang');
     const alertLang = document.getElementById('alertLang');
+    const veryNewDomainDays = document.getElementById('veryNewDomainDays');
+    const newDomainDays = document.getElementById('newDomainDays');
     
     if (alertToggle) alertToggle.checked = this.settings.alertsEnabled;
     if (blockToggle) blockToggle.checked = this.settings.blockingEnabled;
-    if (systemLang) systemLang.value = this.settings.systemLang;
-    if (alertLang) alertLang.value = this.settings.alertLang;
+    if (systemLang) systemLang.value = FountainScanI18n.resolveLanguage(this.settings.systemLang);
+    if (alertLang) alertLang.value = FountainScanI18n.resolveLanguage(this.settings.alertLang);
+    if (veryNewDomainDays) veryNewDomainDays.value = this.settings.veryNewDomainDays;
+    if (newDomainDays) newDomainDays.value = this.settings.newDomainDays;
     
     // Update theme radio buttons
     const themeRadio = document.querySelector(`input[name="theme"][value="${this.settings.theme}"]`);
@@ -409,6 +445,10 @@ const FountainScan = {
       
       // Update UI elements
       const urlElement = document.getElementById('url');
+      const domainAgeElement = document.getElementById('domainAge');
+      const redirectElement = document.getElementById('redirectChain');
+      const paymentElement = document.getElementById('paymentRequests');
+      const contactElement = document.getElementById('contactChannels');
       const statusElement = document.getElementById('status');
       const reason_flaggedElement = document.getElementById('reason_flagged');
       const statusCircle = document.getElementById('status-circle');
@@ -417,7 +457,7 @@ const FountainScan = {
       if (urlElement) urlElement.textContent = url;
       
       // Set initial analyzing state
-      if (statusText) statusText.textContent = 'Analyzing...';
+      if (statusText) statusText.textContent = t('analyzing');
       if (statusCircle) statusCircle.style.background = 'gray';
       
       // Perform comprehensive scan
@@ -431,20 +471,38 @@ const FountainScan = {
       
       if (reason_flaggedElement) {
         reason_flaggedElement.textContent = scanResult.issues.length > 0 ? 
-          scanResult.issues.join(', ') : 'No issues detected';
+          scanResult.issues.join(', ') : t('noIssuesDetected');
+      }
+      
+      if (domainAgeElement) {
+        domainAgeElement.textContent = this.formatDomainAge(scanResult.domainAge);
+      }
+      
+      if (redirectElement) {
+        redirectElement.textContent = this.formatRedirectChain(scanResult.redirectChain);
       }
       
+      if (paymentElement) {
+        paymentElement.textContent = this.formatPaymentRequests(scanResult.paymentRequests, scanResult.reportedAccounts);
+        paymentElement.className = scanResult.reportedAccounts?.length ? 'status-danger' : '';
+      }
+      
+      if (contactElement) {
+        contactElement.textContent = this.formatContacts(scanResult.contacts, scanResult.reportedContacts);
+        contactElement.className = scanResult.reportedContacts?.length ? 'status-danger' : '';
+      }
+      
+      this.lastScanResult = { url, ...scanResult };
+      this.renderScoreBreakdown(scanResult);
+      
       // Update status circle and text
       this.updateStatusUI(scanResult, statusCircle, statusText);
       
       // NEW: Handle blocking for dangerous sites
       if (scanResult.level === 'danger' && this.settings.blockingEnabled) {
         // Check if site should be blocked
-        const urlObj = new URL(url);
-        const domain = urlObj.hostname.toLowerCase();
-        
         // Don't block if whitelisted
-        if (!this.whitelist.some(d => this.domainMatches(domain, d.toLowerCase()))) {
+        if (!FountainScanEngine.isListed(url, this.whitelist)) {
           this.handleDangerousSite(scanResult);
           return; // Exit early if blocking
         }
@@ -457,12 +515,12 @@ const FountainScan = {
       
     } catch (error) {
       console.error('Error scanning site:', error);
-      this.showMessage('Error scanning current site', 'error');
+      this.showMessage(t('scanError'), 'error');
       
       // Update UI to show error state
       const statusText = document.getElementById('status-text');
       const statusCircle = document.getElementById('status-circle');
-      if (statusText) statusText.textContent = 'Error';
+      if (statusText) statusText.textContent = t('error');
       if (statusCircle) statusCircle.style.background = 'gray';
     }
   },
@@ -489,35 +547,36 @@ const FountainScan = {
 
   // NEW: Show blocking message
   showBlockingMessage(scanResult) {
-    const message = `🚫 WEBSITE BLOCKED\n\nThis website has been blocked for your safety.\n\nURL: ${this.currentUrl}\nRisk Level: ${scanResult.status}\nreason_flaggeds: ${scanResult.issues.join(', ')}\n\nTo access this site, you can:\n1. Disable blocking in settings\n2. Add this domain to your whitelist\n3. Close this tab`;
-    
     // Replace popup content with blocking message
     const activeTab = document.querySelector('.tab.active');
     if (activeTab) {
       activeTab.innerHTML = `
         <div style="text-align: center; padding: 20px; color: #d32f2f;">
-          <h2>🚫 Website Blocked</h2>
-          <p><strong>URL:</strong> ${this.currentUrl}</p>
-          <p><strong>Risk Level:</strong> ${scanResult.status}</p>
-          <p><strong>reason_flaggeds:</strong> ${scanResult.issues.join(', ')}</p>
+          <h2>🚫 ${t('websiteBlocked')}</h2>
+          <p><strong>${t('labelUrl')}</strong> <span class="blocked-url"></span></p>
+          <p><strong>${t('labelRiskLevel')}</strong> <span class="blocked-status"></span></p>
+          <p><strong>${t('labelReasons')}</strong> <span class="blocked-reasons"></span></p>
           <div style="margin-top: 20px;">
-            <button onclick="FountainScan.addCurrentToWhitelist()" style="margin: 5px; padding: 8px 16px; background: #4CAF50; color: white; border: none; border-radius: 4px; cursor: pointer;">Add to Whitelist</button>
-            <button onclick="FountainScan.disableBlocking()" style="margin: 5px; padding: 8px 16px; background: #ff9800; color: white; border: none; border-radius: 4px; cursor: pointer;">Disable Blocking</button>
-            <button onclick="window.close()" style="margin: 5px; padding: 8px 16px; background: #f44336; color: white; border: none; border-radius: 4px; cursor: pointer;">Close Tab</button>
+            <button onclick="FountainScan.addCurrentToWhitelist()" style="margin: 5px; padding: 8px 16px; background: #4CAF50; color: white; border: none; border-radius: 4px; cursor: pointer;">${t('addToWhitelist')}</button>
+            <button onclick="FountainScan.disableBlocking()" style="margin: 5px; padding: 8px 16px; background: #ff9800; color: white; border: none; border-radius: 4px; cursor: pointer;">${t('disableBlocking')}</button>
+            <button onclick="window.close()" style="margin: 5px; padding: 8px 16px; background: #f44336; color: white; border: none; border-radius: 4px; cursor: pointer;">${t('closeTab')}</button>
           </div>
         </div>
       `;
+      // The URL and findings quote page and report data
+      activeTab.querySelector('.blocked-url').textContent = this.currentUrl;
+      activeTab.querySelector('.blocked-status').textContent = scanResult.status;
+      activeTab.querySelector('.blocked-reasons').textContent = scanResult.issues.join(', ');
     }
   },
 
   // NEW: Add current site to whitelist from blocking screen
   async addCurrentToWhitelist() {
     try {
-      const url = new URL(this.currentUrl);
-      const domain = url.hostname.toLowerCase().replace(/^www\./, '');
+      const { identity } = FountainScanEngine.siteIdentity(this.currentUrl);
       
-      if (!this.whitelist.some(d => d.toLowerCase() === domain)) {
-        this.whitelist.push(domain);
+      if (!this.whitelist.some(d => d.toLowerCase() === identity)) {
+        this.whitelist.push(identity);
         this.saveLists();
         
         // Reload the tab to unblock
@@ -557,209 +616,269 @@ const FountainScan = {
     switch (scanResult.level) {
       case 'safe':
         statusCircle.style.background = 'green';
-        statusText.textContent = 'Safe';
+        statusText.textContent = t('circleSafe');
         break;
       case 'warning':
         statusCircle.style.background = 'orange';
-        statusText.textContent = 'Suspicious';
+        statusText.textContent = t('circleSuspicious');
         break;
       case 'danger':
         statusCircle.style.background = 'red';
-        statusText.textContent = this.settings.blockingEnabled ? 'Blocked' : 'Dangerous';
+        statusText.textContent = this.settings.blockingEnabled ? t('circleBlocked') : t('circleDangerous');
         break;
       default:
         statusCircle.style.background = 'gray';
-        statusText.textContent = 'Unknown';
+        statusText.textContent = t('unknown');
     }
   },
 
-  // Enhanced detection patterns
-  getDetectionPatterns() {
-    return {
-      // High-risk scholarship scam patterns
-      scholarshipScams: {
-        keywords: [
-          'free-scholarship', 'guaranteed-scholarship', 'instant-scholarship',
-          'scholarship-winner', 'congratulations-scholarship', 'scholarship-alert',
-          'urgent-scholarship', 'limited-scholarship', 'scholarship-opportunity',
-          'scholarship-grant', 'education-grant', 'student-aid-program',
-          'free scholarship', 'instant money', 'guaranteed loan',
-          'easy cash', 'work from home', 'get rich quick',
-          'no-experience-required', 'make-money-fast', 
-          'nin', 'bvn', 'guaranteed', 'National Identity Number', 
-          'free', 'Bank Verification Number', 'payment verification', 'pin'
-        ],
-        score: 4,
-        message: 'Potential scholarship scam detected'
-      },
-      
-      // Financial fraud patterns
-      financialFraud: {
-        keywords: [
-          'instant-money', 'guaranteed-loan', 'easy-cash', 'quick-loan',
-          'no-collateral', 'emergency-loan', 'same-day-loan', 'payday-loan',
-          'cash-advance', 'loan-approved', 'credit-repair', 'debt-relief'
-        ],
-        score: 3,
-        message: 'Financial fraud pattern detected'
-      },
-      
-      // Nigerian-specific scam patterns
-      nigerianScams: {
-        keywords: [
-          'npower', 'jamb-result', 'waec-result', 'inec-recruitment',
-          'nnpc-recruitment', 'cbn-recruitment', 'federal-government',
-          'state-government', 'local-government', 'ministry-recruitment',
-          'nddc-scholarship', 'tetfund', 'ptdf-scholarship'
-        ],
-        score: 3,
-        message: 'Nigerian institution impersonation detected'
-      },
-      
-      // Urgency and pressure tactics
-      urgencyTactics: {
-        keywords: [
-          'urgent', 'limited-time', 'expires-soon', 'act-now',
-          'dont-miss-out', 'last-chance', 'hurry', 'immediate',
-          'deadline-today', 'offer-expires', 'while-supplies-last'
-        ],
-        score: 1,
-        message: 'Urgency pressure tactic detected'
+  // Get the page signals the content script collects for the engine
+  async getPageSignals(url) {
+    if (typeof chrome === 'undefined' || !chrome.tabs) return { url };
+    
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab || !tab.id) return { url };
+    
+    try {
+      const signals = await chrome.tabs.sendMessage(tab.id, { type: 'GET_PAGE_SIGNALS' });
+      if (signals && signals.url) return signals;
+    } catch (error) {
+      console.log('Content script not available, falling back to page text:', error);
+    }
+    
+    // Fallback when the content script is not injected in this tab
+    try {
+      if (chrome.scripting) {
+        const results = await chrome.scripting.executeScript({
+          target: { tabId: tab.id },
+          func: () => ({ title: document.title, content: document.body.innerText, lang: document.documentElement.lang })
+        });
+        return { url, ...(results[0]?.result || {}) };
       }
-    };
+    } catch (error) {
+      console.log('Could not access page content:', error);
+    }
+    
+    return { url };
   },
 
-  // Comprehensive scan function combining all checks
-  async performComprehensiveScan(url) {
-    const issues = [];
-    let score = 0;
+  // Ask the background script for the registration date of a domain
+  async getDomainAge(url) {
+    if (typeof chrome === 'undefined' || !chrome.runtime) return null;
     
     try {
-      const urlObj = new URL(url);
-      const domain = urlObj.hostname.toLowerCase();
-      const fullUrl = url.toLowerCase();
-      
-      // Check if domain is whitelisted (highest priority)
-      if (this.whitelist.some(d => this.domainMatches(domain, d.toLowerCase()))) {
-        return {
-          status: 'Trusted (Whitelisted)',
-          level: 'safe',
-          issues: [],
-          score: 0
-        };
-      }
-      
-      // Check if domain is blacklisted (second highest priority)
-      if (this.blacklist.some(d => this.domainMatches(domain, d.toLowerCase()))) {
-        return {
-          status: 'Blocked (Blacklisted)',
-          level: 'danger',
-          issues: ['Domain is blacklisted'],
-          score: 10
-        };
-      }
-      
-      // Security checks
-      if (urlObj.protocol !== 'https:') {
-        score += 2;
-        issues.push('No HTTPS encryption');
-      }
-      
-      // Enhanced keyword detection
-      const patterns = this.getDetectionPatterns();
-      
-      // Get page content if possible
-      let pageContent = '';
+      const response = await chrome.runtime.sendMessage({
+        type: 'GET_DOMAIN_AGE',
+        domain: new URL(url).hostname
+      });
+      return response?.domainAge || null;
+    } catch (error) {
+      console.log('Could not look up domain age:', error);
+      return null;
+    }
+  },
+
+  // Ask the background script where a short link goes, or which short link
+  // the current tab was redirected from
+  async getRedirectChain(url) {
+    if (typeof chrome === 'undefined' || !chrome.runtime) return null;
+    
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const response = await chrome.runtime.sendMessage({ type: 'GET_REDIRECT_CHAIN', tabId: tab?.id, url });
+      return response?.redirectChain || null;
+    } catch (error) {
+      console.log('Could not resolve redirects:', error);
+      return null;
+    }
+  },
+
+  // Format a redirect chain as host/path hops
+  formatRedirectChain(redirectChain) {
+    if (!redirectChain || redirectChain.length < 2) return t('none');
+    
+    return redirectChain.map(hop => {
       try {
-        if (typeof chrome !== 'undefined' && chrome.tabs && chrome.scripting) {
-          const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-          if (tab && tab.id) {
-            const results = await chrome.scripting.executeScript({
-              target: { tabId: tab.id },
-              func: () => document.body.innerText.toLowerCase()
-            });
-            pageContent = results[0]?.result || '';
-          }
-        }
-      } catch (error) {
-        console.log('Could not access page content:', error);
+        const hopUrl = new URL(hop);
+        return `${hopUrl.hostname}${hopUrl.pathname === '/' ? '' : hopUrl.pathname}`;
+      } catch (_) {
+        return hop;
       }
+    }).join(' → ');
+  },
+
+  // Ask the background script which of the page's account numbers were reported
+  async getReportedAccounts(paymentRequests) {
+    const accounts = paymentRequests.map(request => request.accountNumber).filter(Boolean);
+    if (accounts.length === 0 || typeof chrome === 'undefined' || !chrome.runtime) return [];
+    
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'CHECK_ACCOUNTS', accounts });
+      return response?.reportedAccounts || [];
+    } catch (error) {
+      console.log('Could not check reported accounts:', error);
+      return [];
+    }
+  },
+
+  // Ask the background script which of the page's contact channels were reported
+  async getReportedContacts(contacts) {
+    if (contacts.length === 0 || typeof chrome === 'undefined' || !chrome.runtime) return [];
+    
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'CHECK_CONTACTS', contacts });
+      return response?.reportedContacts || [];
+    } catch (error) {
+      console.log('Could not check reported contacts:', error);
+      return [];
+    }
+  },
+
+  // Format contact channels found on the page, marking reported ones
+  formatContacts(contacts, reportedContacts) {
+    if (!contacts || contacts.length === 0) return t('noneDetected');
+    
+    const { channelKey, describeContact } = FountainScanEngine;
+    return contacts.map(contact => {
+      const reported = reportedContacts.find(r => channelKey(r) === channelKey(contact));
+      const text = describeContact(contact);
+      if (reported) return `${text} ${t('reportedTimes', reported.reportCount)}`;
+      return contact.freeMail ? `${text} ${t('freeEmail')}` : text;
+    }).join('; ');
+  },
+
+  // Format payment demands found on the page, marking reported accounts
+  formatPaymentRequests(paymentRequests, reportedAccounts) {
+    if (!paymentRequests || paymentRequests.length === 0) return t('noneDetected');
+    
+    return paymentRequests.map(request => {
+      const reported = reportedAccounts.find(account => account.accountNumber === request.accountNumber);
+      const text = FountainScanEngine.describePaymentRequest(request);
+      return reported ? `${text} ${t('reportedTimes', reported.reportCount)}` : text;
+    }).join('; ');
+  },
+
+  // Render each rule hit as an expandable row: weight, message, then evidence
+  renderScoreBreakdown(scanResult) {
+    const container = document.getElementById('scoreBreakdown');
+    if (!container) return;
+    
+    container.textContent = '';
+    const findings = scanResult.findings || [];
+    if (findings.length === 0) return;
+    
+    const total = findings.reduce((sum, finding) => sum + finding.weight, 0);
+    const heading = document.createElement('p');
+    heading.className = 'breakdown-total';
+    heading.textContent = total > scanResult.score
+      ? t('breakdownCapped', [total, scanResult.score])
+      : t('breakdownTotal', scanResult.score);
+    container.appendChild(heading);
+    
+    findings.forEach(finding => {
+      const details = document.createElement('details');
+      details.className = 'breakdown-item';
       
-      // Check patterns against URL and page content
-      Object.entries(patterns).forEach(([category, pattern]) => {
-        const foundInUrl = pattern.keywords.filter(keyword => 
-          fullUrl.includes(keyword) || domain.includes(keyword)
-        );
-        
-        const foundInContent = pageContent ? pattern.keywords.filter(keyword => 
-          pageContent.includes(keyword)
-        ) : [];
-        
-        const allFound = [...new Set([...foundInUrl, ...foundInContent])];
-        
-        if (allFound.length > 0) {
-          score += pattern.score;
-          issues.push(`${pattern.message}: ${allFound.slice(0, 3).join(', ')}`);
-        }
-      });
-      
-      // Additional security checks
-      const suspiciousTlds = ['.tk', '.ml', '.ga', '.cf', '.pw', '.top', '.click'];
-      suspiciousTlds.forEach(tld => {
-        if (domain.endsWith(tld)) {
-          score += 2;
-          issues.push(`Suspicious domain extension: ${tld}`);
-        }
-      });
-      
-      // Check for URL shorteners
-      const shorteners = ['bit.ly', 'tinyurl.com', 'goo.gl', 't.co', 'short.link', 'ow.ly'];
-      if (shorteners.some(shortener => domain.includes(shortener))) {
-        score += 1;
-        issues.push('URL shortener detected');
-      }
+      const summary = document.createElement('summary');
+      const weight = document.createElement('span');
+      weight.className = 'breakdown-weight';
+      weight.textContent = `+${finding.weight}`;
+      summary.appendChild(weight);
+      summary.appendChild(document.createTextNode(` ${finding.message}`));
+      details.appendChild(summary);
       
-      // Check for suspicious domain characteristics
-      if (domain.includes('xn--')) {
-        score += 2;
-        issues.push('Internationalized domain (potential homograph attack)');
-      }
+      const rule = document.createElement('p');
+      rule.className = 'breakdown-rule';
+      rule.textContent = `${finding.ruleId} · ${finding.category}`;
+      details.appendChild(rule);
       
-      // Check for excessive subdomains
-      const subdomains = domain.split('.');
-      if (subdomains.length > 4) {
-        score += 1;
-        issues.push('Excessive subdomains detected');
+      if (finding.evidence.length > 0) {
+        const list = document.createElement('ul');
+        list.className = 'breakdown-evidence';
+        finding.evidence.forEach(text => {
+          const item = document.createElement('li');
+          item.textContent = text;
+          list.appendChild(item);
+        });
+        details.appendChild(list);
       }
       
-      // Determine risk level
-      let level = 'safe';
-      let status = 'Safe';
+      container.appendChild(details);
+    });
+  },
+
+  // Format a domain age record for display
+  formatDomainAge(domainAge) {
+    const days = FountainScanEngine.domainAgeDays(domainAge);
+    if (days === null) return t('unknown');
+    
+    const registered = new Date(domainAge.registeredAt).toISOString().slice(0, 10);
+    const age = days < 365 ? t('domainAgeDays', days) : t('domainAgeYears', Math.floor(days / 365));
+    const registrar = domainAge.registrar ? `, ${domainAge.registrar}` : '';
+    return t('domainAgeRegistered', [age, registered, registrar]);
+  },
+
+  // Comprehensive scan using the shared detection engine
+  async performComprehensiveScan(url) {
+    try {
+      const [page, domainAge, redirectChain] = await Promise.all([
+        this.getPageSignals(url),
+        this.getDomainAge(url),
+        this.getRedirectChain(url)
+      ]);
+      const paymentRequests = FountainScanEngine.extractPaymentRequests(`${page.title || ''} ${page.content || ''}`);
+      const reportedAccounts = await this.getReportedAccounts(paymentRequests);
+      const contacts = page.contacts ||
+        FountainScanEngine.extractContactChannels(`${page.title || ''} ${page.content || ''}`, page.links);
+      const reportedContacts = await this.getReportedContacts(contacts);
+      const analysis = FountainScanEngine.analyze({
+        ...page, url, domainAge, reportedAccounts, contacts, reportedContacts, redirectChain
+      }, {
+        whitelist: this.whitelist,
+        blacklist: this.blacklist,
+        community: this.communityList
+      }, this.settings);
       
-      if (score >= 6) {
-        level = 'danger';
-        status = 'High Risk';
-      } else if (score >= 3) {
-        level = 'warning';
-        status = 'Medium Risk';
-      }
+      let status = this.verdictLabel(analysis.status);
+      if (analysis.listed === 'whitelist') status = t('verdictWhitelisted');
+      else if (analysis.listed === 'blacklist') status = t('verdictBlacklisted');
+      else if (analysis.listed === 'community') status = t('verdictCommunityListed');
       
-      return { status, level, issues, score };
+      return {
+        status,
+        level: analysis.status,
+        issues: analysis.listed === 'whitelist' ? [] : analysis.issues,
+        findings: analysis.findings,
+        score: analysis.score,
+        domainAge,
+        redirectChain,
+        pageText: page.content || '',
+        paymentRequests,
+        reportedAccounts,
+        contacts,
+        reportedContacts
+      };
       
     } catch (error) {
       console.error('Scan error:', error);
       return {
-        status: 'Error',
+        status: t('error'),
         level: 'warning',
-        issues: ['Unable to scan URL'],
+        issues: [t('scanFailed')],
+        findings: [],
         score: 0
       };
     }
   },
 
+  // The engine's verdict ('safe' | 'warning' | 'danger') in the popup language
+  verdictLabel(status) {
+    return t(`verdict${status.charAt(0).toUpperCase()}${status.slice(1)}`);
+  },
+
   // Show security alert
   showAlert(scanResult) {
-    const message = `Security Alert!\n\nWebsite: ${this.currentUrl}\nRisk Level: ${scanResult.status}\nIssues: ${scanResult.issues.join(', ')}\n\nDo you want to continue?`;
+    const message = t('securityAlertConfirm', [this.currentUrl, scanResult.status, scanResult.issues.join(', ')]);
     
     if (confirm(message)) {
       console.log('User chose to continue despite warning');
@@ -796,18 +915,13 @@ const FountainScan = {
     
     const rawDomain = input.value.trim();
     if (!rawDomain) {
-      this.showMessage('Please enter a domain', 'error');
+      this.showMessage(t('enterDomain'), 'error');
       return;
     }
     
-    const domain = this.normalizeDomain(rawDomain);
+    const domain = this.normalizeListEntry(rawDomain);
     if (!domain) {
-      this.showMessage('Please enter a valid domain', 'error');
-      return;
-    }
-    
-    if (!this.isValidDomain(domain)) {
-      this.showMessage('Please enter a valid domain format (e.g., example.com or *.example.com)', 'error');
+      this.showMessage(t('invalidDomainFormat'), 'error');
       return;
     }
     
@@ -816,14 +930,14 @@ const FountainScan = {
     
     // Check if domain already exists
     if (list.some(d => d.toLowerCase() === domain.toLowerCase())) {
-      this.showMessage('Domain already exists in this list', 'error');
+      this.showMessage(t('listExists'), 'error');
       return;
     }
     
     // Check if domain exists in opposite list
     if (otherList.some(d => d.toLowerCase() === domain.toLowerCase())) {
-      const otherListName = listType === 'whitelist' ? 'blacklist' : 'whitelist';
-      this.showMessage(`Domain exists in ${otherListName}. Remove it from there first.`, 'warning');
+      const otherListName = this.listName(listType === 'whitelist' ? 'blacklist' : 'whitelist');
+      this.showMessage(t('listInOther', otherListName), 'warning');
       return;
     }
     
@@ -838,7 +952,7 @@ const FountainScan = {
     const errorElement = input.parentElement.querySelector('.input-error');
     if (errorElement) errorElement.remove();
     
-    this.showMessage(`${domain} added to ${listType}`, 'success');
+    this.showMessage(t('listAdded', [domain, this.listName(listType)]), 'success');
     
     // Rescan if whitelist was updated
     if (listType === 'whitelist') {
@@ -846,9 +960,14 @@ const FountainScan = {
     }
   },
 
+  // 'whitelist' | 'blacklist' as shown inside sentences
+  listName(listType) {
+    return t(listType === 'whitelist' ? 'listNameWhitelist' : 'listNameBlacklist');
+  },
+
   // Remove domain from list
   removeFromList(listType, domain) {
-    if (confirm(`Are you sure you want to remove "${domain}" from the ${listType}?`)) {
+    if (confirm(t('listConfirmRemove', [domain, this.listName(listType)]))) {
       const list = listType === 'whitelist' ? this.whitelist : this.blacklist;
       const index = list.findIndex(d => d.toLowerCase() === domain.toLowerCase());
       
@@ -856,7 +975,7 @@ const FountainScan = {
         list.splice(index, 1);
         this.saveLists();
         this.renderLists();
-        this.showMessage(`${domain} removed from ${listType}`, 'success');
+        this.showMessage(t('listRemoved', [domain, this.listName(listType)]), 'success');
         
         // Rescan if whitelist was updated
         if (listType === 'whitelist') {
@@ -878,7 +997,7 @@ const FountainScan = {
       if (list.length === 0) {
         const li = document.createElement('li');
         li.className = 'empty-list';
-        li.textContent = `No domains in ${listType}`;
+        li.textContent = t('listEmpty', this.listName(listType));
         li.style.fontStyle = 'italic';
         li.style.color = '#666';
         ul.appendChild(li);
@@ -891,20 +1010,34 @@ const FountainScan = {
       sortedList.forEach(domain => {
         const li = document.createElement('li');
         
+        const parsed = FountainScanEngine.parseListEntry(domain);
         const domainSpan = document.createElement('span');
         domainSpan.className = 'domain-name';
-        domainSpan.textContent = domain;
+        domainSpan.textContent = parsed ? domain.split(/\s+!/)[0] : domain;
         
-        // Add wildcard indicator
-        if (domain.startsWith('*.')) {
+        // Add wildcard, path and regex indicators
+        if (parsed && parsed.type === 'regex') {
+          domainSpan.classList.add('regex');
+          domainSpan.title = t('listRegexTitle');
+        } else if (parsed && parsed.type === 'path') {
+          domainSpan.title = t('listPathTitle');
+        } else if (domain.startsWith('*.')) {
           domainSpan.classList.add('wildcard');
-          domainSpan.title = 'Wildcard pattern - matches all subdomains';
+          domainSpan.title = t('listWildcardTitle');
+        }
+        
+        // Exceptions under the pattern they carve out of
+        if (parsed && parsed.exceptions.length > 0) {
+          const exceptionSpan = document.createElement('span');
+          exceptionSpan.className = 'domain-exceptions';
+          exceptionSpan.textContent = t('listExceptions', domain.split(/\s+!/).slice(1).join(', '));
+          domainSpan.appendChild(exceptionSpan);
         }
         
         const removeBtn = document.createElement('button');
         removeBtn.className = 'remove-btn';
-        removeBtn.textContent = 'Remove';
-        removeBtn.title = `Remove ${domain} from ${listType}`;
+        removeBtn.textContent = t('remove');
+        removeBtn.title = t('listRemoveTitle', [domain, this.listName(listType)]);
         
         li.appendChild(domainSpan);
         li.appendChild(removeBtn);
@@ -918,6 +1051,34 @@ const FountainScan = {
     });
   },
 
+  // The last scan result, if it was for the same site as the reported URL
+  // (the same form or site on a hosted platform, not just the same host)
+  reportedScan(url) {
+    const scan = this.lastScanResult;
+    if (!scan) return null;
+    
+    const { siteIdentity } = FountainScanEngine;
+    return siteIdentity(url).identity === siteIdentity(scan.url).identity ? scan : null;
+  },
+
+  // JSON request headers for the backend's client routes
+  apiHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (API_CLIENT_KEY) headers['X-API-Key'] = API_CLIENT_KEY;
+    return headers;
+  },
+
+  // Anonymous ID for this install, sent with reports so the backend can
+  // rate-limit them and weigh them by how often this install was right
+  async reporterId() {
+    const { reporterId } = await chrome.storage.local.get(['reporterId']);
+    if (reporterId) return reporterId;
+    
+    const id = crypto.randomUUID();
+    await chrome.storage.local.set({ reporterId: id });
+    return id;
+  },
+
   // Report suspicious site
   async reportSite() {
     const urlInput = document.getElementById('reportUrl');
@@ -928,58 +1089,65 @@ const FountainScan = {
     const reason_flagged = reason_flaggedInput?.value.trim() || '';
     
     if (!url) {
-      this.showMessage('Please enter a URL to report', 'error');
+      this.showMessage(t('reportEnterUrl'), 'error');
       return;
     }
     if (!reason_flagged) {
-      this.showMessage('Please provide a reason_flagged for reporting', 'error');
+      this.showMessage(t('reportEnterReason'), 'error');
       return;
     }
     if (!this.isValidUrl(url)) {
-      this.showMessage('Please enter a valid URL', 'error');
+      this.showMessage(t('invalidUrl'), 'error');
       return;
     }
     
     // Show loading state
     if (reportBtn) {
-      reportBtn.textContent = 'Submitting...';
+      reportBtn.textContent = t('reportSubmitting');
       reportBtn.disabled = true;
     }
     
     try {
+      // Attach our own findings when the report is about the site just scanned
+      const scan = this.reportedScan(url);
+      
       // Send report to backend
       const response = await fetch('http://localhost:5000/report', {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
+        headers: this.apiHeaders(),
         body: JSON.stringify({
           url: url,
           reason_flagged: reason_flagged,
           email: null, // Optional: add email field to form if needed
+          reporter_id: await this.reporterId(),
+          detection_score: scan ? scan.score : null,
+          findings: scan ? scan.findings : [],
+          page_text: scan ? (scan.pageText || '').slice(0, MAX_REPORT_TEXT) : null,
           timestamp: new Date().toISOString()
         })
       });
       
       const result = await response.json();
       
-      if (response.ok && result.success) {
+      if (response.status === 429) {
+        this.showMessage(t('reportRateLimited'), 'error');
+      } else if (response.ok && result.success) {
         // Clear form on success
         urlInput.value = '';
         reason_flaggedInput.value = '';
         
-        this.showMessage('Report submitted successfully! Thank you for helping keep users safe.', 'success');
+        this.showMessage(t('reportSubmitted'), 'success');
         
         // Also log the warning to track patterns
-        await this.logWarning(url, reason_flagged);
+        await this.logWarning(url, reason_flagged, scan);
         
       } else {
-        throw new Error(result.error || 'Failed to submit report');
+        throw new Error(result.error || response.statusText);
       }
       
     } catch (error) {
       console.error('Error submitting report:', error);
-      this.showMessage(`Failed to submit report: ${error.message}`, 'error');
+      this.showMessage(t('reportFailed', error.message), 'error');
       
       // Fallback: log locally for debugging
       console.log('Report (failed to submit):', { 
@@ -991,23 +1159,22 @@ const FountainScan = {
     } finally {
       // Reset button state
       if (reportBtn) {
-        reportBtn.textContent = 'Submit Report';
+        reportBtn.textContent = t('reportSubmit');
         reportBtn.disabled = false;
       }
     }
   },
 
-  // Log warning to backend for pattern analysis
-  async logWarning(url, reason_flagged) {
+  // Log warning to backend for pattern analysis, with our own score when
+  // the reported site was just scanned
+  async logWarning(url, reason_flagged, scan) {
     try {
       await fetch('http://localhost:5000/logs', {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
+        headers: this.apiHeaders(),
         body: JSON.stringify({
           domain_url: url,
-          detection_score: 80, // High score for user-reported sites
+          detection_score: scan ? scan.score : null,
           keywords: reason_flagged.split(' ').slice(0, 10), // Extract keywords from reason_flagged
           source: 'user_report'
         })
@@ -1023,20 +1190,46 @@ const FountainScan = {
     const systemLang = document.getElementById('systemLang');
     const alertLang = document.getElementById('alertLang');
     
-    if (systemLang && systemLang.value.trim()) {
-      this.settings.systemLang = systemLang.value.trim();
+    const previousSystemLang = this.settings.systemLang;
+    if (systemLang && systemLang.value) {
+      this.settings.systemLang = systemLang.value;
     }
-    if (alertLang && alertLang.value.trim()) {
-      this.settings.alertLang = alertLang.value.trim();
+    if (alertLang && alertLang.value) {
+      this.settings.alertLang = alertLang.value;
+    }
+    
+    // Domain age thresholds: positive whole days, and the "very new" cutoff
+    // can't exceed the "new" cutoff
+    const veryNewDomainDays = parseInt(document.getElementById('veryNewDomainDays')?.value, 10);
+    const newDomainDays = parseInt(document.getElementById('newDomainDays')?.value, 10);
+    if (veryNewDomainDays > 0 && newDomainDays > 0) {
+      if (veryNewDomainDays > newDomainDays) {
+        this.showMessage(t('settingsDaysOrder'), 'error');
+        return;
+      }
+      this.settings.veryNewDomainDays = veryNewDomainDays;
+      this.settings.newDomainDays = newDomainDays;
     }
     
     this.saveSettings();
+    if (this.settings.systemLang !== previousSystemLang) {
+      this.applyLanguage();
+    }
+  },
+
+  // Re-render the popup after the system language changes
+  async applyLanguage() {
+    await FountainScanI18n.setLanguage(this.settings.systemLang);
+    FountainScanI18n.localizePage();
+    this.renderLists();
+    this.scanCurrentSite();
+    this.showMessage(t('settingsSaved'), 'success');
   },
 
   // Rescan current site
   rescanSite() {
     this.scanCurrentSite();
-    this.showMessage('Site rescanned', 'success');
+    this.showMessage(t('siteRescanned'), 'success');
   }
 };
 
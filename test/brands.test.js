@@ -0,0 +1,44 @@
+// test/brands.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./loadScript');
+
+const brands = loadScript(['lib/engine.js', 'lib/brands.js'], 'FountainScanBrands');
+
+function kindOf(hostname) {
+  const match = brands.findImpersonation(hostname);
+  return match ? `${match.brand.id} ${match.kind}` : null;
+}
+
+test('brand names only match on word boundaries', () => {
+  for (const hostname of ['manpower.com', 'manpowergroup.com', 'jamboree.org', 'cuba.com']) {
+    assert.equal(kindOf(hostname), null, hostname);
+  }
+});
+
+test('brand names glued to scam words still match', () => {
+  assert.equal(kindOf('jambportal.com'), 'jamb token');
+  assert.equal(kindOf('jamb2025.com'), 'jamb token');
+  assert.equal(kindOf('n-power-portal.com'), 'npower token');
+  assert.equal(kindOf('myaccessbankonline.com'), 'accessbank token');
+  assert.equal(kindOf('gtbank-login.xyz'), 'gtbank token');
+  assert.equal(kindOf('uba-bvn-update.com'), 'uba token');
+});
+
+test('ordinary words are not lookalikes', () => {
+  for (const hostname of ['power.com', 'solar-power.ng', 'nasim.com']) {
+    assert.equal(kindOf(hostname), null, hostname);
+  }
+  assert.equal(kindOf('zenlthbank.com'), 'zenithbank lookalike');
+  assert.equal(kindOf('npowers.com.ng'), 'npower lookalike');
+  assert.equal(kindOf('npovver.ng'), 'npower homograph');
+});
+
+test('official, unrelated and government hosts are not impersonations', () => {
+  for (const hostname of [
+    'firstbanknigeria.com', 'stanbic.co.ke', 'ecobank.cm', 'npower.fmhds.gov.ng', 'portal.jamb.gov.ng',
+    'firstbank.com', 'unionbank.com', 'fidelitybank.com', 'sterlingbank.com', 'cbn.com', 'uba.com', 'gtb.co.uk'
+  ]) {
+    assert.equal(kindOf(hostname), null, hostname);
+  }
+});
@@ -0,0 +1,22 @@
+// test/classifier.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadScript } = require('./loadScript');
+
+const classifier = loadScript(['lib/engine.js', 'lib/classifier.js'], 'FountainScanClassifier');
+
+test('words naming Object.prototype members are not features', () => {
+  classifier.loadModel({ version: 'test', bias: 0, weights: JSON.parse('{"pay":1,"__proto__":2}') });
+
+  const prediction = classifier.predict('constructor tostring valueof hasownproperty pay');
+  assert.equal(Number.isFinite(prediction.probability), true);
+  assert.deepEqual(Array.from(prediction.contributions, entry => entry.feature), ['pay']);
+});
+
+test('the bundled model scores text', () => {
+  const model = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'models', 'classifier.json'), 'utf8'));
+  assert.equal(classifier.loadModel(model), true);
+  assert.equal(Number.isFinite(classifier.predict('constructor of the payment portal').probability), true);
+});
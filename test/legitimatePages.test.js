@@ -0,0 +1,46 @@
+// test/legitimatePages.test.js
+// Ordinary Nigerian bank, exam-board, university and shop pages talk about
+// accounts, fees and payments too. None of them may be flagged.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadScript } = require('./loadScript');
+
+const { engine, classifier } = loadScript(['lib/engine.js', 'lib/brands.js', 'lib/classifier.js'],
+  '({ engine: FountainScanEngine, classifier: FountainScanClassifier })');
+classifier.loadModel(JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'models', 'classifier.json'), 'utf8')));
+
+const PAGES = [
+  {
+    url: 'https://www.gtbank.com/personal-banking/accounts',
+    title: 'Savings Accounts | Guaranty Trust Bank',
+    content: 'Open a savings account with GTBank today. Enjoy competitive interest rates on your savings, free debit card and access to internet banking and the GTWorld mobile app. To open an account you need a valid means of identification, your BVN, a utility bill and a passport photograph. Visit any of our branches nationwide or open your account online in minutes. Transfer funds, pay bills and buy airtime from your phone. For enquiries call our contact centre on 0700 482 666 328 or send an email to gtconnect@gtbank.com. Guaranty Trust Bank is licensed by the Central Bank of Nigeria and deposits are insured by the NDIC.'
+  },
+  {
+    url: 'https://www.jamb.gov.ng/efacility',
+    title: 'JAMB e-Facility | Joint Admissions and Matriculation Board',
+    content: 'Welcome to the JAMB e-Facility portal. Candidates can check their UTME results, print admission letters, and accept or reject admission offers on CAPS. To register for the 2025 UTME, purchase your ePIN from accredited banks, Remita or any approved vendor for N6,200 and visit an accredited CBT centre with your NIN. Candidates are advised not to pay any money to anyone promising upgrade of scores or admission. The Board will never ask candidates to pay into a private account. Check your admission status on CAPS and print your original result slip for N1,000.'
+  },
+  {
+    url: 'https://unilag.edu.ng/school-fees-schedule',
+    title: 'School Fees Schedule 2024/2025 - University of Lagos',
+    content: 'University of Lagos undergraduate school fees schedule for the 2024/2025 academic session. Returning students in the Faculty of Science pay N190,375 including tuition, registration, library, medical and ICT charges. New students pay an additional acceptance fee of N50,000 and a caution deposit. All payments must be made through the university portal using Remita. Do not pay cash to any individual or into any personal account. Students should print their payment receipts and submit them to the faculty officer before course registration closes. For enquiries contact the Bursary Department.'
+  },
+  {
+    url: 'https://www.jumia.com.ng/cart/checkout',
+    title: 'Checkout | Jumia Nigeria',
+    content: 'Order summary. Items total N45,500. Delivery fee N2,500. Total N48,000. Choose a payment method: pay with card, bank transfer or pay on delivery. Enter your delivery address and phone number. Your order will be delivered within 3 to 5 working days. Apply a voucher code to get a discount on your order. By placing your order you agree to the terms and conditions. Need help? Contact customer service or visit the help centre.'
+  }
+];
+
+for (const page of PAGES) {
+  test(`${new URL(page.url).hostname} stays safe`, () => {
+    const result = engine.analyze(page, {}, {});
+    assert.equal(result.status, 'safe', `${result.score}: ${result.issues.join('; ')}`);
+  });
+}
+
+test('the classifier alone never reaches a warning', () => {
+  assert.ok(engine.RULE_WEIGHTS.textClassifier < engine.VERDICT_THRESHOLDS.warning);
+});
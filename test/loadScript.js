@@ -0,0 +1,17 @@
+// test/loadScript.js
+// The extension's lib/ files are classic scripts that declare a global, so
+// tests run them in a fresh context and read that global back.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// `files` run in order in one context, as the manifest loads them
+function loadScript(files, globalName) {
+  const context = vm.createContext({ console, URL, URLSearchParams });
+  [].concat(files).forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+  });
+  return vm.runInContext(globalName, context);
+}
+
+module.exports = { loadScript };
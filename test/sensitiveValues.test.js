@@ -0,0 +1,40 @@
+// test/sensitiveValues.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./loadScript');
+
+const engine = loadScript('lib/engine.js', 'FountainScanEngine');
+
+test('labelled identity, account and card numbers are recognised', () => {
+  assert.equal(engine.classifySensitiveValue('bvn', '22123456789'), 'bvn-nin');
+  assert.equal(engine.classifySensitiveValue('Enter your NIN', '12345678901'), 'bvn-nin');
+  assert.equal(engine.classifySensitiveValue('accountNumber', '0123456789'), 'nuban');
+  assert.equal(engine.classifySensitiveValue('acct_no Account Number', '012-345-6789'), 'nuban');
+  assert.equal(engine.classifySensitiveValue('cardnumber', '4111 1111 1111 1111'), 'card');
+  assert.equal(engine.classifySensitiveValue('cc-num', '5500005555555559'), 'card');
+});
+
+test('timestamps and IDs are not sensitive values', () => {
+  assert.equal(engine.classifySensitiveValue('t', '1760912345'), null);
+  assert.equal(engine.classifySensitiveValue('user_id', '2034567891'), null);
+  assert.equal(engine.classifySensitiveValue('id', '12345678901'), null);
+  assert.equal(engine.classifySensitiveValue('orderId', '4111111111111111'), null);
+  assert.equal(engine.classifySensitiveValue('', '0123456789'), null);
+});
+
+test('millisecond timestamps are never taken for cards', () => {
+  const start = 1760912345000;
+  for (let i = 0; i < 1000; i++) {
+    const value = String(start + i * 7919);
+    for (const name of ['_', 'ts', 'timestamp', 'cb', 'nocache']) {
+      assert.equal(engine.classifySensitiveValue(name, value), null, `${name}=${value}`);
+    }
+  }
+});
+
+test('field names only count as hints when they are whole words', () => {
+  assert.equal(engine.classifySensitiveValue('running_total', '12345678901'), null);
+  assert.equal(engine.classifySensitiveValue('accessToken', '0123456789'), null);
+  assert.equal(engine.classifySensitiveValue('company', '4111111111111111'), null);
+  assert.equal(engine.classifySensitiveValue('phone_number', '08031234567'), null);
+});